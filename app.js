@@ -8,6 +8,8 @@ import config from './config/env.js';
 import { checkConnection } from './config/db.js';
 import { initDb } from './config/initDb.js';
 import logger from './utils/logger.js';
+import { startJobWorker, stopJobWorker } from './utils/jobWorker.js';
+import { purgeStaleCache } from './utils/aiCache.js';
 
 import { generalLimiter } from './middlewares/rateLimiter.js';
 import { notFoundHandler, globalErrorHandler } from './middlewares/errorHandler.js';
@@ -74,10 +76,11 @@ app.use('/api', apiRouter);
 app.use(notFoundHandler);
 app.use(globalErrorHandler);
 
-// 서버 시작 
-const { port } = config.server;
+// 서버 시작
+// 테스트 환경(NODE_ENV=test)에서는 supertest가 app을 직접 사용하므로 포트를 열지 않음
+const { port, isTest } = config.server;
 
-const server = app.listen(port, async () => {
+const server = isTest ? null : app.listen(port, async () => {
   logger.info(`서버 실행 중 - 포트 ${port} (${config.server.nodeEnv})`);
 
   const connected = await checkConnection();
@@ -86,12 +89,17 @@ const server = app.listen(port, async () => {
   if (connected) {
     // DB 연결 성공 시 테이블 자동 생성
     await initDb();
+    // 프롬프트 버전이 바뀌었거나 만료된 AI 결과 캐시 삭제
+    await purgeStaleCache();
+    // 비동기 생성 작업 워커 시작 (중단된 작업 복구 포함)
+    await startJobWorker();
   }
 });
 
 // Graceful Shutdown
 const shutdown = (signal) => {
   logger.info(`${signal} 수신 - 서버 종료 중...`);
+  stopJobWorker();
   server.close(() => {
     logger.info('서버 종료 완료');
     process.exit(0);
@@ -99,9 +107,11 @@ const shutdown = (signal) => {
   setTimeout(() => process.exit(1), 10_000);
 };
 
-process.on('SIGTERM', () => shutdown('SIGTERM'));
-process.on('SIGINT',  () => shutdown('SIGINT'));
-process.on('uncaughtException',  (err) => { logger.error('Uncaught Exception: ' + err.message, err); process.exit(1); });
-process.on('unhandledRejection', (reason) => { logger.error('Unhandled Rejection: ' + reason); process.exit(1); });
+if (!isTest) {
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT',  () => shutdown('SIGINT'));
+  process.on('uncaughtException',  (err) => { logger.error('Uncaught Exception: ' + err.message, err); process.exit(1); });
+  process.on('unhandledRejection', (reason) => { logger.error('Unhandled Rejection: ' + reason); process.exit(1); });
+}
 
 export default app;
\ No newline at end of file
@@ -1,13 +1,47 @@
 import "dotenv/config";
+import os from "os";
+import path from "path";
 
 // 필수 환경 변수 검증
 const required = [
   "DATABASE_URL",
   "ACCESS_TOKEN_SECRET",
   "REFRESH_TOKEN_SECRET",
-  "OPENAI_API_KEY",
 ];
 
+// 작업별 LLM 공급자 (openai | compatible | fixture)
+const LLM_PROVIDERS = ["openai", "compatible", "fixture"];
+const defaultProvider = process.env.LLM_PROVIDER || "openai";
+const llmTasks = {
+  summary: process.env.LLM_SUMMARY_PROVIDER || defaultProvider,
+  questions: process.env.LLM_QUESTION_PROVIDER || defaultProvider,
+};
+
+const invalidProviders = Object.values(llmTasks).filter((p) => !LLM_PROVIDERS.includes(p));
+if (invalidProviders.length > 0) {
+  console.error(
+    `[CONFIG] 알 수 없는 LLM 공급자: ${invalidProviders.join(", ")} (가능한 값: ${LLM_PROVIDERS.join(", ")})`,
+  );
+  process.exit(1);
+}
+
+// LLM 호출 기록 / 재생 모드 (record | replay)
+const LLM_FIXTURE_MODES = ["record", "replay"];
+const llmFixtureMode = process.env.LLM_FIXTURE_MODE || null;
+if (llmFixtureMode && !LLM_FIXTURE_MODES.includes(llmFixtureMode)) {
+  console.error(
+    `[CONFIG] 알 수 없는 LLM_FIXTURE_MODE: ${llmFixtureMode} (가능한 값: ${LLM_FIXTURE_MODES.join(", ")})`,
+  );
+  process.exit(1);
+}
+
+// 실제로 사용하는 공급자의 접속 정보만 필수로 요구 (replay는 API를 호출하지 않음)
+const usedProviders = new Set(Object.values(llmTasks));
+if (llmFixtureMode !== "replay") {
+  if (usedProviders.has("openai")) required.push("OPENAI_API_KEY");
+  if (usedProviders.has("compatible")) required.push("LOCAL_LLM_BASE_URL", "LOCAL_LLM_MODEL");
+}
+
 const missing = required.filter((key) => !process.env[key]);
 if (missing.length > 0) {
   console.error(`[CONFIG] 필수 환경 변수 누락: ${missing.join(", ")}`);
@@ -41,6 +75,69 @@ const config = {
     apiKey: process.env.OPENAI_API_KEY,
     model: process.env.OPENAI_MODEL || "gpt-4o-mini",
     maxTokens: parseInt(process.env.OPENAI_MAX_TOKENS || "8000", 10),
+    // 미지정 시 모델명으로 컨텍스트 윈도우 추론 (utils/tokenCounter.js)
+    contextWindow: parseInt(process.env.OPENAI_CONTEXT_WINDOW || "0", 10) || null,
+  },
+
+  // OpenAI 호환 로컬 서버 (Ollama, llama.cpp 등)
+  localLlm: {
+    baseURL: process.env.LOCAL_LLM_BASE_URL,
+    apiKey: process.env.LOCAL_LLM_API_KEY || "local",
+    model: process.env.LOCAL_LLM_MODEL,
+    maxTokens: parseInt(process.env.LOCAL_LLM_MAX_TOKENS || "2048", 10),
+    contextWindow: parseInt(process.env.LOCAL_LLM_CONTEXT_WINDOW || "8192", 10),
+  },
+
+  // 작업별 LLM 공급자 선택 (utils/providers)
+  llm: {
+    tasks: llmTasks,
+    fixtureMode: llmFixtureMode,
+    fixtureDir: process.env.LLM_FIXTURE_DIR || "fixtures/llm",
+  },
+
+  // AI 결과 캐시 (동일 문서 · 동일 옵션 요약 재사용)
+  aiCache: {
+    enabled: process.env.AI_CACHE_ENABLED !== "false",
+    ttlDays: parseInt(process.env.AI_CACHE_TTL_DAYS || "30", 10),
+  },
+
+  // 사용자별 월간 AI 토큰 한도 (0이면 제한 없음)
+  quota: {
+    monthlyTokens: parseInt(process.env.AI_MONTHLY_TOKEN_QUOTA || "1000000", 10),
+  },
+
+  // 스캔 PDF 문자 인식 (텍스트 레이어가 없을 때만, 파일당 maxPages 페이지까지)
+  ocr: {
+    enabled: process.env.OCR_ENABLED !== "false",
+    maxPages: parseInt(process.env.OCR_MAX_PAGES || "10", 10),
+    // 번들된 언어 데이터를 압축 해제해 두는 폴더
+    dataDir: process.env.OCR_DATA_DIR || path.join(os.tmpdir(), "qureka-tessdata"),
+  },
+
+  // 업로드 파일 검사 (압축 폭탄 · 과도한 페이지 수 · 추출 시간 제한)
+  upload: {
+    // 비교 통합 요약 한 번에 올릴 수 있는 파일 수
+    maxFiles: parseInt(process.env.UPLOAD_MAX_FILES || "5", 10),
+    maxArchiveEntries: parseInt(process.env.UPLOAD_MAX_ARCHIVE_ENTRIES || "5000", 10),
+    // 압축 해제 후 전체 크기 (zip 항목 · HWP 본문 스트림 합계)
+    maxUncompressedBytes: parseInt(process.env.UPLOAD_MAX_UNCOMPRESSED_MB || "200", 10) * 1024 * 1024,
+    maxPdfPages: parseInt(process.env.UPLOAD_MAX_PDF_PAGES || "300", 10),
+    extractTimeoutMs: parseInt(process.env.UPLOAD_EXTRACT_TIMEOUT_MS || "60000", 10),
+  },
+
+  // 문서 원본 저장소 (driver: local — 같은 인터페이스로 S3 호환 저장소 추가 가능)
+  storage: {
+    driver: process.env.STORAGE_DRIVER || "local",
+    localDir: path.resolve(process.env.STORAGE_LOCAL_DIR || "storage/documents"),
+  },
+
+  // 비동기 생성 작업 워커
+  jobs: {
+    pollIntervalMs: parseInt(process.env.JOB_POLL_INTERVAL_MS || "2000", 10),
+    concurrency: parseInt(process.env.JOB_CONCURRENCY || "2", 10),
+    maxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS || "3", 10),
+    // 생존 신호가 이 시간 이상 끊긴 running 작업은 처리하던 워커가 중단된 것으로 보고 대기열로 복구
+    staleAfterMs: parseInt(process.env.JOB_STALE_AFTER_MS || "120000", 10),
   },
 
   // 서버
@@ -48,6 +145,7 @@ const config = {
     port: parseInt(process.env.PORT || "3000", 10),
     nodeEnv: process.env.NODE_ENV || "development",
     isProduction: process.env.NODE_ENV === "production",
+    isTest: process.env.NODE_ENV === "test",
     backendUrl: process.env.BACKEND_URL || "http://localhost:3000",
     testUserId: process.env.TEST_USERID || null,
   },
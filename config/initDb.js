@@ -21,6 +21,10 @@ export async function initDb() {
       EXCEPTION WHEN duplicate_object THEN NULL;
       END $$;
     `);
+    // 혼합 구성 문제 세트 (문제별 타입은 question_data에 저장, 기존 DB에도 값 추가)
+    await query(`ALTER TYPE question_type_enum ADD VALUE IF NOT EXISTS 'mixed'`);
+    // 비교 통합 요약 (여러 파일을 하나로 요약, 기존 DB에도 값 추가)
+    await query(`ALTER TYPE summary_type_enum ADD VALUE IF NOT EXISTS 'comparison'`);
 
     // users 테이블
     await query(`
@@ -48,6 +52,31 @@ export async function initDb() {
       );
     `);
 
+    // documents 테이블 (업로드 원본 · 내용 해시 · 추출 텍스트 캐시, 원본 파일은 저장소의 storage_key에 보관)
+    await query(`
+      CREATE TABLE IF NOT EXISTS documents (
+        document_id     SERIAL PRIMARY KEY,
+        user_id         INTEGER      NOT NULL REFERENCES users(userindex) ON DELETE CASCADE,
+        file_name       VARCHAR(255) NOT NULL,
+        file_type       VARCHAR(10)  NOT NULL,
+        mime_type       VARCHAR(255),
+        size_bytes      INTEGER      NOT NULL,
+        content_hash    CHAR(64)     NOT NULL,
+        storage_key     VARCHAR(255) NOT NULL,
+        extract_options VARCHAR(100),
+        extracted_text  TEXT,
+        extract_meta    JSONB,
+        created_at      TIMESTAMPTZ  NOT NULL DEFAULT NOW(),
+        last_used_at    TIMESTAMPTZ  NOT NULL DEFAULT NOW(),
+        UNIQUE (user_id, content_hash)
+      );
+    `);
+
+    await query(`
+      CREATE INDEX IF NOT EXISTS idx_documents_user_used
+        ON documents (user_id, last_used_at DESC);
+    `);
+
     // user_summaries 테이블
     await query(`
       CREATE TABLE IF NOT EXISTS user_summaries (
@@ -74,6 +103,16 @@ export async function initDb() {
       );
     `);
 
+    // 요약 · 문제 세트의 원본 문서 (문서를 삭제해도 저장한 결과는 유지)
+    await query(`
+      ALTER TABLE user_summaries
+        ADD COLUMN IF NOT EXISTS document_id INTEGER REFERENCES documents(document_id) ON DELETE SET NULL;
+    `);
+    await query(`
+      ALTER TABLE user_questions
+        ADD COLUMN IF NOT EXISTS document_id INTEGER REFERENCES documents(document_id) ON DELETE SET NULL;
+    `);
+
     // favorite_folders 테이블
     await query(`
       CREATE TABLE IF NOT EXISTS favorite_folders (
@@ -99,6 +138,163 @@ export async function initDb() {
       );
     `);
 
+    // favorite_reviews 테이블 (즐겨찾기 문제별 SM-2 복습 일정, 즐겨찾기를 해제했다 다시 추가해도 이어서 복습)
+    await query(`
+      CREATE TABLE IF NOT EXISTS favorite_reviews (
+        user_id          INTEGER      NOT NULL REFERENCES users(userindex) ON DELETE CASCADE,
+        question_id      INTEGER      NOT NULL REFERENCES user_questions(selection_id) ON DELETE CASCADE,
+        question_index   SMALLINT     NOT NULL,
+        ease_factor      NUMERIC(4,2) NOT NULL DEFAULT 2.50,
+        interval_days    INTEGER      NOT NULL DEFAULT 0,
+        repetitions      INTEGER      NOT NULL DEFAULT 0,
+        review_count     INTEGER      NOT NULL DEFAULT 0,
+        lapse_count      INTEGER      NOT NULL DEFAULT 0,
+        due_at           TIMESTAMPTZ  NOT NULL,
+        last_reviewed_at TIMESTAMPTZ  NOT NULL,
+        PRIMARY KEY (user_id, question_id, question_index)
+      );
+    `);
+
+    await query(`
+      CREATE INDEX IF NOT EXISTS idx_favorite_reviews_user_due
+        ON favorite_reviews (user_id, due_at);
+    `);
+
+    // favorite_review_logs 테이블 (복습 결과 기록)
+    await query(`
+      CREATE TABLE IF NOT EXISTS favorite_review_logs (
+        log_id         SERIAL PRIMARY KEY,
+        user_id        INTEGER      NOT NULL REFERENCES users(userindex) ON DELETE CASCADE,
+        question_id    INTEGER      NOT NULL REFERENCES user_questions(selection_id) ON DELETE CASCADE,
+        question_index SMALLINT     NOT NULL,
+        quality        SMALLINT     NOT NULL CHECK (quality BETWEEN 0 AND 5),
+        ease_factor    NUMERIC(4,2) NOT NULL,
+        interval_days  INTEGER      NOT NULL,
+        reviewed_at    TIMESTAMPTZ  NOT NULL DEFAULT NOW()
+      );
+    `);
+
+    await query(`
+      CREATE INDEX IF NOT EXISTS idx_favorite_review_logs_user_question
+        ON favorite_review_logs (user_id, question_id, question_index, reviewed_at DESC);
+    `);
+
+    // quiz_attempts 테이블 (저장한 문제 세트 풀이 기록)
+    await query(`
+      CREATE TABLE IF NOT EXISTS quiz_attempts (
+        attempt_id     SERIAL PRIMARY KEY,
+        user_id        INTEGER      NOT NULL REFERENCES users(userindex) ON DELETE CASCADE,
+        question_id    INTEGER      NOT NULL REFERENCES user_questions(selection_id) ON DELETE CASCADE,
+        status         VARCHAR(20)  NOT NULL DEFAULT 'in_progress'
+                       CHECK (status IN ('in_progress', 'completed')),
+        question_count SMALLINT     NOT NULL,
+        correct_count  SMALLINT     NOT NULL DEFAULT 0,
+        score          NUMERIC(5,2),
+        started_at     TIMESTAMPTZ  NOT NULL DEFAULT NOW(),
+        completed_at   TIMESTAMPTZ
+      );
+    `);
+
+    await query(`
+      CREATE INDEX IF NOT EXISTS idx_quiz_attempts_user_started
+        ON quiz_attempts (user_id, started_at DESC);
+    `);
+
+    // quiz_attempt_answers 테이블 (문제별 답안 · 채점 결과, 다시 답하면 덮어씀)
+    await query(`
+      CREATE TABLE IF NOT EXISTS quiz_attempt_answers (
+        attempt_id     INTEGER      NOT NULL REFERENCES quiz_attempts(attempt_id) ON DELETE CASCADE,
+        question_index SMALLINT     NOT NULL,
+        question_type  VARCHAR(20)  NOT NULL,
+        answer         JSONB        NOT NULL,
+        is_correct     BOOLEAN,
+        score          NUMERIC(4,2),
+        result         JSONB        NOT NULL DEFAULT '{}',
+        answered_at    TIMESTAMPTZ  NOT NULL DEFAULT NOW(),
+        PRIMARY KEY (attempt_id, question_index)
+      );
+    `);
+
+    // question_rubrics 테이블 (단답 · 서술 문제별 AI 채점 기준표, 한 번 생성하면 모든 풀이에 재사용)
+    await query(`
+      CREATE TABLE IF NOT EXISTS question_rubrics (
+        question_id    INTEGER      NOT NULL REFERENCES user_questions(selection_id) ON DELETE CASCADE,
+        question_index SMALLINT     NOT NULL,
+        rubric         JSONB        NOT NULL,
+        model          VARCHAR(100) NOT NULL,
+        created_at     TIMESTAMPTZ  NOT NULL DEFAULT NOW(),
+        PRIMARY KEY (question_id, question_index)
+      );
+    `);
+
+    // generation_jobs 테이블 (비동기 요약 / 문제 생성 작업)
+    await query(`
+      CREATE TABLE IF NOT EXISTS generation_jobs (
+        job_id      SERIAL PRIMARY KEY,
+        user_id     INTEGER     NOT NULL REFERENCES users(userindex) ON DELETE CASCADE,
+        job_type    VARCHAR(20) NOT NULL CHECK (job_type IN ('summary', 'questions')),
+        status      VARCHAR(20) NOT NULL DEFAULT 'queued'
+                    CHECK (status IN ('queued', 'running', 'completed', 'failed')),
+        stage       VARCHAR(50),
+        params      JSONB       NOT NULL DEFAULT '{}',
+        file_name   VARCHAR(255),
+        input_file  BYTEA,
+        result      JSONB,
+        error       TEXT,
+        attempts    SMALLINT    NOT NULL DEFAULT 0,
+        created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        started_at  TIMESTAMPTZ,
+        finished_at TIMESTAMPTZ,
+        updated_at  TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+    `);
+
+    await query(`
+      CREATE INDEX IF NOT EXISTS idx_generation_jobs_status_created
+        ON generation_jobs (status, created_at);
+    `);
+
+    await query(`
+      CREATE INDEX IF NOT EXISTS idx_generation_jobs_user_created
+        ON generation_jobs (user_id, created_at DESC);
+    `);
+
+    // ai_result_cache 테이블 (동일 문서 · 동일 옵션 요약 결과 캐시)
+    await query(`
+      CREATE TABLE IF NOT EXISTS ai_result_cache (
+        cache_key      CHAR(64)     PRIMARY KEY,
+        kind           VARCHAR(20)  NOT NULL,
+        prompt_key     VARCHAR(100) NOT NULL,
+        prompt_version VARCHAR(20)  NOT NULL,
+        model          VARCHAR(100) NOT NULL,
+        result         JSONB        NOT NULL,
+        hit_count      INTEGER      NOT NULL DEFAULT 0,
+        created_at     TIMESTAMPTZ  NOT NULL DEFAULT NOW(),
+        last_hit_at    TIMESTAMPTZ
+      );
+    `);
+
+    await query(`
+      CREATE INDEX IF NOT EXISTS idx_ai_result_cache_version
+        ON ai_result_cache (prompt_version);
+    `);
+
+    // ai_usage_daily 테이블 (사용자 · 엔드포인트 · 모델 · 일자별 토큰 사용량)
+    await query(`
+      CREATE TABLE IF NOT EXISTS ai_usage_daily (
+        user_id       INTEGER      NOT NULL REFERENCES users(userindex) ON DELETE CASCADE,
+        usage_date    DATE         NOT NULL,
+        endpoint      VARCHAR(50)  NOT NULL,
+        model         VARCHAR(100) NOT NULL,
+        request_count INTEGER      NOT NULL DEFAULT 0,
+        input_tokens  BIGINT       NOT NULL DEFAULT 0,
+        output_tokens BIGINT       NOT NULL DEFAULT 0,
+        total_tokens  BIGINT       NOT NULL DEFAULT 0,
+        updated_at    TIMESTAMPTZ  NOT NULL DEFAULT NOW(),
+        PRIMARY KEY (user_id, usage_date, endpoint, model)
+      );
+    `);
+
     logger.info('DB 테이블 초기화 완료');
   } catch (err) {
     logger.error('DB 테이블 초기화 실패: ' + err.message);
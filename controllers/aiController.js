@@ -1,204 +1,300 @@
+import GenerationJob from "../models/generationJobModel.js";
 import {
-  callChatGpt,
-  extractTextFromPdf,
-  extractTextFromPptx,
-  truncateByTokens,
-} from "../utils/openaiService.js";
-import { getPrompt } from "../prompts/promptManager.js";
+  decodeFileName,
+  normalizeExtractOptions,
+  inspectUploadedFile,
+  verifyUploadedFile,
+  normalizeSummaryOptions,
+  normalizeQuestionOptions,
+  assertSummaryFiles,
+  runSummary,
+  runQuestionGeneration,
+  runFileQuestionGeneration,
+} from "../utils/generationService.js";
+import { SUPPORTED_FORMAT_LABEL } from "../utils/uploadFormats.js";
+import { storeUploadedDocument, loadDocumentSource } from "../utils/documentLibrary.js";
+import { AppError } from "../middlewares/errorHandler.js";
+import { AI_GENERATION_LIMIT_MESSAGE } from "../middlewares/rateLimiter.js";
+import { wakeJobWorker } from "../utils/jobWorker.js";
+import { openSseStream } from "../utils/sse.js";
+import { recordUsage } from "../utils/usageLedger.js";
 import logger from "../utils/logger.js";
 
-// 프론트에서 다양한 형태로 전달되는 문제 타입을 백엔드 내부 키로 정규화
-const QUESTION_TYPE_NORMALIZE_MAP = {
-  // 단축형 (기존)
-  n지선다: "n지선다",
-  순서배열: "순서배열",
-  참거짓: "참거짓",
-  빈칸채우기: "빈칸채우기",
-  단답: "단답",
-  서술: "서술",
-  // 한국어 전체형
-  "n지 선다형": "n지선다",
-  n지선다형: "n지선다",
-  "순서 배열형": "순서배열",
-  순서배열형: "순서배열",
-  "참/거짓형": "참거짓",
-  참거짓형: "참거짓",
-  "빈칸 채우기형": "빈칸채우기",
-  빈칸채우기형: "빈칸채우기",
-  단답형: "단답",
-  서술형: "서술",
-  // DB/영문 타입
-  multiple_choice: "n지선다",
-  sequence: "순서배열",
-  true_false: "참거짓",
-  fill_in_the_blank: "빈칸채우기",
-  short_answer: "단답",
-  descriptive: "서술",
+const JOB_STATUSES = ["queued", "running", "completed", "failed"];
+
+const FILE_REQUIRED_MESSAGE = `파일이 필요합니다. (${SUPPORTED_FORMAT_LABEL})`;
+const SOURCE_REQUIRED_MESSAGE = `파일 또는 보관한 문서의 documentId가 필요합니다. (${SUPPORTED_FORMAT_LABEL})`;
+
+// 비동기 모드 여부 (multipart 필드는 문자열로 전달됨)
+const isAsyncRequest = (req) =>
+  req.query.async === "true" || req.body?.async === true || req.body?.async === "true";
+
+// AI 생성 오류를 상태 코드별 응답으로 변환 (입력 오류는 warn, 그 외는 error 로깅)
+const sendGenerationError = (res, error, label) => {
+  if (error.name === "AppError" && error.statusCode < 500) {
+    logger.warn(`${label}: ${error.message}`);
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+      ...error.details,
+    });
+  }
+
+  logger.error(`${label}:`, error);
+
+  if (error.message?.includes("OpenAI")) {
+    return res.status(502).json({
+      success: false,
+      message: "AI 서비스 오류가 발생했습니다. 잠시 후 다시 시도해주세요.",
+      error: error.message,
+    });
+  }
+
+  return res.status(500).json({
+    success: false,
+    message: "서버 오류가 발생했습니다.",
+    error: error.message,
+  });
 };
 
-const VALID_TYPES = [
-  "n지선다",
-  "순서배열",
-  "참거짓",
-  "빈칸채우기",
-  "단답",
-  "서술",
-];
-
-const QUESTION_TYPE_TO_PROMPT_KEY = {
-  n지선다: "문제 생성_n지 선다형",
-  순서배열: "문제 생성_순서 배열형",
-  참거짓: "문제 생성_참거짓형",
-  빈칸채우기: "문제 생성_빈칸 채우기형",
-  단답: "문제 생성_단답형",
-  서술: "문제 생성_서술형",
+// 업로드 파일 → 생성 입력 (형식 확인만 하고 보관은 요청 검증이 끝난 뒤에)
+const toUploadFile = (upload) => {
+  const file = {
+    buffer: upload.buffer,
+    // 파일명 한글 출력
+    fileName: decodeFileName(upload.originalname),
+    mimeType: upload.mimetype,
+  };
+  return { file, fileType: verifyUploadedFile(file) };
 };
 
-// gpt-4o-mini 컨텍스트 한도(128k) 내에서 안전하게 사용할 최대 토큰 수
-const MAX_CONTENT_TOKENS_SUMMARY  = 20000; // 요약
-const MAX_CONTENT_TOKENS_QUESTION = 15000; // 문제 생성
+// 보관한 문서 id 목록 (documentId 또는 documentIds: 배열 · 콤마 구분 · JSON 배열 문자열)
+const readDocumentIds = (body = {}) => {
+  let ids = body.documentIds ?? body.documentId;
+  if (ids === undefined || ids === null || ids === "") return [];
+  if (typeof ids === "string" && ids.trim().startsWith("[")) {
+    try {
+      ids = JSON.parse(ids);
+    } catch {
+      throw new AppError("documentIds 형식이 올바르지 않습니다.", 400);
+    }
+  }
+  const list = Array.isArray(ids) ? ids : String(ids).split(",");
+  return list.map((id) => String(id).trim()).filter(Boolean);
+};
+
+/**
+ * 업로드 파일들과 보관한 문서(documentId / documentIds)를 생성 입력 목록으로 변환
+ * - 파일 형식 · 문서 소유 · 요청 구성(assertSources)을 모두 확인한 뒤에 새 업로드를 보관하여, 거부된 요청이 보관함에 문서를 남기지 않게 함
+ * - 로그인 사용자의 업로드는 문서 보관함에 저장하여 documentId를 부여 (다음 요청부터 재업로드 불필요)
+ * @param {import("express").Request} req
+ * @param {(sources: object[]) => void} [assertSources] - 입력 구성 검증 (실패 시 AppError)
+ * @returns {Promise<{ buffer: Buffer, fileName: string, mimeType: string, pages: string|null, includeNotes: boolean, documentId?: number }[]>}
+ */
+const resolveUploadSources = async (req, assertSources = () => {}) => {
+  const extractOptions = normalizeExtractOptions(req.body);
+  const uploads = req.files ?? (req.file ? [req.file] : []);
+  const documentIds = readDocumentIds(req.body);
+
+  if (documentIds.length > 0 && !req.user) {
+    throw new AppError("보관한 문서를 사용하려면 로그인이 필요합니다.", 401);
+  }
+
+  const uploadFiles = uploads.map(toUploadFile);
+  const documents = [];
+  for (const documentId of documentIds) documents.push(await loadDocumentSource(req.user.id, documentId));
+
+  const sources = [...uploadFiles.map(({ file }) => file), ...documents].map((source) => ({ ...source, ...extractOptions }));
+  if (sources.length === 0) throw new AppError(SOURCE_REQUIRED_MESSAGE, 400);
+  assertSources(sources);
+
+  if (req.user) {
+    for (const [i, { file, fileType }] of uploadFiles.entries()) {
+      const documentId = await storeUploadedDocument(req.user.id, file, fileType);
+      if (documentId) sources[i].documentId = documentId;
+    }
+  }
+  return sources;
+};
+
+// 파일 하나만 받는 생성 (원문 문제 생성)
+const resolveUploadSource = async (req) => {
+  const [source] = await resolveUploadSources(req, (sources) => {
+    if (sources.length > 1) {
+      throw new AppError("이 요청은 파일 하나만 사용할 수 있습니다.", 400, { code: "MULTIPLE_FILES_NOT_ALLOWED" });
+    }
+  });
+  return source;
+};
+
+// 비동기 요약 작업 파라미터 (여러 파일은 보관한 문서 id로만 작업에 전달)
+const toSummaryJob = (options, sources) => {
+  if (sources.length === 1) {
+    const [source] = sources;
+    return {
+      params: {
+        options,
+        mimeType: source.mimeType,
+        pages: source.pages,
+        includeNotes: source.includeNotes,
+        documentId: source.documentId,
+      },
+      fileName: source.fileName,
+      inputFile: source.buffer,
+    };
+  }
+
+  if (sources.some((source) => !source.documentId)) {
+    throw new Error("여러 파일 비동기 요약에 필요한 문서 보관에 실패했습니다.");
+  }
+  return {
+    params: {
+      options,
+      includeNotes: sources[0].includeNotes,
+      documentIds: sources.map((source) => source.documentId),
+    },
+    fileName: `${sources[0].fileName} 외 ${sources.length - 1}개`,
+  };
+};
+
+// 작업 등록 후 202 응답
+const sendJobAccepted = (res, job) => {
+  wakeJobWorker();
+  return res.status(202).json({
+    success: true,
+    message: "생성 작업이 등록되었습니다.",
+    jobId: job.job_id,
+    status: job.status,
+    statusUrl: `/api/ai/jobs/${job.job_id}`,
+  });
+};
 
 const aiController = {
   /**
-   * 파일 업로드 후 텍스트 요약 생성
-   * POST /api/ai/summarize
+   * 파일 업로드(또는 보관한 문서의 documentId) 후 텍스트 요약 생성
+   * - 여러 파일(file 필드 반복 · documentIds)은 비교 통합 요약 유형에서만 허용
+   * POST /api/ai/summarize (?async=true 시 작업 등록 후 즉시 jobId 반환)
    */
   async summarize(req, res) {
     try {
-      const file = req.file;
-      const {
-        summaryType = "기본 요약",
-        level = "비전공자",
-        field = "일반",
-        language = "ko",
-      } = req.body;
-
-      if (!file) {
-        return res.status(400).json({
+      if (isAsyncRequest(req) && !req.user) {
+        return res.status(401).json({
           success: false,
-          message: "파일이 필요합니다. (PDF 또는 PPTX)",
+          message: "비동기 생성은 로그인이 필요합니다.",
         });
       }
-
-      // 파일 타입별 텍스트 추출
-      let extractedText = "";
-      const mimeType = file.mimetype;
-
-      // 파일명 한글 출력
-      const decodedOriginalname = Buffer.from(
-        file.originalname,
-        "latin1",
-      ).toString("utf8");
-      file.originalname = decodedOriginalname;
-
-      const originalName = file.originalname.toLowerCase();
-
-      if (mimeType === "application/pdf" || originalName.endsWith(".pdf")) {
-        logger.info(`PDF 텍스트 추출 시작: ${file.originalname}`);
-        extractedText = await extractTextFromPdf(file.buffer);
-      } else if (
-        mimeType ===
-          "application/vnd.openxmlformats-officedocument.presentationml.presentation" ||
-        originalName.endsWith(".pptx")
-      ) {
-        logger.info(`PPTX 텍스트 추출 시작: ${file.originalname}`);
-        extractedText = await extractTextFromPptx(file.buffer);
-      } else {
-        return res.status(400).json({
-          success: false,
-          message: "PDF 또는 PPTX 파일만 지원합니다.",
-        });
+      // 작업 등록 시점에는 캐시 적중 여부를 알 수 없으므로 AI 생성 횟수 초과 시 등록하지 않음
+      if (isAsyncRequest(req) && res.locals.aiCacheOnly) {
+        throw new AppError(AI_GENERATION_LIMIT_MESSAGE, 429, { code: "AI_GENERATION_LIMITED" });
       }
 
-      if (!extractedText || extractedText.trim().length < 50) {
-        return res.status(422).json({
-          success: false,
-          message:
-            "파일에서 충분한 텍스트를 추출하지 못했습니다. 텍스트가 포함된 파일인지 확인해주세요.",
+      const options = normalizeSummaryOptions(req.body);
+      const sources = await resolveUploadSources(req, (files) => assertSummaryFiles(options, files));
+
+      if (isAsyncRequest(req)) {
+        const job = await GenerationJob.create({
+          userId: req.user.id,
+          jobType: "summary",
+          ...toSummaryJob(options, sources),
         });
+        logger.info(`요약 작업 등록 - jobId: ${job.job_id}, 파일: ${job.file_name}`);
+        return sendJobAccepted(res, job);
       }
 
-      // content를 프롬프트에 넣기 전에 토큰 제한 적용 (callChatGpt 내부가 아닌 여기서 처리하여 문서 전체가 가능한 한 포함되도록)
-      const safeContent = truncateByTokens(extractedText, MAX_CONTENT_TOKENS_SUMMARY);
-
-      // 프롬프트 생성
-      // SUMMARY_TYPES 형식: '내용 요약_기본 요약' — 프론트에서 단축형으로 올 경우 전체 키로 변환
-      const summaryTypeKey = summaryType.includes("_")
-        ? summaryType
-        : `내용 요약_${summaryType}`;
-      const { system: systemMessage, user: userMessage } = getPrompt(
-        summaryTypeKey,
-        safeContent,
-        {
-          summaryLevel: level,
-          field,
-        },
-      );
-
-      if (!systemMessage) {
-        logger.warn(`알 수 없는 요약 타입: ${summaryTypeKey}`);
-        return res
-          .status(400)
-          .json({
-            success: false,
-            message: `지원하지 않는 요약 타입입니다: ${summaryType}`,
-          });
-      }
+      // AI 생성 횟수를 모두 사용한 경우(aiCacheOnly) 캐시에 있는 요약만 반환
+      const result = await runSummary(sources, options, { cacheOnly: res.locals.aiCacheOnly });
+      // 캐시 적중은 AI 생성 횟수 제한에서 제외 (aiGenerationLimiter.requestWasSuccessful)
+      res.locals.aiCacheHit = result.cached;
+      recordUsage(req.user?.id, "ai/summarize", result.usage);
 
-      logger.info(
-        `요약 생성 시작 - 타입: ${summaryTypeKey}, 레벨: ${level}, 분야: ${field}, ` +
-        `원본 ${extractedText.length}자 → 전달 ${safeContent.length}자`,
-      );
+      return res.status(200).json({ success: true, ...result });
+    } catch (error) {
+      return sendGenerationError(res, error, "요약 생성 오류");
+    }
+  },
 
-      // OpenAI 호출
-      const { result: summaryResult } = await callChatGpt(
-        systemMessage,
-        userMessage,
-      );
+  /**
+   * 파일 업로드 후 요약을 SSE로 스트리밍
+   * POST /api/ai/summarize/stream
+   * events: progress { stage, completed?, total? } → delta { text } → done { summary, usage, ... } | error { message }
+   */
+  async summarizeStream(req, res) {
+    let options;
+    let sources;
+    try {
+      options = normalizeSummaryOptions(req.body);
+      sources = await resolveUploadSources(req, (files) => assertSummaryFiles(options, files));
+    } catch (error) {
+      return sendGenerationError(res, error, "요약 스트리밍 오류");
+    }
 
-      logger.info(`요약 생성 완료 - 파일: ${file.originalname}`);
+    const stream = openSseStream(res);
 
-      return res.status(200).json({
-        success: true,
-        fileName: file.originalname,
-        summaryType,
-        level,
-        field,
-        summary: summaryResult,
-      });
+    try {
+      const result = await runSummary(
+        sources,
+        options,
+        {
+          onStage: (stage, detail) => stream.send("progress", { stage, ...detail }),
+          onDelta: (text) => stream.send("delta", { text }),
+          signal: stream.signal,
+          cacheOnly: res.locals.aiCacheOnly,
+        },
+      );
+      res.locals.aiCacheHit = result.cached;
+      recordUsage(req.user?.id, "ai/summarize/stream", result.usage);
+      stream.send("done", { success: true, ...result });
     } catch (error) {
-      logger.error("요약 생성 오류:", error);
+      if (stream.signal.aborted) {
+        logger.info(`요약 스트리밍 취소 - 클라이언트 연결 종료: ${sources.map((source) => source.fileName).join(", ")}`);
+      } else {
+        logger.error("요약 스트리밍 오류:", error);
+        stream.send("error", {
+          success: false,
+          status: error.statusCode || 500,
+          message: error.name === "AppError" ? error.message : "요약 생성 중 오류가 발생했습니다.",
+        });
+      }
+    } finally {
+      stream.end();
+    }
+  },
 
-      if (error.message?.includes("OpenAI")) {
-        return res.status(502).json({
+  /**
+   * 업로드 파일의 페이지 / 슬라이드 수와 각 페이지 첫 줄 (범위 선택 UI용, LLM 호출 없음)
+   * POST /api/ai/inspect
+   */
+  async inspect(req, res) {
+    try {
+      const file = req.file;
+
+      if (!file) {
+        return res.status(400).json({
           success: false,
-          message: "AI 서비스 오류가 발생했습니다. 잠시 후 다시 시도해주세요.",
-          error: error.message,
+          message: FILE_REQUIRED_MESSAGE,
         });
       }
 
-      return res.status(500).json({
-        success: false,
-        message: "서버 오류가 발생했습니다.",
-        error: error.message,
+      file.originalname = decodeFileName(file.originalname);
+
+      const result = await inspectUploadedFile({
+        buffer: file.buffer,
+        fileName: file.originalname,
+        mimeType: file.mimetype,
       });
+      return res.status(200).json({ success: true, ...result });
+    } catch (error) {
+      return sendGenerationError(res, error, "파일 구성 확인 오류");
     }
   },
 
   /**
    * 요약 텍스트로 문제 생성
-   * POST /api/ai/generate
+   * POST /api/ai/generate (async: true 시 작업 등록 후 즉시 jobId 반환)
    */
   async generateQuestions(req, res) {
     try {
-      const {
-        summaryText,
-        questionType = "n지선다",
-        questionCount = 5,
-        level = "비전공자",
-        field = "일반",
-        language = "ko",
-      } = req.body;
+      const { summaryText } = req.body;
 
       if (!summaryText || summaryText.trim().length < 30) {
         return res.status(400).json({
@@ -207,111 +303,119 @@ const aiController = {
         });
       }
 
-      // 프론트에서 다양한 형식으로 올 수 있는 questionType을 내부 키로 정규화
-      const normalizedType = QUESTION_TYPE_NORMALIZE_MAP[questionType];
+      const options = normalizeQuestionOptions(req.body);
 
-      if (!normalizedType) {
-        logger.warn(`유효하지 않은 문제 타입 수신: "${questionType}"`);
-        return res.status(400).json({
-          success: false,
-          message: `유효하지 않은 문제 타입입니다. 가능한 타입: ${VALID_TYPES.join(", ")}`,
-          receivedType: questionType,
+      if (isAsyncRequest(req)) {
+        if (!req.user) {
+          return res.status(401).json({
+            success: false,
+            message: "비동기 생성은 로그인이 필요합니다.",
+          });
+        }
+        const job = await GenerationJob.create({
+          userId: req.user.id,
+          jobType: "questions",
+          params: { options, summaryText },
         });
+        logger.info(`문제 생성 작업 등록 - jobId: ${job.job_id}`);
+        return sendJobAccepted(res, job);
       }
 
-      // 문제 개수 제한
-      const count = Math.min(Math.max(parseInt(questionCount) || 5, 1), 20);
+      const result = await runQuestionGeneration(summaryText, options);
+      recordUsage(req.user?.id, "ai/generate", result.usage);
 
-      // content를 프롬프트에 넣기 전에 토큰 제한 적용
-      const safeContent = truncateByTokens(summaryText, MAX_CONTENT_TOKENS_QUESTION);
-
-      // 프롬프트 키 변환
-      const questionTypeKey = QUESTION_TYPE_TO_PROMPT_KEY[normalizedType];
-      const { system: systemMessage, user: userMessage } = getPrompt(
-        questionTypeKey,
-        safeContent,
-        {
-          questionLevel: level,
-          questionCount: count,
-          field,
-        },
-      );
+      return res.status(200).json({ success: true, ...result });
+    } catch (error) {
+      return sendGenerationError(res, error, "문제 생성 오류");
+    }
+  },
 
-      if (!systemMessage) {
-        logger.warn(`알 수 없는 문제 타입: ${questionTypeKey}`);
-        return res
-          .status(400)
-          .json({
-            success: false,
-            message: `지원하지 않는 문제 타입입니다: ${questionType}`,
-          });
+  /**
+   * 파일 업로드(또는 보관한 문서의 documentId) 후 원문으로 문제 생성 (요약 단계 없이)
+   * POST /api/ai/generate/file (?async=true 시 작업 등록 후 즉시 jobId 반환)
+   */
+  async generateQuestionsFromFile(req, res) {
+    try {
+      if (isAsyncRequest(req) && !req.user) {
+        return res.status(401).json({
+          success: false,
+          message: "비동기 생성은 로그인이 필요합니다.",
+        });
       }
 
-      logger.info(
-        `문제 생성 시작 - 원본타입: ${questionType}, 정규화: ${normalizedType}, 개수: ${count}, 레벨: ${level}`,
-      );
-
-      // OpenAI 호출
-      const { result: rawResult } = await callChatGpt(
-        systemMessage,
-        userMessage,
-      );
-
-      // JSON 파싱 시도
-      let parsedData;
-      try {
-        // JSON 코드블록 제거 후 파싱
-        const cleaned = rawResult.replace(/```json\n?|\n?```/g, "").trim();
-        parsedData = JSON.parse(cleaned);
-      } catch (parseError) {
-        logger.warn("JSON 파싱 실패, 원본 텍스트 반환:", parseError.message);
-        return res.status(200).json({
-          success: true,
-          questionType: normalizedType,
-          count,
-          level,
-          field,
-          questions: rawResult,
-          parsed: false,
+      const options = normalizeQuestionOptions(req.body);
+      const source = await resolveUploadSource(req);
+
+      if (isAsyncRequest(req)) {
+        const job = await GenerationJob.create({
+          userId: req.user.id,
+          jobType: "questions",
+          params: {
+            options,
+            mimeType: source.mimeType,
+            pages: source.pages,
+            includeNotes: source.includeNotes,
+            documentId: source.documentId,
+          },
+          fileName: source.fileName,
+          inputFile: source.buffer,
         });
+        logger.info(`파일 문제 생성 작업 등록 - jobId: ${job.job_id}, 파일: ${source.fileName}`);
+        return sendJobAccepted(res, job);
       }
 
-      // GPT는 { "questions": [...] } 형태로 응답 → questions 배열만 추출
-      const questionsArray = Array.isArray(parsedData)
-        ? parsedData
-        : (parsedData.questions ?? []);
+      const result = await runFileQuestionGeneration(source, options);
+      recordUsage(req.user?.id, "ai/generate/file", result.usage);
 
-      logger.info(
-        `문제 생성 완료 - 타입: ${normalizedType}, 개수: ${questionsArray.length}`,
-      );
+      return res.status(200).json({ success: true, ...result });
+    } catch (error) {
+      return sendGenerationError(res, error, "파일 문제 생성 오류");
+    }
+  },
 
-      return res.status(200).json({
-        success: true,
-        questionType: normalizedType,
-        count,
-        level,
-        field,
-        questions: questionsArray,
-        parsed: true,
-      });
+  /**
+   * 생성 작업 상태 / 결과 조회
+   * GET /api/ai/jobs/:id
+   */
+  async getJob(req, res) {
+    try {
+      const jobId = Number(req.params.id);
+      if (!Number.isInteger(jobId) || jobId < 1) {
+        return res.status(400).json({ success: false, message: "작업 ID는 양의 정수여야 합니다." });
+      }
+      const job = await GenerationJob.findById(jobId);
+      if (!job) return res.status(404).json({ success: false, message: "작업을 찾을 수 없습니다." });
+      if (job.user_id !== req.user.id) {
+        return res.status(403).json({ success: false, message: "해당 작업을 조회할 권한이 없습니다." });
+      }
+      return res.status(200).json({ success: true, job });
     } catch (error) {
-      logger.error("문제 생성 오류:", error);
+      logger.error("생성 작업 조회 오류:", error);
+      return res.status(500).json({ success: false, message: "서버 오류가 발생했습니다." });
+    }
+  },
 
-      if (error.message?.includes("OpenAI")) {
-        return res.status(502).json({
+  /**
+   * 내 생성 작업 목록 조회
+   * GET /api/ai/jobs?status=queued&limit=20
+   */
+  async getMyJobs(req, res) {
+    try {
+      const { status } = req.query;
+      if (status && !JOB_STATUSES.includes(status)) {
+        return res.status(400).json({
           success: false,
-          message: "AI 서비스 오류가 발생했습니다. 잠시 후 다시 시도해주세요.",
-          error: error.message,
+          message: `유효하지 않은 상태값입니다. 가능한 값: ${JOB_STATUSES.join(", ")}`,
         });
       }
-
-      return res.status(500).json({
-        success: false,
-        message: "서버 오류가 발생했습니다.",
-        error: error.message,
-      });
+      const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+      const jobs = await GenerationJob.findByUserId(req.user.id, { status, limit });
+      return res.status(200).json({ success: true, count: jobs.length, jobs });
+    } catch (error) {
+      logger.error("생성 작업 목록 조회 오류:", error);
+      return res.status(500).json({ success: false, message: "서버 오류가 발생했습니다." });
     }
   },
 };
 
-export default aiController;
\ No newline at end of file
+export default aiController;
@@ -0,0 +1,221 @@
+import QuizAttempt from '../models/quizAttemptModel.js';
+import Question from '../models/questionModel.js';
+import { readSavedQuestions, getQuestionType, gradeAnswer } from '../utils/quizGrader.js';
+import { RUBRIC_GRADED_TYPES, gradeWithRubric } from '../utils/rubricGrader.js';
+import { recordUsage } from '../utils/usageLedger.js';
+import { AI_GENERATION_LIMIT_MESSAGE } from '../middlewares/rateLimiter.js';
+import logger from '../utils/logger.js';
+
+// 풀이 화면에 내려주지 않는 정답 · 해설 필드
+const ANSWER_FIELDS = ['correct_answer', 'correct_sequence', 'correct_answers', 'model_answer', 'grading_criteria', 'explanation'];
+
+// 타입별 답안 형식 (답안을 해석할 수 없을 때 안내)
+const ANSWER_FORMATS = {
+  n지선다: '선택지 id',
+  참거짓: 'true / false',
+  순서배열: '항목 id 배열',
+  빈칸채우기: '빈칸 순서대로 선택지 text 배열',
+  단답: '답안 문자열',
+  서술: '답안 문자열',
+};
+
+// 정답을 뺀 풀이용 문제 (문제별 question_type 포함)
+function toQuizQuestion(question, setType, index) {
+  const quizQuestion = Object.fromEntries(Object.entries(question).filter(([key]) => !ANSWER_FIELDS.includes(key)));
+  return { ...quizQuestion, question_index: index, question_type: getQuestionType(setType, question) };
+}
+
+// 풀이 요약 (답한 문제 수 · 채점 대기 문제 수)
+function withProgress(attempt, answers) {
+  return {
+    ...attempt,
+    answered_count: answers.length,
+    pending_count: answers.filter((answer) => answer.is_correct === null).length,
+  };
+}
+
+// 풀이 조회 + 소유자 확인 (실패 시 응답을 보내고 null 반환)
+async function findOwnedOrRespond(req, res) {
+  const attempt = await QuizAttempt.findById(req.params.id);
+  if (!attempt) {
+    res.status(404).json({ success: false, message: '풀이를 찾을 수 없습니다.' });
+    return null;
+  }
+  if (attempt.user_id !== req.user.id) {
+    res.status(403).json({ success: false, message: '해당 풀이에 접근할 권한이 없습니다.' });
+    return null;
+  }
+  return attempt;
+}
+
+// 경로의 문제 번호 (범위를 벗어나면 응답을 보내고 null 반환)
+function readQuestionIndexOrRespond(req, res, attempt) {
+  const questionIndex = Number(req.params.index);
+  if (!Number.isInteger(questionIndex) || questionIndex < 0 || questionIndex >= attempt.question_count) {
+    res.status(400).json({ success: false, message: `문제 번호는 0 ~ ${attempt.question_count - 1} 사이여야 합니다.` });
+    return null;
+  }
+  return questionIndex;
+}
+
+const attemptController = {
+  // 저장한 문제 세트로 풀이 시작 (정답을 뺀 문제 목록 반환)
+  async startAttempt(req, res) {
+    try {
+      const { questionId } = req.body;
+      if (!questionId) return res.status(400).json({ success: false, message: 'questionId가 필요합니다.' });
+      const questionSet = await Question.findById(questionId);
+      if (!questionSet) return res.status(404).json({ success: false, message: '문제를 찾을 수 없습니다.' });
+      if (questionSet.user_id !== req.user.id) return res.status(403).json({ success: false, message: '해당 문제를 풀 권한이 없습니다.' });
+      const questions = readSavedQuestions(questionSet.question_data?.question_text);
+      if (!questions?.length) return res.status(422).json({ success: false, message: '문제 세트 형식이 올바르지 않아 풀이할 수 없습니다.' });
+      const attempt = await QuizAttempt.create({ userId: req.user.id, questionId: questionSet.selection_id, questionCount: questions.length });
+      return res.status(201).json({
+        success: true,
+        attempt: withProgress(attempt, []),
+        questions: questions.map((question, index) => toQuizQuestion(question, questionSet.question_type, index)),
+      });
+    } catch (error) {
+      logger.error('풀이 시작 오류:', error);
+      return res.status(500).json({ success: false, message: '서버 오류가 발생했습니다.' });
+    }
+  },
+
+  // 문제별 답안 제출 (객관식은 바로 채점, 단답 · 서술은 채점 대기)
+  async submitAnswer(req, res) {
+    try {
+      const attempt = await findOwnedOrRespond(req, res);
+      if (!attempt) return;
+      if (attempt.status !== 'in_progress') return res.status(409).json({ success: false, message: '이미 완료한 풀이입니다.', code: 'ATTEMPT_COMPLETED' });
+
+      const questionIndex = readQuestionIndexOrRespond(req, res, attempt);
+      if (questionIndex === null) return;
+      const { answer } = req.body;
+      if (answer === undefined || answer === null || answer === '') return res.status(400).json({ success: false, message: '답안(answer)이 필요합니다.' });
+
+      const questionSet = await Question.findById(attempt.question_id);
+      const question = readSavedQuestions(questionSet?.question_data?.question_text)?.[questionIndex];
+      if (!question) return res.status(404).json({ success: false, message: '문제를 찾을 수 없습니다.' });
+      const questionType = getQuestionType(questionSet.question_type, question);
+      const grade = gradeAnswer(questionType, question, answer);
+      if (!grade) return res.status(400).json({ success: false, message: `답안 형식이 올바르지 않습니다. (${questionType}: ${ANSWER_FORMATS[questionType]})` });
+
+      const saved = await QuizAttempt.saveAnswer(attempt.attempt_id, {
+        questionIndex,
+        questionType,
+        answer,
+        isCorrect: grade.correct,
+        score: grade.score,
+        result: grade,
+      });
+      if (!saved) return res.status(409).json({ success: false, message: '이미 완료한 풀이입니다.', code: 'ATTEMPT_COMPLETED' });
+      const updated = await QuizAttempt.refreshTotals(attempt.attempt_id);
+
+      return res.status(200).json({
+        success: true,
+        questionIndex,
+        questionType,
+        result: grade.gradable ? { ...grade, explanation: question.explanation } : grade,
+        attempt: updated,
+      });
+    } catch (error) {
+      logger.error('풀이 답안 제출 오류:', error);
+      return res.status(500).json({ success: false, message: '서버 오류가 발생했습니다.' });
+    }
+  },
+
+  // 제출한 단답 · 서술 답안을 채점 기준표로 AI 채점 (완료한 풀이도 가능, 같은 답안은 저장된 채점 결과 반환)
+  async gradeSubjectiveAnswer(req, res) {
+    try {
+      const attempt = await findOwnedOrRespond(req, res);
+      if (!attempt) return;
+      const questionIndex = readQuestionIndexOrRespond(req, res, attempt);
+      if (questionIndex === null) return;
+
+      const saved = await QuizAttempt.findAnswer(attempt.attempt_id, questionIndex);
+      if (!saved) return res.status(404).json({ success: false, message: '먼저 답안을 제출해주세요.', code: 'ANSWER_NOT_FOUND' });
+      if (!RUBRIC_GRADED_TYPES.includes(saved.question_type))
+        return res.status(400).json({ success: false, message: '단답형 · 서술형 문제만 AI 채점할 수 있습니다. (객관식은 답안 제출 시 자동 채점)' });
+      if (saved.result?.grading) {
+        res.locals.aiCacheHit = true;
+        return res.status(200).json({ success: true, questionIndex, questionType: saved.question_type, grading: saved.result.grading, cached: true, attempt });
+      }
+      // AI 생성 횟수를 모두 사용했으면 저장된 채점 결과만 반환 (aiGenerationLimiter 캐시 전용 모드)
+      if (res.locals.aiCacheOnly)
+        return res.status(429).json({ success: false, message: AI_GENERATION_LIMIT_MESSAGE, code: 'AI_GENERATION_LIMITED' });
+
+      const questionSet = await Question.findById(attempt.question_id);
+      const question = readSavedQuestions(questionSet?.question_data?.question_text)?.[questionIndex];
+      if (!question) return res.status(404).json({ success: false, message: '문제를 찾을 수 없습니다.' });
+
+      const { grading, cached, usage } = await gradeWithRubric({
+        questionId: attempt.question_id,
+        questionIndex,
+        questionType: saved.question_type,
+        question,
+        answer: saved.answer,
+      });
+      res.locals.aiCacheHit = cached;
+      recordUsage(req.user.id, 'attempts/grade', usage);
+
+      const graded = await QuizAttempt.saveGrading(attempt.attempt_id, questionIndex, {
+        answer: saved.answer,
+        isCorrect: grading.correct,
+        score: grading.score,
+        result: { gradable: true, correct: grading.correct, score: grading.score, grading },
+      });
+      if (!graded) return res.status(409).json({ success: false, message: '채점 중에 답안이 변경되었습니다. 다시 채점해주세요.', code: 'ANSWER_CHANGED' });
+      const updated = await QuizAttempt.refreshTotals(attempt.attempt_id);
+
+      return res.status(200).json({ success: true, questionIndex, questionType: saved.question_type, grading, cached, attempt: updated, usage });
+    } catch (error) {
+      logger.error('답안 AI 채점 오류:', error);
+      if (error.message?.includes('OpenAI'))
+        return res.status(502).json({ success: false, message: 'AI 서비스 오류가 발생했습니다. 잠시 후 다시 시도해주세요.', error: error.message });
+      return res.status(500).json({ success: false, message: '서버 오류가 발생했습니다.', error: error.message });
+    }
+  },
+
+  // 풀이 완료 (답하지 않은 문제는 0점)
+  async completeAttempt(req, res) {
+    try {
+      const attempt = await findOwnedOrRespond(req, res);
+      if (!attempt) return;
+      const completed = await QuizAttempt.complete(attempt.attempt_id);
+      if (!completed) return res.status(409).json({ success: false, message: '이미 완료한 풀이입니다.', code: 'ATTEMPT_COMPLETED' });
+      const answers = await QuizAttempt.findAnswers(attempt.attempt_id);
+      return res.status(200).json({ success: true, attempt: withProgress(completed, answers), answers });
+    } catch (error) {
+      logger.error('풀이 완료 오류:', error);
+      return res.status(500).json({ success: false, message: '서버 오류가 발생했습니다.' });
+    }
+  },
+
+  // 풀이 상세 조회 (문제별 답안 · 채점 결과 포함)
+  async getAttempt(req, res) {
+    try {
+      const attempt = await findOwnedOrRespond(req, res);
+      if (!attempt) return;
+      const answers = await QuizAttempt.findAnswers(attempt.attempt_id);
+      return res.status(200).json({ success: true, attempt: withProgress(attempt, answers), answers });
+    } catch (error) {
+      logger.error('풀이 조회 오류:', error);
+      return res.status(500).json({ success: false, message: '서버 오류가 발생했습니다.' });
+    }
+  },
+
+  // 내 풀이 목록 (?questionId= 로 문제 세트별 조회)
+  async getMyAttempts(req, res) {
+    try {
+      const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+      const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+      const attempts = await QuizAttempt.findByUserId(req.user.id, { questionId: parseInt(req.query.questionId) || null, limit, offset });
+      return res.status(200).json({ success: true, count: attempts.length, attempts });
+    } catch (error) {
+      logger.error('풀이 목록 조회 오류:', error);
+      return res.status(500).json({ success: false, message: '서버 오류가 발생했습니다.' });
+    }
+  },
+};
+
+export default attemptController;
@@ -1,6 +1,16 @@
-import { callChatGpt, truncateByTokens } from '../utils/openaiService.js';
+import { getProvider } from '../utils/providers/index.js';
+import { countTokens, getContentBudget, truncateByTokens } from '../utils/tokenCounter.js';
 import { getPrompt } from '../prompts/promptManager.js';
 import { DEMO_CONTENTS, getDemoTopics } from '../prompts/demoContent.js';
+import {
+  COMPARISON_SUMMARY_TYPE,
+  addUsage,
+  createUsage,
+  normalizeSummaryOptions,
+  summarizeText,
+} from '../utils/generationService.js';
+import { openSseStream } from '../utils/sse.js';
+import { recordUsage } from '../utils/usageLedger.js';
 import logger from '../utils/logger.js';
 
 const QUESTION_TYPE_NORMALIZE_MAP = {
@@ -40,7 +50,7 @@ const QUESTION_TYPE_TO_PROMPT_KEY = {
   서술: '문제 생성_서술형',
 };
 
-const MAX_CONTENT_TOKENS_SUMMARY  = 20000;
+// 문제 생성 호출당 content 상한 (실제 예산은 getContentBudget으로 모델 컨텍스트 윈도우에 맞춤)
 const MAX_CONTENT_TOKENS_QUESTION = 15000;
 
 const demoController = {
@@ -62,12 +72,7 @@ const demoController = {
    */
   async summarize(req, res) {
     try {
-      const {
-        topicKey,
-        summaryType = '기본 요약',
-        level = '비전공자',
-        field = '일반',
-      } = req.body;
+      const { topicKey } = req.body;
 
       const topic = DEMO_CONTENTS[topicKey];
       if (!topic) {
@@ -77,41 +82,29 @@ const demoController = {
         });
       }
 
-      const safeContent = truncateByTokens(topic.text, MAX_CONTENT_TOKENS_SUMMARY);
-
-      const summaryTypeKey = summaryType.includes('_')
-        ? summaryType
-        : `내용 요약_${summaryType}`;
-
-      const { system: systemMessage, user: userMessage } = getPrompt(
-        summaryTypeKey,
-        safeContent,
-        { summaryLevel: level, field },
-      );
-
-      if (!systemMessage) {
+      const options = normalizeSummaryOptions(req.body);
+      // 데모 주제는 텍스트 하나뿐이므로 여러 파일 비교 통합 요약은 제외
+      if (options.summaryTypeKey === COMPARISON_SUMMARY_TYPE) {
         return res.status(400).json({
           success: false,
-          message: `지원하지 않는 요약 타입입니다: ${summaryType}`,
+          message: `지원하지 않는 요약 타입입니다: ${options.summaryType}`,
         });
       }
 
-      logger.info(`[DEMO] 요약 생성 시작 - 주제: ${topic.title}, 타입: ${summaryTypeKey}, 레벨: ${level}`);
+      logger.info(`[DEMO] 요약 생성 시작 - 주제: ${topic.title}, 타입: ${options.summaryTypeKey}, 레벨: ${options.level}`);
 
-      const { result: summaryResult } = await callChatGpt(systemMessage, userMessage);
+      // 스트리밍 데모 · 파일 요약과 같은 경로 (예산 초과 시 청크 분할 → 부분 요약 병합)
+      const result = await summarizeText(topic.text, options, {}, { topicKey, topicTitle: topic.title });
+      recordUsage(req.user.id, 'demo/summarize', result.usage);
 
       logger.info(`[DEMO] 요약 생성 완료 - 주제: ${topic.title}`);
 
-      return res.status(200).json({
-        success: true,
-        topicKey,
-        topicTitle: topic.title,
-        summaryType,
-        level,
-        field,
-        summary: summaryResult,
-      });
+      return res.status(200).json({ success: true, ...result });
     } catch (error) {
+      if (error.name === 'AppError' && error.statusCode < 500) {
+        return res.status(error.statusCode).json({ success: false, message: error.message });
+      }
+
       logger.error('[DEMO] 요약 생성 오류:', error);
 
       if (error.message?.includes('OpenAI')) {
@@ -129,6 +122,68 @@ const demoController = {
     }
   },
 
+  /**
+   * 미리 정의된 텍스트로 요약을 SSE로 스트리밍
+   * POST /api/demo/summarize/stream
+   * body: { topicKey, summaryType?, level?, field? }
+   * events: progress { stage, completed?, total? } → delta { text } → done { summary, usage, ... } | error { message }
+   */
+  async summarizeStream(req, res) {
+    const { topicKey } = req.body;
+
+    const topic = DEMO_CONTENTS[topicKey];
+    if (!topic) {
+      return res.status(400).json({
+        success: false,
+        message: `존재하지 않는 데모 주제입니다: "${topicKey}". 사용 가능한 주제는 GET /api/demo/topics 에서 확인하세요.`,
+      });
+    }
+
+    let options;
+    try {
+      options = normalizeSummaryOptions(req.body);
+    } catch (error) {
+      return res.status(error.statusCode || 500).json({ success: false, message: error.message });
+    }
+
+    // 데모 주제는 텍스트 하나뿐이므로 여러 파일 비교 통합 요약은 제외
+    if (options.summaryTypeKey === COMPARISON_SUMMARY_TYPE) {
+      return res.status(400).json({
+        success: false,
+        message: `지원하지 않는 요약 타입입니다: ${options.summaryType}`,
+      });
+    }
+
+    const stream = openSseStream(res);
+    logger.info(`[DEMO] 요약 스트리밍 시작 - 주제: ${topic.title}, 타입: ${options.summaryTypeKey}`);
+
+    try {
+      // 데모는 미리 정의된 텍스트를 사용하지만 프론트 처리 흐름을 맞추기 위해 추출 단계도 알림
+      stream.send('progress', { stage: 'extracting' });
+      const result = await summarizeText(
+        topic.text,
+        options,
+        {
+          onStage: (stage, detail) => stream.send('progress', { stage, ...detail }),
+          onDelta: (text) => stream.send('delta', { text }),
+          signal: stream.signal,
+        },
+        { topicKey, topicTitle: topic.title },
+      );
+      recordUsage(req.user.id, 'demo/summarize/stream', result.usage);
+      stream.send('done', { success: true, ...result });
+    } catch (error) {
+      if (stream.signal.aborted) {
+        logger.info(`[DEMO] 요약 스트리밍 취소 - 주제: ${topic.title}`);
+      } else {
+        logger.error('[DEMO] 요약 스트리밍 오류:', error);
+        stream.send('error', { success: false, message: '요약 생성 중 오류가 발생했습니다.' });
+      }
+    } finally {
+      stream.end();
+    }
+  },
+
   /**
    * 미리 정의된 텍스트로 즉시 문제 생성 (파일 업로드 불필요)
    * POST /api/demo/generate
@@ -165,33 +220,36 @@ const demoController = {
       }
 
       const count = Math.min(Math.max(parseInt(questionCount) || 5, 1), 20);
-      const safeContent = truncateByTokens(topic.text, MAX_CONTENT_TOKENS_QUESTION);
-
       const questionTypeKey = QUESTION_TYPE_TO_PROMPT_KEY[normalizedType];
-      const { system: systemMessage, user: userMessage } = getPrompt(
-        questionTypeKey,
-        safeContent,
-        {
-          questionLevel: level,
-          questionCount: count,
-          field,
-          choiceCount,
-          choiceFormat,
-          arrayChoiceCount,
-          blankCount,
-        },
-      );
+      const promptParams = {
+        questionLevel: level,
+        questionCount: count,
+        field,
+        choiceCount,
+        choiceFormat,
+        arrayChoiceCount,
+        blankCount,
+      };
+      const emptyPrompt = getPrompt(questionTypeKey, '', promptParams);
 
-      if (!systemMessage) {
+      if (!emptyPrompt.system) {
         return res.status(400).json({
           success: false,
           message: `지원하지 않는 문제 타입입니다: ${questionType}`,
         });
       }
 
+      // 파일 문제 생성과 같게 모델 컨텍스트 윈도우에 맞춘 예산으로 자름
+      const llm = getProvider('questions');
+      const budget = getContentBudget(llm, emptyPrompt, MAX_CONTENT_TOKENS_QUESTION);
+      const safeContent = truncateByTokens(topic.text, budget, llm.model);
+      const { system: systemMessage, user: userMessage } = getPrompt(questionTypeKey, safeContent, promptParams);
+
       logger.info(`[DEMO] 문제 생성 시작 - 주제: ${topic.title}, 타입: ${normalizedType}, 개수: ${count}`);
 
-      const { result: rawResult } = await callChatGpt(systemMessage, userMessage);
+      const { result: rawResult, usage } = await llm.chat(systemMessage, userMessage);
+      const totalUsage = addUsage(createUsage(llm, countTokens(safeContent, llm.model)), usage);
+      recordUsage(req.user.id, 'demo/generate', totalUsage);
 
       let parsedData;
       try {
@@ -209,6 +267,7 @@ const demoController = {
           field,
           questions: rawResult,
           parsed: false,
+          usage: totalUsage,
         });
       }
 
@@ -228,6 +287,7 @@ const demoController = {
         field,
         questions: questionsArray,
         parsed: true,
+        usage: totalUsage,
       });
     } catch (error) {
       logger.error('[DEMO] 문제 생성 오류:', error);
@@ -0,0 +1,72 @@
+import Document from '../models/documentModel.js';
+import { findOwnedDocument, readDocumentFile, deleteDocument } from '../utils/documentLibrary.js';
+import logger from '../utils/logger.js';
+
+// 문서 조회 + 소유자 확인 (documentId로 요약할 때와 같은 findOwnedDocument 검증, 실패 시 응답을 보내고 null 반환)
+async function findOwnedOrRespond(req, res) {
+  try {
+    return await findOwnedDocument(req.user.id, req.params.id);
+  } catch (error) {
+    if (error.name !== 'AppError') throw error;
+    res.status(error.statusCode).json({ success: false, message: error.message, ...error.details });
+    return null;
+  }
+}
+
+const documentController = {
+  // 내 문서 목록 조회 (최근 사용순)
+  async getMyDocuments(req, res) {
+    try {
+      const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 100);
+      const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+      const documents = await Document.findByUserId(req.user.id, { limit, offset });
+      return res.status(200).json({ success: true, count: documents.length, documents });
+    } catch (error) {
+      logger.error('문서 목록 조회 오류:', error);
+      return res.status(500).json({ success: false, message: '서버 오류가 발생했습니다.' });
+    }
+  },
+
+  // 문서 정보 조회 (소유자 권한 검증 포함)
+  async getDocumentDetail(req, res) {
+    try {
+      const document = await findOwnedOrRespond(req, res);
+      if (!document) return;
+      return res.status(200).json({ success: true, document });
+    } catch (error) {
+      logger.error('문서 조회 오류:', error);
+      return res.status(500).json({ success: false, message: '서버 오류가 발생했습니다.' });
+    }
+  },
+
+  // 문서 원본 다운로드 (소유자 권한 검증 포함)
+  async downloadDocument(req, res) {
+    try {
+      const document = await findOwnedOrRespond(req, res);
+      if (!document) return;
+      const buffer = await readDocumentFile(document);
+      res.attachment(document.file_name);
+      if (document.mime_type) res.type(document.mime_type);
+      return res.status(200).send(buffer);
+    } catch (error) {
+      if (error.name === 'AppError') return res.status(error.statusCode).json({ success: false, message: error.message, ...error.details });
+      logger.error('문서 다운로드 오류:', error);
+      return res.status(500).json({ success: false, message: '서버 오류가 발생했습니다.' });
+    }
+  },
+
+  // 문서 삭제 (소유자 권한 검증 포함, 이 문서로 저장한 요약 · 문제 세트는 유지)
+  async deleteDocument(req, res) {
+    try {
+      const document = await findOwnedOrRespond(req, res);
+      if (!document) return;
+      await deleteDocument(document);
+      return res.status(200).json({ success: true, message: '문서가 성공적으로 삭제되었습니다.', deletedDocumentId: document.document_id });
+    } catch (error) {
+      logger.error('문서 삭제 오류:', error);
+      return res.status(500).json({ success: false, message: '서버 오류가 발생했습니다.' });
+    }
+  },
+};
+
+export default documentController;
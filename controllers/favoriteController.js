@@ -1,6 +1,15 @@
 import Favorite from '../models/favoriteModel.js';
+import { readSavedQuestions, getQuestionType } from '../utils/quizGrader.js';
+import { MIN_QUALITY, MAX_QUALITY, isValidQuality } from '../utils/reviewScheduler.js';
 import logger from '../utils/logger.js';
 
+// 요청 값 → 정수 (숫자 또는 숫자 문자열만 허용, null · 빈 문자열 · boolean 등은 NaN)
+const toInteger = (value) => {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string' && /^\d+$/.test(value.trim())) return Number(value);
+  return NaN;
+};
+
 const favoriteController = {
   // 사용자의 즐겨찾기 폴더 목록 조회 (기본 폴더 없을 시 자동 생성)
   async getFolders(req, res) {
@@ -161,6 +170,43 @@ const favoriteController = {
       return res.status(500).json({ success: false, message: '서버 오류가 발생했습니다.' });
     }
   },
+
+  // 즐겨찾기 문제 복습 결과 기록 (quality 0~5) 후 다음 복습 일정 반환
+  async recordReview(req, res) {
+    try {
+      const questionId = toInteger(req.body?.questionId);
+      const questionIndex = toInteger(req.body?.questionIndex);
+      const quality = toInteger(req.body?.quality);
+      if (!Number.isInteger(questionId) || !Number.isInteger(questionIndex) || questionIndex < 0) {
+        return res.status(400).json({ success: false, message: '올바른 문제 ID와 문제 번호가 필요합니다.' });
+      }
+      if (!isValidQuality(quality)) {
+        return res.status(400).json({ success: false, message: `quality는 ${MIN_QUALITY} ~ ${MAX_QUALITY} 사이 정수여야 합니다.` });
+      }
+      const review = await Favorite.recordReview({ userId: req.user.id, questionId, questionIndex, quality });
+      return res.status(200).json({ success: true, review });
+    } catch (error) {
+      logger.error('복습 결과 기록 오류:', error);
+      if (error.message.includes('찾을 수 없는')) return res.status(404).json({ success: false, message: error.message });
+      return res.status(500).json({ success: false, message: '서버 오류가 발생했습니다.' });
+    }
+  },
+
+  // 오늘 복습할 즐겨찾기 문제 목록 (급한 순, 문제 내용 포함)
+  async getDueReviews(req, res) {
+    try {
+      const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+      const { total, reviews } = await Favorite.getDueReviews(req.user.id, { limit });
+      const items = reviews.map(({ question_data, ...review }) => {
+        const question = readSavedQuestions(question_data?.question_text)?.[review.question_index] ?? null;
+        return { ...review, question, question_type: getQuestionType(review.question_type, question) || review.question_type };
+      });
+      return res.status(200).json({ success: true, total, reviews: items });
+    } catch (error) {
+      logger.error('복습 목록 조회 오류:', error);
+      return res.status(500).json({ success: false, message: '서버 오류가 발생했습니다.' });
+    }
+  },
 };
 
 export default favoriteController;
@@ -1,17 +1,37 @@
 import Question from '../models/questionModel.js';
 import User from '../models/userModel.js';
+import Document from '../models/documentModel.js';
+import { QUESTION_TYPE_NORMALIZE_MAP } from '../utils/generationService.js';
+import { hasValidQuestionSources } from '../utils/sourceCitations.js';
+import { readSavedQuestions } from '../utils/quizGrader.js';
 import logger from '../utils/logger.js';
 
+// 혼합형 세트는 모든 문제에 question_type이 있어야 함 (문제별 채점 / 표시에 사용)
+function hasPerQuestionTypes(questionText) {
+  const questions = readSavedQuestions(questionText);
+  return Array.isArray(questions) && questions.length > 0 && questions.every((q) => QUESTION_TYPE_NORMALIZE_MAP[q?.question_type]);
+}
+
 const questionController = {
   // 생성된 문제를 DB에 저장
   async saveQuestion(req, res) {
     try {
-      const { userId, fileName, questionName, questionType, questionText } = req.body;
+      const { userId, fileName, questionName, questionType, questionText, documentId } = req.body;
       if (!userId || !fileName || !questionType || !questionText)
         return res.status(400).json({ success: false, message: '필수 입력값이 누락되었습니다.' });
+      if ((questionType === 'mixed' || questionType === '혼합형') && !hasPerQuestionTypes(questionText))
+        return res.status(400).json({ success: false, message: '혼합형 문제는 모든 문제에 question_type이 필요합니다.' });
+      // 문제별 출처(sources)는 생성 응답 형식 그대로 question_data에 저장
+      if (!hasValidQuestionSources(readSavedQuestions(questionText) || []))
+        return res.status(400).json({ success: false, message: '문제의 sources 형식이 올바르지 않습니다. ({ type: "page" | "slide" | "time" | "file", number } 배열)' });
       const user = await User.findById(userId);
       if (!user) return res.status(404).json({ success: false, message: '존재하지 않는 사용자입니다.' });
-      const savedQuestion = await Question.create({ userId, fileName, questionName: questionName || 'Untitled Question', questionType, questionText });
+      // 원본 문서(생성 응답의 documentId)는 같은 사용자의 문서만 연결
+      if (documentId) {
+        const document = await Document.findById(documentId);
+        if (!document || document.user_id !== user.userindex) return res.status(404).json({ success: false, message: '연결할 문서를 찾을 수 없습니다.', code: 'DOCUMENT_NOT_FOUND' });
+      }
+      const savedQuestion = await Question.create({ userId, fileName, questionName: questionName || 'Untitled Question', questionType, questionText, documentId: documentId || null });
       return res.status(201).json({ success: true, message: '문제가 성공적으로 저장되었습니다.', selection_id: savedQuestion.selection_id });
     } catch (error) {
       logger.error('문제 저장 오류:', error);
@@ -1,17 +1,23 @@
 import Summary from '../models/summaryModel.js';
 import User from '../models/userModel.js';
+import Document from '../models/documentModel.js';
 import logger from '../utils/logger.js';
 
 const summaryController = {
   // 요약 결과를 DB에 저장
   async saveSummary(req, res) {
     try {
-      const { userId, fileName, summaryName, summaryType, summaryText } = req.body;
+      const { userId, fileName, summaryName, summaryType, summaryText, documentId } = req.body;
       if (!userId || !fileName || !summaryType || !summaryText)
         return res.status(400).json({ success: false, message: '필수 입력값이 누락되었습니다.' });
       const user = await User.findById(userId);
       if (!user) return res.status(404).json({ success: false, message: '존재하지 않는 사용자입니다.' });
-      const savedSummary = await Summary.create({ userId, fileName, summaryName: summaryName || 'Untitled Summary', summaryType, summaryText });
+      // 원본 문서(생성 응답의 documentId)는 같은 사용자의 문서만 연결
+      if (documentId) {
+        const document = await Document.findById(documentId);
+        if (!document || document.user_id !== user.userindex) return res.status(404).json({ success: false, message: '연결할 문서를 찾을 수 없습니다.', code: 'DOCUMENT_NOT_FOUND' });
+      }
+      const savedSummary = await Summary.create({ userId, fileName, summaryName: summaryName || 'Untitled Summary', summaryType, summaryText, documentId: documentId || null });
       return res.status(201).json({ success: true, message: '요약이 성공적으로 저장되었습니다.', selection_id: savedSummary.selection_id });
     } catch (error) {
       logger.error('요약 저장 오류:', error);
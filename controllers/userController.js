@@ -1,5 +1,6 @@
 import User from "../models/userModel.js";
 import Favorite from "../models/favoriteModel.js";
+import AiUsage from "../models/aiUsageModel.js";
 import {
   generateAccessToken,
   generateRefreshToken,
@@ -9,6 +10,7 @@ import {
 import logger from "../utils/logger.js";
 import config from "../config/env.js";
 import registrationLock from "../utils/requestLock.js";
+import { getQuotaStatus } from "../utils/usageLedger.js";
 import {
   isValidUserid,
   isValidName,
@@ -249,6 +251,33 @@ const userController = {
         .json({ success: false, message: "서버 오류가 발생했습니다." });
     }
   },
+
+  // 내 AI 토큰 사용량 (일별 / 월별 합계, 이번 달 엔드포인트·모델별 상세, 남은 한도)
+  // GET /api/users/me/usage?days=30&months=6
+  async getMyUsage(req, res) {
+    try {
+      const userId = req.user.id;
+      const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 90);
+      const months = Math.min(Math.max(parseInt(req.query.months) || 6, 1), 12);
+
+      const [daily, monthly, breakdown, quota] = await Promise.all([
+        AiUsage.getDailyTotals(userId, days),
+        AiUsage.getMonthlyTotals(userId, months),
+        AiUsage.getMonthlyBreakdown(userId),
+        getQuotaStatus(userId),
+      ]);
+
+      return res.status(200).json({
+        success: true,
+        usage: { daily, monthly, currentMonthBreakdown: breakdown, quota },
+      });
+    } catch (error) {
+      logger.error("AI 사용량 조회 오류:", error);
+      return res
+        .status(500)
+        .json({ success: false, message: "서버 오류가 발생했습니다." });
+    }
+  },
 };
 
 export default userController;
@@ -27,4 +27,20 @@ export const verifyToken = (req, res, next) => {
     logger.debug(`유효하지 않은 토큰 - ${error.name}`);
     return res.status(403).json({ success: false, message: '유효하지 않은 토큰입니다.' });
   }
-};
\ No newline at end of file
+};
+
+/**
+ * 선택적 토큰 검증 미들웨어
+ * - 유효한 토큰이 있으면 req.user를 설정하고, 없거나 유효하지 않으면 익명으로 통과
+ */
+export const optionalToken = (req, res, next) => {
+  const token = extractToken(req, 'accessToken');
+  if (!token) return next();
+
+  try {
+    req.user = jwt.verify(token, config.jwt.accessSecret);
+  } catch (error) {
+    logger.debug(`선택적 토큰 검증 실패 - ${error.name}`);
+  }
+  next();
+};
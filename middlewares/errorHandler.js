@@ -43,6 +43,11 @@ export function globalErrorHandler(err, req, res, next) {
     return res.status(400).json({ success: false, message: err.message });
   }
 
+  // 애플리케이션 에러 (상태 코드·부가 정보 지정)
+  if (err.name === 'AppError' && statusCode < 500) {
+    return res.status(statusCode).json({ success: false, message: err.message, ...err.details });
+  }
+
   // 일반 에러
   res.status(statusCode).json({
     success: false,
@@ -53,9 +58,10 @@ export function globalErrorHandler(err, req, res, next) {
 
 // AppError 클래스
 export class AppError extends Error {
-  constructor(message, statusCode = 500) {
+  constructor(message, statusCode = 500, details = {}) {
     super(message);
     this.statusCode = statusCode;
+    this.details = details;
     this.name = 'AppError';
   }
 }
\ No newline at end of file
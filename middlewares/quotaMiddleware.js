@@ -0,0 +1,33 @@
+import config from '../config/env.js';
+import { getQuotaStatus } from '../utils/usageLedger.js';
+import logger from '../utils/logger.js';
+
+/**
+ * 월간 AI 토큰 한도 검사 미들웨어
+ * - verifyToken / optionalToken 뒤에 사용 (익명 요청은 IP 기반 리미터로만 제한)
+ * - 한도를 모두 사용했으면 모델 호출 전에 429 응답
+ * - 사용량 조회 실패 시에는 요청을 막지 않음
+ */
+export const checkTokenQuota = async (req, res, next) => {
+  if (!req.user || !config.quota.monthlyTokens) return next();
+
+  let quota;
+  try {
+    quota = await getQuotaStatus(req.user.id);
+  } catch (error) {
+    logger.warn(`AI 사용량 한도 확인 실패 - 검사 없이 진행: ${error.message}`);
+    return next();
+  }
+
+  if (quota.remaining <= 0) {
+    logger.warn(`월간 AI 토큰 한도 초과 - 사용자: ${req.user.userid}, 사용량: ${quota.used}/${quota.limit}`);
+    return res.status(429).json({
+      success: false,
+      message: '이번 달 AI 사용 한도를 모두 사용했습니다. 다음 달에 다시 시도해주세요.',
+      code: 'MONTHLY_TOKEN_QUOTA_EXCEEDED',
+      quota,
+    });
+  }
+
+  next();
+};
@@ -45,9 +45,23 @@ export const loginLimiter = rateLimit({
   handler: makeHandler('로그인 시도 횟수가 초과되었습니다. 15분 후 다시 시도해주세요.'),
 });
 
+export const AI_GENERATION_LIMIT_MESSAGE = 'AI 생성 요청 횟수가 초과되었습니다. 1시간 후 다시 시도해주세요.';
+
+/**
+ * [캐시 결과 허용 표시]
+ * aiGenerationLimiter 앞에 두면 한도를 넘은 요청도 캐시 전용(res.locals.aiCacheOnly)으로 통과
+ * - 캐시에 있는 결과만 응답하고, 새로 생성해야 하면 컨트롤러에서 429 AI_GENERATION_LIMITED 응답
+ */
+export const allowCachedResults = (req, res, next) => {
+  res.locals.aiCacheAllowed = true;
+  next();
+};
+
 /**
  * [AI 생성 리미터 (요약 / 문제 생성)]
  * 30분당 최대 10회
+ * - 캐시 적중 응답(res.locals.aiCacheHit)은 응답 완료 시 횟수에서 차감
+ * - 한도를 넘어도 allowCachedResults를 거친 요청은 캐시 전용으로 통과
  */
 export const aiGenerationLimiter = rateLimit({
   windowMs: 30 * 60 * 1000,
@@ -55,7 +69,13 @@ export const aiGenerationLimiter = rateLimit({
   standardHeaders: true,
   legacyHeaders: false,
   keyGenerator: keyGenerator,
-  handler: makeHandler('AI 생성 요청 횟수가 초과되었습니다. 1시간 후 다시 시도해주세요.'),
+  skipSuccessfulRequests: true,
+  requestWasSuccessful: (req, res) => res.locals.aiCacheHit === true,
+  handler: (req, res, next) => {
+    if (!res.locals.aiCacheAllowed) return makeHandler(AI_GENERATION_LIMIT_MESSAGE)(req, res);
+    res.locals.aiCacheOnly = true;
+    next();
+  },
 });
 
 /**
@@ -0,0 +1,53 @@
+import { query } from '../config/db.js';
+
+class AiResultCache {
+  // 캐시 조회 (TTL 이내 항목만, 적중 시 hit_count 증가)
+  static async findByKey(cacheKey, ttlDays) {
+    try {
+      const { rows } = await query(
+        `UPDATE ai_result_cache
+         SET hit_count = hit_count + 1, last_hit_at = NOW()
+         WHERE cache_key = $1 AND created_at > NOW() - make_interval(days => $2)
+         RETURNING result`,
+        [cacheKey, ttlDays]
+      );
+      return rows[0]?.result ?? null;
+    } catch (error) {
+      console.error('AI 결과 캐시 조회 오류:', error.message);
+      throw error;
+    }
+  }
+
+  // 캐시 저장 (같은 키가 있으면 새 결과로 교체)
+  static async save({ cacheKey, kind, promptKey, promptVersion, model, result }) {
+    try {
+      await query(
+        `INSERT INTO ai_result_cache (cache_key, kind, prompt_key, prompt_version, model, result)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         ON CONFLICT (cache_key) DO UPDATE
+         SET result = EXCLUDED.result, created_at = NOW(), hit_count = 0, last_hit_at = NULL`,
+        [cacheKey, kind, promptKey, promptVersion, model, JSON.stringify(result)]
+      );
+    } catch (error) {
+      console.error('AI 결과 캐시 저장 오류:', error.message);
+      throw error;
+    }
+  }
+
+  // 현재 프롬프트 버전이 아니거나 TTL이 지난 항목 삭제
+  static async purgeStale(promptVersion, ttlDays) {
+    try {
+      const { rowCount } = await query(
+        `DELETE FROM ai_result_cache
+         WHERE prompt_version <> $1 OR created_at <= NOW() - make_interval(days => $2)`,
+        [promptVersion, ttlDays]
+      );
+      return rowCount;
+    } catch (error) {
+      console.error('AI 결과 캐시 정리 오류:', error.message);
+      throw error;
+    }
+  }
+}
+
+export default AiResultCache;
@@ -0,0 +1,111 @@
+import { query } from '../config/db.js';
+
+// 사용량 집계 기준일 (서비스 사용자 기준 한국 시간)
+const TODAY = `(NOW() AT TIME ZONE 'Asia/Seoul')::date`;
+const MONTH_START = `date_trunc('month', ${TODAY})::date`;
+
+// BIGINT 합계는 문자열로 반환되므로 숫자로 변환
+function toTotals(row) {
+  return {
+    requestCount: Number(row.request_count),
+    inputTokens: Number(row.input_tokens),
+    outputTokens: Number(row.output_tokens),
+    totalTokens: Number(row.total_tokens),
+  };
+}
+
+const SUM_COLUMNS = `COALESCE(SUM(request_count), 0) AS request_count,
+  COALESCE(SUM(input_tokens), 0) AS input_tokens,
+  COALESCE(SUM(output_tokens), 0) AS output_tokens,
+  COALESCE(SUM(total_tokens), 0) AS total_tokens`;
+
+class AiUsage {
+  // 호출 1건의 토큰 사용량을 오늘 날짜 행에 누적
+  static async record({ userId, endpoint, model, inputTokens, outputTokens, totalTokens }) {
+    try {
+      await query(
+        `INSERT INTO ai_usage_daily
+           (user_id, usage_date, endpoint, model, request_count, input_tokens, output_tokens, total_tokens)
+         VALUES ($1, ${TODAY}, $2, $3, 1, $4, $5, $6)
+         ON CONFLICT (user_id, usage_date, endpoint, model) DO UPDATE
+         SET request_count = ai_usage_daily.request_count + 1,
+             input_tokens  = ai_usage_daily.input_tokens  + EXCLUDED.input_tokens,
+             output_tokens = ai_usage_daily.output_tokens + EXCLUDED.output_tokens,
+             total_tokens  = ai_usage_daily.total_tokens  + EXCLUDED.total_tokens,
+             updated_at    = NOW()`,
+        [userId, endpoint, model, inputTokens, outputTokens, totalTokens]
+      );
+    } catch (error) {
+      console.error('AI 사용량 기록 오류:', error.message);
+      throw error;
+    }
+  }
+
+  // 이번 달 누적 토큰 수
+  static async getMonthlyTotalTokens(userId) {
+    try {
+      const { rows } = await query(
+        `SELECT COALESCE(SUM(total_tokens), 0) AS total_tokens
+         FROM ai_usage_daily WHERE user_id = $1 AND usage_date >= ${MONTH_START}`,
+        [userId]
+      );
+      return Number(rows[0].total_tokens);
+    } catch (error) {
+      console.error('월간 AI 사용량 조회 오류:', error.message);
+      throw error;
+    }
+  }
+
+  // 최근 N일 일자별 합계
+  static async getDailyTotals(userId, days) {
+    try {
+      const { rows } = await query(
+        `SELECT to_char(usage_date, 'YYYY-MM-DD') AS date, ${SUM_COLUMNS}
+         FROM ai_usage_daily
+         WHERE user_id = $1 AND usage_date > ${TODAY} - $2::int
+         GROUP BY usage_date ORDER BY usage_date DESC`,
+        [userId, days]
+      );
+      return rows.map((row) => ({ date: row.date, ...toTotals(row) }));
+    } catch (error) {
+      console.error('일별 AI 사용량 조회 오류:', error.message);
+      throw error;
+    }
+  }
+
+  // 최근 N개월 월별 합계 (이번 달 포함)
+  static async getMonthlyTotals(userId, months) {
+    try {
+      const { rows } = await query(
+        `SELECT to_char(date_trunc('month', usage_date), 'YYYY-MM') AS month, ${SUM_COLUMNS}
+         FROM ai_usage_daily
+         WHERE user_id = $1 AND usage_date >= (${MONTH_START} - make_interval(months => $2::int - 1))::date
+         GROUP BY date_trunc('month', usage_date) ORDER BY month DESC`,
+        [userId, months]
+      );
+      return rows.map((row) => ({ month: row.month, ...toTotals(row) }));
+    } catch (error) {
+      console.error('월별 AI 사용량 조회 오류:', error.message);
+      throw error;
+    }
+  }
+
+  // 이번 달 엔드포인트 · 모델별 합계
+  static async getMonthlyBreakdown(userId) {
+    try {
+      const { rows } = await query(
+        `SELECT endpoint, model, ${SUM_COLUMNS}
+         FROM ai_usage_daily
+         WHERE user_id = $1 AND usage_date >= ${MONTH_START}
+         GROUP BY endpoint, model ORDER BY total_tokens DESC`,
+        [userId]
+      );
+      return rows.map((row) => ({ endpoint: row.endpoint, model: row.model, ...toTotals(row) }));
+    } catch (error) {
+      console.error('AI 사용량 상세 조회 오류:', error.message);
+      throw error;
+    }
+  }
+}
+
+export default AiUsage;
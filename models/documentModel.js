@@ -0,0 +1,120 @@
+import { query } from '../config/db.js';
+import { formatDate } from '../utils/formatUtil.js';
+
+// 목록 · 상세 조회 컬럼 (추출 텍스트 본문 제외)
+const META_COLUMNS = `d.document_id, d.user_id, d.file_name, d.file_type, d.mime_type, d.size_bytes,
+  d.content_hash, d.storage_key, d.created_at, d.last_used_at, d.extracted_text IS NOT NULL AS has_extraction`;
+
+function toClient(row) {
+  return { ...row, formatted_date: formatDate(row.created_at) };
+}
+
+class Document {
+  // 새 문서 등록 (같은 사용자가 같은 내용을 다시 올리면 기존 문서를 반환)
+  static async create({ userId, fileName, fileType, mimeType, sizeBytes, contentHash, storageKey }) {
+    try {
+      const { rows } = await query(
+        `INSERT INTO documents (user_id, file_name, file_type, mime_type, size_bytes, content_hash, storage_key)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         ON CONFLICT (user_id, content_hash) DO UPDATE SET last_used_at = NOW()
+         RETURNING document_id, user_id, file_name, file_type, mime_type, size_bytes, content_hash, storage_key, created_at, last_used_at`,
+        [userId, fileName, fileType, mimeType || null, sizeBytes, contentHash, storageKey]
+      );
+      return toClient(rows[0]);
+    } catch (error) {
+      console.error('문서 등록 오류:', error.message);
+      throw error;
+    }
+  }
+
+  // 사용자 · 내용 해시로 문서 조회 (재업로드 시 저장소 쓰기 생략용, 조회 시 사용 시각 갱신)
+  static async findByHash(userId, contentHash) {
+    try {
+      const { rows } = await query(
+        `UPDATE documents d SET last_used_at = NOW()
+         WHERE d.user_id = $1 AND d.content_hash = $2
+         RETURNING ${META_COLUMNS}`,
+        [userId, contentHash]
+      );
+      return rows[0] ? toClient(rows[0]) : null;
+    } catch (error) {
+      console.error('문서 해시 조회 오류:', error.message);
+      throw error;
+    }
+  }
+
+  // document_id로 문서 조회 (추출 텍스트 제외)
+  static async findById(documentId) {
+    try {
+      const { rows } = await query(`SELECT ${META_COLUMNS} FROM documents d WHERE d.document_id = $1`, [documentId]);
+      return rows[0] ? toClient(rows[0]) : null;
+    } catch (error) {
+      console.error('문서 조회 오류:', error.message);
+      throw error;
+    }
+  }
+
+  // 사용자의 문서 목록 (최근 사용순, 이 문서로 저장한 요약 · 문제 세트 수 포함)
+  static async findByUserId(userId, { limit = 50, offset = 0 } = {}) {
+    try {
+      const { rows } = await query(
+        `SELECT ${META_COLUMNS},
+           (SELECT COUNT(*)::int FROM user_summaries s WHERE s.document_id = d.document_id) AS summary_count,
+           (SELECT COUNT(*)::int FROM user_questions q WHERE q.document_id = d.document_id) AS question_count
+         FROM documents d
+         WHERE d.user_id = $1
+         ORDER BY d.last_used_at DESC
+         LIMIT $2 OFFSET $3`,
+        [userId, limit, offset]
+      );
+      return rows.map(toClient);
+    } catch (error) {
+      console.error('문서 목록 조회 오류:', error.message);
+      throw error;
+    }
+  }
+
+  // 같은 추출 옵션으로 저장된 추출 결과 조회 (적중 시 사용 시각 갱신)
+  static async findExtraction(documentId, extractOptions) {
+    try {
+      const { rows } = await query(
+        `UPDATE documents SET last_used_at = NOW()
+         WHERE document_id = $1 AND extract_options = $2 AND extracted_text IS NOT NULL
+         RETURNING extracted_text, extract_meta`,
+        [documentId, extractOptions]
+      );
+      return rows[0] ?? null;
+    } catch (error) {
+      console.error('문서 추출 결과 조회 오류:', error.message);
+      throw error;
+    }
+  }
+
+  // 추출 결과 저장 (문서당 마지막 추출 옵션의 결과 하나만 보관)
+  static async saveExtraction(documentId, { extractOptions, text, meta }) {
+    try {
+      await query(
+        `UPDATE documents
+         SET extract_options = $2, extracted_text = $3, extract_meta = $4, last_used_at = NOW()
+         WHERE document_id = $1`,
+        [documentId, extractOptions, text, meta ? JSON.stringify(meta) : null]
+      );
+    } catch (error) {
+      console.error('문서 추출 결과 저장 오류:', error.message);
+      throw error;
+    }
+  }
+
+  // document_id로 문서 삭제 (참조하던 요약 · 문제 세트의 document_id는 NULL로 변경됨)
+  static async deleteById(documentId) {
+    try {
+      await query('DELETE FROM documents WHERE document_id = $1', [documentId]);
+      return true;
+    } catch (error) {
+      console.error('문서 삭제 오류:', error.message);
+      throw error;
+    }
+  }
+}
+
+export default Document;
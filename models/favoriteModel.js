@@ -1,11 +1,24 @@
-import { query } from '../config/db.js';
+import { query, withTransaction } from '../config/db.js';
 import { formatDate } from '../utils/formatUtil.js';
+import { DEFAULT_EASE_FACTOR, scheduleReview } from '../utils/reviewScheduler.js';
 
 function mapTypeToClient(dbType) {
-  const m = { multiple_choice: 'n지 선다형', sequence: '순서 배열형', fill_in_the_blank: '빈칸 채우기형', true_false: '참거짓형', short_answer: '단답형', descriptive: '서술형' };
+  const m = { multiple_choice: 'n지 선다형', sequence: '순서 배열형', fill_in_the_blank: '빈칸 채우기형', true_false: '참거짓형', short_answer: '단답형', descriptive: '서술형', mixed: '혼합형' };
   return m[dbType] || dbType;
 }
 
+// 복습 일정 행 (NUMERIC은 숫자로 변환, 아직 복습하지 않은 문제는 기본값)
+function toReview(row) {
+  return {
+    ...row,
+    ease_factor: row.ease_factor === null ? DEFAULT_EASE_FACTOR : Number(row.ease_factor),
+    interval_days: row.interval_days ?? 0,
+    repetitions: row.repetitions ?? 0,
+    review_count: row.review_count ?? 0,
+    lapse_count: row.lapse_count ?? 0,
+  };
+}
+
 class Favorite {
   static async getFoldersByUserId(userId) {
     try {
@@ -194,6 +207,83 @@ class Favorite {
       console.error('폴더별 즐겨찾기 문제 조회 오류:', error.message); throw error;
     }
   }
+
+  // 복습 결과 기록 후 SM-2로 다음 일정 계산 (즐겨찾기한 문제만, 같은 문제 동시 기록은 순서대로 처리)
+  static async recordReview({ userId, questionId, questionIndex, quality }) {
+    try {
+      return await withTransaction(async (client) => {
+        const { rows: favRows } = await client.query(
+          'SELECT favorite_id FROM favorite_questions WHERE user_id = $1 AND question_id = $2 AND question_index = $3 FOR UPDATE',
+          [userId, questionId, questionIndex]
+        );
+        if (!favRows[0]) throw new Error('즐겨찾기에서 찾을 수 없는 문제입니다.');
+        const { rows: prevRows } = await client.query(
+          'SELECT * FROM favorite_reviews WHERE user_id = $1 AND question_id = $2 AND question_index = $3',
+          [userId, questionId, questionIndex]
+        );
+        const prev = prevRows[0];
+        const next = scheduleReview(
+          prev && { easeFactor: Number(prev.ease_factor), intervalDays: prev.interval_days, repetitions: prev.repetitions },
+          quality
+        );
+        const { rows } = await client.query(
+          `INSERT INTO favorite_reviews
+             (user_id, question_id, question_index, ease_factor, interval_days, repetitions, review_count, lapse_count, due_at, last_reviewed_at)
+           VALUES ($1, $2, $3, $4, $5, $6, 1, $7, $8, NOW())
+           ON CONFLICT (user_id, question_id, question_index) DO UPDATE
+             SET ease_factor = EXCLUDED.ease_factor, interval_days = EXCLUDED.interval_days,
+                 repetitions = EXCLUDED.repetitions, review_count = favorite_reviews.review_count + 1,
+                 lapse_count = favorite_reviews.lapse_count + EXCLUDED.lapse_count,
+                 due_at = EXCLUDED.due_at, last_reviewed_at = NOW()
+           RETURNING *`,
+          [userId, questionId, questionIndex, next.easeFactor, next.intervalDays, next.repetitions, next.lapsed ? 1 : 0, next.dueAt]
+        );
+        await client.query(
+          `INSERT INTO favorite_review_logs (user_id, question_id, question_index, quality, ease_factor, interval_days)
+           VALUES ($1, $2, $3, $4, $5, $6)`,
+          [userId, questionId, questionIndex, quality, next.easeFactor, next.intervalDays]
+        );
+        return { ...toReview(rows[0]), favorite_id: favRows[0].favorite_id, lapsed: next.lapsed };
+      });
+    } catch (error) {
+      console.error('복습 결과 기록 오류:', error.message); throw error;
+    }
+  }
+
+  // 오늘 복습할 즐겨찾기 문제 (급한 순)
+  // - 복습한 적 있는 문제 먼저: 예정일을 넘긴 기간 ÷ 복습 간격이 클수록, 같으면 난이도 계수가 낮을수록 앞
+  // - 한 번도 복습하지 않은 문제는 그 뒤에 즐겨찾기한 순서대로 (즐겨찾기한 시점부터 복습 대상)
+  static async getDueReviews(userId, { limit = 20 } = {}) {
+    try {
+      const { rows } = await query(
+        `SELECT fq.favorite_id, fq.folder_id, fq.question_id, fq.question_index, fq.created_at AS favorited_at,
+                uq.question_name, uq.question_type, uq.question_data,
+                fr.ease_factor, fr.interval_days, fr.repetitions, fr.review_count, fr.lapse_count, fr.last_reviewed_at,
+                COALESCE(fr.due_at, fq.created_at) AS due_at,
+                ROUND((EXTRACT(EPOCH FROM NOW() - fr.due_at) / 86400 / GREATEST(fr.interval_days, 1))::numeric, 2) AS overdue_ratio,
+                COUNT(*) OVER ()::int AS total_due
+         FROM favorite_questions fq
+         JOIN user_questions uq ON fq.question_id = uq.selection_id
+         LEFT JOIN favorite_reviews fr
+           ON fr.user_id = fq.user_id AND fr.question_id = fq.question_id AND fr.question_index = fq.question_index
+         WHERE fq.user_id = $1 AND COALESCE(fr.due_at, fq.created_at) <= NOW()
+         ORDER BY (fr.due_at IS NULL), overdue_ratio DESC, fr.ease_factor, fq.created_at
+         LIMIT $2`,
+        [userId, limit]
+      );
+      return {
+        total: rows[0]?.total_due ?? 0,
+        reviews: rows.map(({ total_due, ...row }) => ({
+          ...toReview(row),
+          question_type: mapTypeToClient(row.question_type),
+          is_new: row.last_reviewed_at === null,
+          overdue_ratio: row.overdue_ratio === null ? null : Number(row.overdue_ratio),
+        })),
+      };
+    } catch (error) {
+      console.error('복습 목록 조회 오류:', error.message); throw error;
+    }
+  }
 }
 
 export default Favorite;
\ No newline at end of file
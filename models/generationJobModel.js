@@ -0,0 +1,169 @@
+import { query } from '../config/db.js';
+import { formatDate } from '../utils/formatUtil.js';
+
+// 클라이언트 응답용 변환 (업로드 원본 바이너리는 제외)
+function toClient(row) {
+  const { input_file, ...rest } = row;
+  return { ...rest, formatted_date: formatDate(row.created_at) };
+}
+
+// input_file을 제외한 조회 컬럼
+const PUBLIC_COLUMNS = `job_id, user_id, job_type, status, stage, params, file_name, result, error,
+  attempts, created_at, started_at, finished_at, updated_at`;
+
+class GenerationJob {
+  // 새 작업을 대기(queued) 상태로 등록
+  static async create({ userId, jobType, params, fileName = null, inputFile = null }) {
+    try {
+      if (!userId || !jobType) throw new Error('필수 필드가 누락되었습니다.');
+      const { rows } = await query(
+        `INSERT INTO generation_jobs (user_id, job_type, params, file_name, input_file)
+         VALUES ($1, $2, $3, $4, $5) RETURNING ${PUBLIC_COLUMNS}`,
+        [userId, jobType, JSON.stringify(params || {}), fileName, inputFile]
+      );
+      return toClient(rows[0]);
+    } catch (error) {
+      console.error('생성 작업 등록 오류:', error.message);
+      throw error;
+    }
+  }
+
+  // job_id로 작업 조회 (결과 포함, 원본 파일 제외)
+  static async findById(jobId) {
+    try {
+      const { rows } = await query(`SELECT ${PUBLIC_COLUMNS} FROM generation_jobs WHERE job_id = $1`, [jobId]);
+      return rows[0] ? toClient(rows[0]) : null;
+    } catch (error) {
+      console.error('생성 작업 조회 오류:', error.message);
+      throw error;
+    }
+  }
+
+  // 사용자별 작업 목록 조회 (결과 본문은 목록에서 제외)
+  static async findByUserId(userId, { status, limit = 20 } = {}) {
+    try {
+      let sql = `SELECT job_id, user_id, job_type, status, stage, file_name, error, attempts,
+                        created_at, started_at, finished_at, updated_at
+                 FROM generation_jobs WHERE user_id = $1`;
+      const params = [userId];
+      if (status) {
+        sql += ' AND status = $2';
+        params.push(status);
+      }
+      sql += ` ORDER BY created_at DESC LIMIT $${params.length + 1}`;
+      params.push(limit);
+      const { rows } = await query(sql, params);
+      return rows.map(toClient);
+    } catch (error) {
+      console.error('생성 작업 목록 조회 오류:', error.message);
+      throw error;
+    }
+  }
+
+  // 대기 중인 작업 하나를 원자적으로 선점하여 running으로 전환 (원본 파일 포함 반환)
+  static async claimNext() {
+    try {
+      const { rows } = await query(
+        `UPDATE generation_jobs
+         SET status = 'running', stage = 'started', attempts = attempts + 1,
+             started_at = NOW(), updated_at = NOW()
+         WHERE job_id = (
+           SELECT job_id FROM generation_jobs
+           WHERE status = 'queued'
+           ORDER BY created_at
+           FOR UPDATE SKIP LOCKED
+           LIMIT 1
+         )
+         RETURNING *`
+      );
+      return rows[0] || null;
+    } catch (error) {
+      console.error('생성 작업 선점 오류:', error.message);
+      throw error;
+    }
+  }
+
+  // 진행 단계 갱신 (다른 워커가 넘겨받은 작업이면 false)
+  // - 단계 갱신 · 완료 · 실패 처리는 claimNext로 선점한 시도(attempts)의 running 작업일 때만 반영
+  //   (생존 신호가 끊겨 다른 워커가 다시 선점한 작업을 이전 워커가 덮어쓰지 않도록)
+  static async updateStage(jobId, attempts, stage) {
+    try {
+      const { rowCount } = await query(
+        `UPDATE generation_jobs SET stage = $1, updated_at = NOW()
+         WHERE job_id = $2 AND status = 'running' AND attempts = $3`,
+        [stage, jobId, attempts]
+      );
+      return rowCount > 0;
+    } catch (error) {
+      console.error('생성 작업 단계 갱신 오류:', error.message);
+      throw error;
+    }
+  }
+
+  // 완료 처리 (원본 파일은 더 이상 필요 없으므로 비움, 다른 워커가 넘겨받은 작업이면 false)
+  static async complete(jobId, attempts, result) {
+    try {
+      const { rowCount } = await query(
+        `UPDATE generation_jobs
+         SET status = 'completed', stage = 'completed', result = $1, input_file = NULL,
+             finished_at = NOW(), updated_at = NOW()
+         WHERE job_id = $2 AND status = 'running' AND attempts = $3`,
+        [JSON.stringify(result), jobId, attempts]
+      );
+      return rowCount > 0;
+    } catch (error) {
+      console.error('생성 작업 완료 처리 오류:', error.message);
+      throw error;
+    }
+  }
+
+  // 실패 처리 (다른 워커가 넘겨받은 작업이면 false)
+  static async fail(jobId, attempts, errorMessage) {
+    try {
+      const { rowCount } = await query(
+        `UPDATE generation_jobs
+         SET status = 'failed', error = $1, input_file = NULL,
+             finished_at = NOW(), updated_at = NOW()
+         WHERE job_id = $2 AND status = 'running' AND attempts = $3`,
+        [errorMessage, jobId, attempts]
+      );
+      return rowCount > 0;
+    } catch (error) {
+      console.error('생성 작업 실패 처리 오류:', error.message);
+      throw error;
+    }
+  }
+
+  // 실행 중인 작업의 생존 신호 (다른 인스턴스가 중단된 작업으로 보고 복구하지 않도록 updated_at 갱신)
+  static async heartbeat(jobIds) {
+    try {
+      if (!jobIds.length) return 0;
+      const { rowCount } = await query(
+        `UPDATE generation_jobs SET updated_at = NOW() WHERE job_id = ANY($1) AND status = 'running'`,
+        [jobIds]
+      );
+      return rowCount;
+    } catch (error) {
+      console.error('생성 작업 생존 신호 갱신 오류:', error.message);
+      throw error;
+    }
+  }
+
+  // 생존 신호가 staleAfterMs 이상 끊긴 running 작업(처리하던 워커가 중단됨)을 다시 대기열로 복귀
+  static async requeueInterrupted(staleAfterMs) {
+    try {
+      const { rows } = await query(
+        `UPDATE generation_jobs SET status = 'queued', stage = 'requeued', updated_at = NOW()
+         WHERE status = 'running' AND updated_at < NOW() - make_interval(secs => $1)
+         RETURNING job_id`,
+        [staleAfterMs / 1000]
+      );
+      return rows.length;
+    } catch (error) {
+      console.error('중단된 작업 복구 오류:', error.message);
+      throw error;
+    }
+  }
+}
+
+export default GenerationJob;
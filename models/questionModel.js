@@ -2,12 +2,12 @@ import { query } from '../config/db.js';
 import { formatDate } from '../utils/formatUtil.js';
 
 function mapTypeToDb(clientType) {
-  const m = { 'n지 선다형': 'multiple_choice', '순서 배열형': 'sequence', '빈칸 채우기형': 'fill_in_the_blank', '참거짓형': 'true_false', '단답형': 'short_answer', '서술형': 'descriptive' };
+  const m = { 'n지 선다형': 'multiple_choice', '순서 배열형': 'sequence', '빈칸 채우기형': 'fill_in_the_blank', '참거짓형': 'true_false', '단답형': 'short_answer', '서술형': 'descriptive', '혼합형': 'mixed' };
   return m[clientType] || clientType;
 }
 
 function mapTypeToClient(dbType) {
-  const m = { multiple_choice: 'n지 선다형', sequence: '순서 배열형', fill_in_the_blank: '빈칸 채우기형', true_false: '참거짓형', short_answer: '단답형', descriptive: '서술형' };
+  const m = { multiple_choice: 'n지 선다형', sequence: '순서 배열형', fill_in_the_blank: '빈칸 채우기형', true_false: '참거짓형', short_answer: '단답형', descriptive: '서술형', mixed: '혼합형' };
   return m[dbType] || dbType;
 }
 
@@ -16,13 +16,13 @@ function toClient(row) {
 }
 
 class Question {
-  static async create({ userId, fileName, questionName, questionType, questionText }) {
+  static async create({ userId, fileName, questionName, questionType, questionText, documentId = null }) {
     try {
       if (!userId || !fileName || !questionType || !questionText) throw new Error('필수 필드가 누락되었습니다.');
       const { rows } = await query(
-        `INSERT INTO user_questions (user_id, file_name, question_name, question_type, question_data)
-         VALUES ($1, $2, $3, $4, $5) RETURNING *`,
-        [userId, fileName, questionName || 'Untitled Question', mapTypeToDb(questionType), JSON.stringify({ question_text: questionText })]
+        `INSERT INTO user_questions (user_id, file_name, question_name, question_type, question_data, document_id)
+         VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+        [userId, fileName, questionName || 'Untitled Question', mapTypeToDb(questionType), JSON.stringify({ question_text: questionText }), documentId]
       );
       return toClient(rows[0]);
     } catch (error) {
@@ -0,0 +1,34 @@
+import { query } from '../config/db.js';
+
+class QuestionRubric {
+  static async find(questionId, questionIndex) {
+    try {
+      const { rows } = await query(
+        'SELECT * FROM question_rubrics WHERE question_id = $1 AND question_index = $2',
+        [questionId, questionIndex]
+      );
+      return rows[0] || null;
+    } catch (error) {
+      console.error('채점 기준표 조회 오류:', error.message);
+      throw error;
+    }
+  }
+
+  // 기준표 저장 (동시에 생성된 경우 먼저 저장된 기준표를 반환하여 문제당 하나만 유지)
+  static async create({ questionId, questionIndex, rubric, model }) {
+    try {
+      await query(
+        `INSERT INTO question_rubrics (question_id, question_index, rubric, model)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (question_id, question_index) DO NOTHING`,
+        [questionId, questionIndex, JSON.stringify(rubric), model]
+      );
+      return await this.find(questionId, questionIndex);
+    } catch (error) {
+      console.error('채점 기준표 저장 오류:', error.message);
+      throw error;
+    }
+  }
+}
+
+export default QuestionRubric;
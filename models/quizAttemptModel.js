@@ -0,0 +1,165 @@
+import { query } from '../config/db.js';
+import { formatDate } from '../utils/formatUtil.js';
+
+// NUMERIC 컬럼은 문자열로 반환되므로 숫자로 변환
+const toNumber = (value) => (value === null || value === undefined ? null : Number(value));
+
+function toClient(row) {
+  return { ...row, score: toNumber(row.score), formatted_date: formatDate(row.started_at) };
+}
+
+function toAnswer(row) {
+  return { ...row, score: toNumber(row.score) };
+}
+
+class QuizAttempt {
+  // 풀이 시작
+  static async create({ userId, questionId, questionCount }) {
+    try {
+      const { rows } = await query(
+        `INSERT INTO quiz_attempts (user_id, question_id, question_count)
+         VALUES ($1, $2, $3) RETURNING *`,
+        [userId, questionId, questionCount]
+      );
+      return toClient(rows[0]);
+    } catch (error) {
+      console.error('풀이 시작 오류:', error.message);
+      throw error;
+    }
+  }
+
+  static async findById(attemptId) {
+    try {
+      const { rows } = await query('SELECT * FROM quiz_attempts WHERE attempt_id = $1', [attemptId]);
+      return rows[0] ? toClient(rows[0]) : null;
+    } catch (error) {
+      console.error('풀이 조회 오류:', error.message);
+      throw error;
+    }
+  }
+
+  // 사용자의 풀이 목록 (최근순, 문제 세트 이름 · 답한 문제 수 포함)
+  static async findByUserId(userId, { questionId, limit = 20, offset = 0 } = {}) {
+    try {
+      let sql = `SELECT a.*, q.question_name,
+           (SELECT COUNT(*)::int FROM quiz_attempt_answers aa WHERE aa.attempt_id = a.attempt_id) AS answered_count
+         FROM quiz_attempts a
+         JOIN user_questions q ON q.selection_id = a.question_id
+         WHERE a.user_id = $1`;
+      const params = [userId];
+      if (questionId) {
+        params.push(questionId);
+        sql += ` AND a.question_id = $${params.length}`;
+      }
+      params.push(limit, offset);
+      sql += ` ORDER BY a.started_at DESC LIMIT $${params.length - 1} OFFSET $${params.length}`;
+      const { rows } = await query(sql, params);
+      return rows.map(toClient);
+    } catch (error) {
+      console.error('풀이 목록 조회 오류:', error.message);
+      throw error;
+    }
+  }
+
+  // 문제별 답안 · 채점 결과 (문제 순서대로)
+  static async findAnswers(attemptId) {
+    try {
+      const { rows } = await query(
+        'SELECT * FROM quiz_attempt_answers WHERE attempt_id = $1 ORDER BY question_index',
+        [attemptId]
+      );
+      return rows.map(toAnswer);
+    } catch (error) {
+      console.error('풀이 답안 조회 오류:', error.message);
+      throw error;
+    }
+  }
+
+  static async findAnswer(attemptId, questionIndex) {
+    try {
+      const { rows } = await query(
+        'SELECT * FROM quiz_attempt_answers WHERE attempt_id = $1 AND question_index = $2',
+        [attemptId, questionIndex]
+      );
+      return rows[0] ? toAnswer(rows[0]) : null;
+    } catch (error) {
+      console.error('풀이 답안 조회 오류:', error.message);
+      throw error;
+    }
+  }
+
+  // 답안 저장 (같은 문제에 다시 답하면 덮어씀, 진행 중인 풀이만)
+  static async saveAnswer(attemptId, { questionIndex, questionType, answer, isCorrect, score, result }) {
+    try {
+      const { rows } = await query(
+        `INSERT INTO quiz_attempt_answers (attempt_id, question_index, question_type, answer, is_correct, score, result)
+         SELECT $1::int, $2::smallint, $3, $4::jsonb, $5::boolean, $6::numeric, $7::jsonb
+         WHERE EXISTS (SELECT 1 FROM quiz_attempts WHERE attempt_id = $1 AND status = 'in_progress')
+         ON CONFLICT (attempt_id, question_index) DO UPDATE
+           SET question_type = EXCLUDED.question_type, answer = EXCLUDED.answer, is_correct = EXCLUDED.is_correct,
+               score = EXCLUDED.score, result = EXCLUDED.result, answered_at = NOW()
+         RETURNING *`,
+        [attemptId, questionIndex, questionType, JSON.stringify(answer), isCorrect, score, JSON.stringify(result || {})]
+      );
+      return rows[0] ? toAnswer(rows[0]) : null;
+    } catch (error) {
+      console.error('풀이 답안 저장 오류:', error.message);
+      throw error;
+    }
+  }
+
+  // AI 채점 결과 저장 (채점 사이에 답안이 바뀌었으면 저장하지 않고 null, 완료한 풀이도 저장)
+  static async saveGrading(attemptId, questionIndex, { answer, isCorrect, score, result }) {
+    try {
+      const { rows } = await query(
+        `UPDATE quiz_attempt_answers SET is_correct = $1, score = $2, result = $3
+         WHERE attempt_id = $4 AND question_index = $5 AND answer = $6::jsonb
+         RETURNING *`,
+        [isCorrect, score, JSON.stringify(result), attemptId, questionIndex, JSON.stringify(answer)]
+      );
+      return rows[0] ? toAnswer(rows[0]) : null;
+    } catch (error) {
+      console.error('풀이 채점 결과 저장 오류:', error.message);
+      throw error;
+    }
+  }
+
+  // 맞힌 문제 수 · 점수(문제 수 대비 백분율, 채점 대기 문제는 0점) 재계산
+  static async refreshTotals(attemptId) {
+    try {
+      const { rows } = await query(
+        `UPDATE quiz_attempts a
+         SET correct_count = t.correct_count,
+             score = ROUND(t.total * 100 / GREATEST(a.question_count, 1), 2)
+         FROM (
+           SELECT COUNT(*) FILTER (WHERE is_correct)::int AS correct_count, COALESCE(SUM(score), 0) AS total
+           FROM quiz_attempt_answers WHERE attempt_id = $1
+         ) t
+         WHERE a.attempt_id = $1
+         RETURNING a.*`,
+        [attemptId]
+      );
+      return rows[0] ? toClient(rows[0]) : null;
+    } catch (error) {
+      console.error('풀이 점수 계산 오류:', error.message);
+      throw error;
+    }
+  }
+
+  // 풀이 완료 (진행 중인 풀이만, 이미 완료했으면 null)
+  static async complete(attemptId) {
+    try {
+      const { rows } = await query(
+        `UPDATE quiz_attempts SET status = 'completed', completed_at = NOW()
+         WHERE attempt_id = $1 AND status = 'in_progress' RETURNING *`,
+        [attemptId]
+      );
+      return rows[0] ? toClient(rows[0]) : null;
+    } catch (error) {
+      console.error('풀이 완료 처리 오류:', error.message);
+      throw error;
+    }
+  }
+}
+
+export default QuizAttempt;
@@ -3,13 +3,13 @@ import { formatDate } from '../utils/formatUtil.js';
 
 // 클라이언트 요약 타입을 DB 콼럼값으로 변환
 function mapTypeToDb(clientType) {
-  const m = { '기본 요약': 'basic', '핵심 요약': 'key_points', '주제 요약': 'topic', '목차 요약': 'outline', '키워드 요약': 'keywords' };
+  const m = { '기본 요약': 'basic', '핵심 요약': 'key_points', '주제 요약': 'topic', '목차 요약': 'outline', '키워드 요약': 'keywords', '비교 통합 요약': 'comparison' };
   return m[clientType] || clientType;
 }
 
 // DB 요약 타입을 클라이언트 표시명으로 변환
 function mapTypeToClient(dbType) {
-  const m = { basic: '기본 요약', key_points: '핵심 요약', topic: '주제 요약', outline: '목차 요약', keywords: '키워드 요약' };
+  const m = { basic: '기본 요약', key_points: '핵심 요약', topic: '주제 요약', outline: '목차 요약', keywords: '키워드 요약', comparison: '비교 통합 요약' };
   return m[dbType] || dbType;
 }
 
@@ -19,13 +19,13 @@ function toClient(row) {
 
 class Summary {
   // 새 요약 레코드를 DB에 삽입
-  static async create({ userId, fileName, summaryName, summaryType, summaryText }) {
+  static async create({ userId, fileName, summaryName, summaryType, summaryText, documentId = null }) {
     try {
       if (!userId || !fileName || !summaryType || !summaryText) throw new Error('필수 필드가 누락되었습니다.');
       const { rows } = await query(
-        `INSERT INTO user_summaries (user_id, file_name, summary_name, summary_type, summary_text)
-         VALUES ($1, $2, $3, $4, $5) RETURNING *`,
-        [userId, fileName, summaryName || 'Untitled Summary', mapTypeToDb(summaryType), summaryText]
+        `INSERT INTO user_summaries (user_id, file_name, summary_name, summary_type, summary_text, document_id)
+         VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+        [userId, fileName, summaryName || 'Untitled Summary', mapTypeToDb(summaryType), summaryText, documentId]
       );
       return toClient(rows[0]);
     } catch (error) {
@@ -111,7 +111,7 @@ class Summary {
   static async findMetaByUserId(userId) {
     try {
       const { rows } = await query(
-        'SELECT selection_id, user_id, file_name, summary_name, summary_type, created_at FROM user_summaries WHERE user_id = $1 ORDER BY created_at DESC',
+        'SELECT selection_id, user_id, file_name, document_id, summary_name, summary_type, created_at FROM user_summaries WHERE user_id = $1 ORDER BY created_at DESC',
         [userId]
       );
       return rows.map((row) => ({
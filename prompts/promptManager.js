@@ -1,13 +1,25 @@
-import { getSummaryPrompts } from './summaryPrompts.js';
-import { getQuestionPrompts } from './questionPrompts.js';
+import { getSummaryPrompts, getSummaryCitationRule, getSummaryTimestampRule, getSummaryFileRule } from './summaryPrompts.js';
+import { getQuestionPrompts, getQuestionCitationRule, getQuestionTimestampRule } from './questionPrompts.js';
 
-const SUMMARY_TYPES = ['내용 요약_기본 요약', '내용 요약_핵심 요약', '내용 요약_주제 요약', '내용 요약_목차 요약', '내용 요약_키워드 요약'];
+// 문제 스키마 검증 실패 시 재생성 프롬프트
+export { getQuestionRepairPrompt, getQuestionReformatPrompt } from './questionPrompts.js';
+
+// 단답형 · 서술형 답안 채점 (채점 기준표 생성 · 기준표 채점)
+export { getRubricPrompt, getGradingPrompt } from './gradingPrompts.js';
+
+// 프롬프트 템플릿 버전 — summaryPrompts / questionPrompts 내용을 바꾸면 반드시 올릴 것
+// (AI 결과 캐시 키에 포함되며, 서버 시작 시 다른 버전의 캐시는 삭제됨)
+export const PROMPT_VERSION = '4';
+
+const SUMMARY_TYPES = ['내용 요약_기본 요약', '내용 요약_핵심 요약', '내용 요약_주제 요약', '내용 요약_목차 요약', '내용 요약_키워드 요약', '내용 요약_비교 통합 요약'];
 const QUESTION_TYPES = ['문제 생성_n지 선다형', '문제 생성_순서 배열형', '문제 생성_참거짓형', '문제 생성_빈칸 채우기형', '문제 생성_단답형', '문제 생성_서술형'];
 
+const SOURCE_LABELS = { page: '페이지', slide: '슬라이드', file: '파일' };
+
 /**
  * @param {string} typeName - 요약/문제 타입 이름
  * @param {string} content  - 문서 내용
- * @param {Object} params   - 각종 파라미터
+ * @param {Object} params   - 각종 파라미터 (sourceType: 'page' | 'slide' | 'time' | 'file' 지정 시 출처 표기 규칙 추가)
  * @returns {{ system: string, user: string }}
  */
 // 타입에 따라 요약 또는 문제 생성 프롬프트 반환
@@ -24,17 +36,24 @@ export const getPrompt = (typeName, content, params = {}) => {
     choiceFormat    = '문장형',
     arrayChoiceCount = 3,
     blankCount      = 1,
+    sourceType      = null,
   } = params;
 
   const keywordStr = Array.isArray(keywords) ? keywords.join(',') : keywords;
+  const sourceLabel = SOURCE_LABELS[sourceType];
+  // 규칙은 본문 바로 앞에 두어 템플릿 구조(마지막 빈 줄 뒤가 본문)를 유지 (녹취 · 여러 파일 요약은 전용 규칙)
+  const withRule = (rule, typeRules = {}) => {
+    if (typeRules[sourceType]) return `${typeRules[sourceType]()}\n\n\n${content}`;
+    return sourceLabel ? `${rule(sourceLabel)}\n\n\n${content}` : content;
+  };
 
   if (SUMMARY_TYPES.includes(typeName)) {
-    const prompts = getSummaryPrompts(field, summaryLevel, sentenceCount, topicCount, keywordStr, content);
+    const prompts = getSummaryPrompts(field, summaryLevel, sentenceCount, topicCount, keywordStr, withRule(getSummaryCitationRule, { time: getSummaryTimestampRule, file: getSummaryFileRule }));
     return prompts[typeName] || { system: '', user: '' };
   }
 
   if (QUESTION_TYPES.includes(typeName)) {
-    const prompts = getQuestionPrompts(field, questionLevel, questionCount, choiceCount, choiceFormat, arrayChoiceCount, blankCount, content);
+    const prompts = getQuestionPrompts(field, questionLevel, questionCount, choiceCount, choiceFormat, arrayChoiceCount, blankCount, withRule(getQuestionCitationRule, { time: getQuestionTimestampRule }));
     return prompts[typeName] || { system: '', user: '' };
   }
 
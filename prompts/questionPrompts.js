@@ -33,4 +33,31 @@ export const getQuestionPrompts = (field, questionLevel, questionCount, choiceCo
     system: `너는 ${field}에서 20년 경력을 지닌 평가 설계 전문가로, ${questionLevel} 수준의 학습자를 위한 서술형 문항을 설계하는 데 특화되어 있다.\n\n**절대 규칙: 순수 JSON만 출력하라. "json", "\`\`\`", 설명문, 주석 등 JSON 외 어떤 텍스트도 출력 금지.**\n\n출력 JSON 형식:\n{\n    "questions": [\n        {\n            "question_text": "문제 내용",\n            "model_answer": "모범 답안",\n            "grading_criteria": "채점 기준",\n            "explanation": "해설 내용"\n        }\n    ]\n}`,
     user: `위 JSON 형식에 맞춰 서술형 문제 ${questionCount}개를 생성하라.\n\n**출력 형식 엄수:**\n- 순수 JSON만 출력 (첫 글자는 {, 마지막 글자는 })\n- 마크다운 코드 블록 표시 금지\n- 설명문 금지\n\n문제 요구사항:\n- 분야: ${field} (${fieldFeatures(field)})\n- 학습자 수준: ${questionLevel}\n- 사고 구조: ${userQuestionLevel(questionLevel)}\n- 문제 수: ${questionCount}개\n\n출력 규칙:\n- 반드시 JSON 형식만 출력\n- model_answer는 완성된 모범 답안\n- grading_criteria는 채점 기준 항목별 설명\n- 해설에는 핵심 개념과 평가 포인트 포함\n\n\n${content}`,
   },
-});
\ No newline at end of file
+});
+/**
+ * 스키마 검증에 실패한 문제의 재생성 요청 (system은 원래 문제 생성 프롬프트를 그대로 사용)
+ * @param {{ question: object, errors: string[] }[]} invalidItems - 수정할 문제와 오류 목록
+ */
+export const getQuestionRepairPrompt = (invalidItems) =>
+  `아래 문제들은 출력 JSON 형식 검증에 실패했다. 각 문제의 오류를 모두 수정하여 다시 출력하라.\n\n**출력 형식 엄수:**\n- 순수 JSON만 출력 (첫 글자는 {, 마지막 글자는 })\n- { "questions": [...] } 형태로, 아래 문제와 같은 순서·같은 개수(${invalidItems.length}개)로 출력\n- 오류가 지적된 필드만 고치고 문제의 의도와 내용은 유지\n- 마크다운 코드 블록 표시, 설명문 금지\n\n${invalidItems.map(({ question, errors }, i) => `[문제 ${i + 1}]\n${JSON.stringify(question)}\n오류:\n${errors.map((e) => `- ${e}`).join('\n')}`).join('\n\n')}`;
+
+/**
+ * JSON 파싱에 실패한 응답의 재출력 요청
+ * @param {string} rawResult - 파싱에 실패한 모델 응답
+ * @param {string} parseError - JSON.parse 오류 메시지
+ */
+export const getQuestionReformatPrompt = (rawResult, parseError) =>
+  `아래 응답은 JSON 파싱에 실패했다. (오류: ${parseError})\n같은 문제들을 system에 정의된 JSON 형식으로만 다시 출력하라.\n\n**출력 형식 엄수:**\n- 순수 JSON만 출력 (첫 글자는 {, 마지막 글자는 })\n- 마크다운 코드 블록 표시, 설명문 금지\n\n${rawResult}`;
+
+/**
+ * 출처 표기 규칙 (페이지 / 슬라이드 표시가 있는 문서만, 본문 앞에 추가)
+ * @param {string} sourceLabel - '페이지' | '슬라이드'
+ */
+export const getQuestionCitationRule = (sourceLabel) =>
+  `출처 표기 규칙:\n- 각 문제 객체에 "sources" 필드를 추가하고, 문제와 해설의 근거가 된 ${sourceLabel} 번호를 정수 배열로 출력하라 (예: "sources": [3, 5])\n- 번호는 본문의 [${sourceLabel} N] 표시 또는 (출처: ${sourceLabel} N) 표기의 N만 사용하고, 본문에 없는 번호는 절대 쓰지 마라`;
+
+/**
+ * 녹취 시점 표기 규칙 (자막 · 녹취 문서, 본문 앞에 추가)
+ */
+export const getQuestionTimestampRule = () =>
+  `출처 표기 규칙:\n- 문서는 강의 녹취이며, 본문에는 [시간 HH:MM:SS] 형식의 발화 시점 표시 또는 (출처: HH:MM:SS) 표기가 있다\n- 각 문제 객체에 "sources" 필드를 추가하고, 문제와 해설의 근거가 된 발화 시점을 "HH:MM:SS" 문자열 배열로 출력하라 (예: "sources": ["00:12:34"])\n- 해설에서도 근거 시점을 (00:12:34) 형식으로 언급하고, 본문에 표시된 시간 범위를 벗어난 시점은 절대 쓰지 마라`;
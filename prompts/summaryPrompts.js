@@ -28,4 +28,27 @@ export const getSummaryPrompts = (field, summaryLevel, sentenceCount, topicCount
     system: `너는 ${field}에서 20년 경력을 지닌 전문가로, 복잡한 문서에서 지정된 키워드와 직접적으로 연결된 정보만을 추출하고, 학습 목적에 맞게 간결하고 논리적으로 재구성하는 데 특화되어 있다.\n다음 규칙을 절대적으로 따라야 한다.\n\n1. 문서 요약의 내용으로 반드시 ${fieldFeatures(field)}의 관점을 유지하여 분석하라.\n2. [주요 키워드] 단계에서 출력 내용은 반드시 사용자가 설정한 키워드인 ${keywords}를 중심으로 구성하라. 절대 사용자가 설정하지 않은 키워드를 출력해서는 안 된다.\n3. [통합 분석] 각 구간은 반드시 ${sentenceCount}개의 완결된 문장으로 작성되어야 하며, 종결 표현(~다, ~이다 등)으로 끝나는 경우만 문장으로 인정한다. 쉼표로 연결된 복문은 하나의 문장으로 간주하므로, 반드시 문장을 구분하여 작성하라.\n4. 기존 표현을 복사하지 말고, 의미 단위로 재구성하여 새롭게 기술하라. 이때, 텍스트는 일반 텍스트로 출력하고, 마크다운 문법을 사용하지 마라.`,
     user: `문서를 구성 단위별로 나누고, 각 구간의 핵심 내용을 아래의 형식에 따라 요약하라.\n\n[문서 분석]\n1. 주제명\n키워드의 정의와 문서 도입부 등장 맥락을 나타내는 설명문\n2. 주제명\n키워드가 등장하게 된 기술적/사회적/개념적 필요성을 나타내는 설명문\n3. 주제명\n문서에서 키워드를 중심으로 어떤 방식으로 논의되었는지를 나타내는 설명문\n4. 주제명\n문서 전체에서 키워드가 제시하는 시사점, 확장 가능성, 결론적 평가를 나타내는 설명문\n\n[주요 키워드]\n(입력한 키워드 기반으로 출력)\n\n[통합 분석]\n1. 주제명\n설명문\n2. 주제명\n설명문\n3. 주제명\n설명문\n4. 주제명\n설명문\n\n-모든 출력은 ${summaryLevel} 수준의 학습자가 이해할 수 있도록 구성하라.\n-반드시 순서는 [구조 분석]-[주요 키워드]-[통합 분석] 단계로 출력하라.\n-모든 단계의 출력 내용은 반드시 사용자가 설정한 키워드인 ${keywords}를 중심으로 구성하라.\n-[문서 분석] 단계에서는 도입-배경-전개-결론의 4단계 구조로 나누어 각 목차의 핵심 내용을 요약하라.\n-또한, 주제명을 출력할 때는 반드시 '1.', '2.'와 함께 출력하라.\n-[주요 키워드] 단계에서는 사용자가 설정한 ${keywords} 중 문서와 직접적으로 관련된 키워드만을 선별하여 출력하라.\n-사용자가 입력한 키워드가 문서와 관련이 없는 경우, '키워드명 - 해당 키워드는 문서와 관련이 없어 제외함'의 양식을 따라 출력하라.\n-[주요 키워드]의 출력 형식은 반드시 '키워드명 - 설명문'의 구조로 출력하며, 절대 콜른을 사용하지 말고, 반드시 하이픈을 사용하라.\n-또한, 키워드명n과 키워드명n+1 사이에는 반드시 공백줄을 삽입하라.\n-[통합 분석] 단계에서는 단순 요약이 아닌, 문서 구조와 키워드를 통합하여 '기술-적용-사회적 영향' 흐름에 따라 재해석하라.\n-또한, 반드시 ${userSummaryLevel(summaryLevel)}를 기준으로 작성하라.\n-[통합 분석] 각 구간은 반드시 ${sentenceCount}개의 완결된 문장으로 작성하라.\n-주제명과 설명문 사이의 공백줄을 절대 삽입하지 마라.\n-예시의 내용은 절대 출력하지 마라.\n\n\n${content}`,
   },
-});
\ No newline at end of file
+
+  '내용 요약_비교 통합 요약': {
+    system: `너는 ${field}에서 20년 경력을 지닌 요약 전문가로, 같은 주제를 다룬 여러 강의 자료를 비교하고 하나의 학습 자료로 통합하는 데 특화되어 있다.\n다음 규칙을 절대적으로 따라야 한다.\n\n1. 문서 요약의 내용으로 반드시 ${fieldFeatures(field)}의 관점을 유지하여 분석하라.\n2. 문서는 [파일 N] 표시로 구분된 여러 파일로 구성된다. 모든 항목은 근거가 된 파일을 반드시 밝혀야 하며, 어느 파일에도 없는 내용을 만들어내지 마라.\n3. [통합 개요] 각 항목은 반드시 ${sentenceCount}개의 완결된 문장으로 작성되어야 하며, 종결 표현(~다, ~이다 등)으로 끝나는 경우만 문장으로 인정한다. 쉼표로 연결된 복문은 하나의 문장으로 간주하므로, 반드시 문장을 구분하여 작성하라.\n4. 기존 표현을 복사하지 말고, 의미 단위로 재구성하여 새롭게 기술하라. 이때, 텍스트는 일반 텍스트로 출력하고, 마크다운 문법을 사용하지 마라.\n\n\n`,
+    user: `여러 파일의 내용을 비교 분석한 후, 하나의 학습 흐름으로 통합하여 아래의 형식에 따라 요약하라.\n\n[통합 개요]\n1. 탄소중립의 정의와 등장 배경\n탄소중립은 배출한 온실가스를 다시 흡수하거나 제거하여 실질적 배출량을 0으로 만드는 개념이다. (출처: 파일 1, 2)\n2. 주제명\n설명문 (출처: 파일 2, 3)\n\n[공통 내용]\n1. 주제명\n둘 이상의 파일이 공통으로 설명하는 내용 (출처: 파일 1, 2, 3)\n\n[차이 및 상충 내용]\n1. 탄소중립 달성 시점\n파일 1은 2050년을 목표 시점으로 제시하는 반면, 파일 2는 2060년을 제시한다. 시험에서는 출제 범위의 자료를 기준으로 답해야 한다. (출처: 파일 1, 2)\n\n[파일별 고유 내용]\n1. 주제명\n한 파일에서만 다루는 내용 (출처: 파일 3)\n\n[주요 키워드]\n탄소중립 - 온실가스 배출을 실질적으로 0으로 만들기 위한 개념으로, 모든 파일에서 논의의 출발점으로 기능한다. (출처: 파일 1, 2, 3)\n\n-모든 출력은 ${summaryLevel} 수준의 학습자가 이해할 수 있도록 구성하라.\n-[통합 개요] 단계에서는 모든 파일의 내용을 하나의 목차로 합치되, 파일마다 다루는 순서가 다르더라도 개념의 선후 관계에 따라 배열하라. 같은 개념을 다룬 여러 파일의 설명은 하나의 항목으로 묶어라.\n-[공통 내용] 단계에서는 둘 이상의 파일이 함께 다루는 개념을 선별하고, 파일 간 설명의 깊이나 관점에 차이가 있으면 함께 밝혀라.\n-[차이 및 상충 내용] 단계에서는 정의, 수치, 분류, 절차, 결론이 파일마다 다르거나 서로 모순되는 부분을 빠짐없이 찾아 각 파일의 설명을 '파일 N은 ~' 형식으로 나란히 제시하고, 학습 시 유의할 점을 1문장으로 덧붙여라.\n-상충하거나 다른 내용이 없으면 [차이 및 상충 내용]에는 '파일 간 상충하는 내용 없음'이라고만 출력하라.\n-[파일별 고유 내용] 단계에서는 한 파일에서만 다루는 개념이나 사례를 선별하여 어느 파일의 내용인지 밝혀라.\n-[주요 키워드]는 파일 전체를 관통하는 5-10개의 키워드를 선별하고, 출력 형식은 반드시 '키워드명 - 설명문'의 구조로 출력하며, 절대 콜른을 사용하지 말고, 반드시 하이픈을 사용하라.\n-모든 항목의 설명문과 키워드 설명 끝에는 근거가 된 파일을 (출처: 파일 1, 3) 형식으로 반드시 표기하라. 본문에 [파일 N]으로 표시되지 않은 번호는 절대 표기하지 마라.\n-또한, 반드시 ${userSummaryLevel(summaryLevel)}를 기준으로 작성하라.\n-주제명과 설명문 사이의 공백줄을 절대 삽입하지 마라.\n-예시의 내용은 절대 출력하지 마라.\n\n\n${content}`,
+  },
+});
+/**
+ * 출처 표기 규칙 (페이지 / 슬라이드 표시가 있는 문서만, 본문 앞에 추가)
+ * @param {string} sourceLabel - '페이지' | '슬라이드'
+ */
+export const getSummaryCitationRule = (sourceLabel) =>
+  `출처 표기 규칙:\n-문서 본문에는 [${sourceLabel} N] 형식의 위치 표시가 있으며, 부분 요약에는 (출처: ${sourceLabel} N) 형식으로 남아 있을 수 있다.\n-[문서 분석]과 [통합 분석]의 각 항목 설명문 끝에 근거가 된 위치를 (출처: ${sourceLabel} 3, 5-6) 형식으로 반드시 표기하라.\n-본문에 표시되지 않은 번호는 절대 표기하지 마라.`;
+
+/**
+ * 녹취 시점 표기 규칙 (자막 · 녹취 문서, 본문 앞에 추가)
+ */
+export const getSummaryTimestampRule = () =>
+  `출처 표기 규칙:\n-문서는 강의 녹취이며, 본문에는 [시간 HH:MM:SS] 형식의 발화 시점 표시가 있고, 부분 요약에는 (출처: HH:MM:SS) 형식으로 남아 있을 수 있다.\n-[문서 분석]과 [통합 분석]의 각 항목 설명문 끝에 근거가 된 발화 시점을 (출처: 00:12:34, 00:15:10) 형식으로 반드시 표기하라.\n-본문에 표시된 시간 범위를 벗어난 시점은 절대 표기하지 마라.`;
+
+/**
+ * 파일 표기 규칙 (여러 파일을 함께 요약하는 비교 통합 요약, 본문 앞에 추가)
+ */
+export const getSummaryFileRule = () =>
+  `출처 표기 규칙:\n-문서는 [파일 N] 표시로 구분된 여러 파일이며, 부분 요약에는 (출처: 파일 N) 형식으로 남아 있을 수 있다.\n-모든 항목의 설명문과 키워드 설명 끝에 근거가 된 파일을 (출처: 파일 1, 3) 형식으로 반드시 표기하라.\n-본문에 표시되지 않은 파일 번호는 절대 표기하지 마라.`;
@@ -1,7 +1,12 @@
 import { Router } from 'express';
 import multer from 'multer';
 import aiController from '../controllers/aiController.js';
-import { aiGenerationLimiter } from '../middlewares/rateLimiter.js';
+import { aiGenerationLimiter, allowCachedResults } from '../middlewares/rateLimiter.js';
+import { verifyToken, optionalToken } from '../middlewares/authMiddleware.js';
+import { checkTokenQuota } from '../middlewares/quotaMiddleware.js';
+import { detectUploadFormat, SUPPORTED_FORMAT_LABEL } from '../utils/uploadFormats.js';
+import { AppError } from '../middlewares/errorHandler.js';
+import config from '../config/env.js';
 
 const router = Router();
 
@@ -12,48 +17,87 @@ const upload = multer({
     fileSize: 20 * 1024 * 1024 // 20MB 제한
   },
   fileFilter: (req, file, cb) => {
-    const allowedMimes = [
-      'application/pdf',
-      'application/vnd.openxmlformats-officedocument.presentationml.presentation'
-    ];
-    const allowedExts = ['.pdf', '.pptx'];
-    const ext = '.' + file.originalname.split('.').pop().toLowerCase();
-
-    if (allowedMimes.includes(file.mimetype) || allowedExts.includes(ext)) {
+    if (detectUploadFormat(file.originalname, file.mimetype)) {
       cb(null, true);
     } else {
-      cb(new Error('PDF 또는 PPTX 파일만 업로드 가능합니다.'), false);
+      cb(new AppError(`${SUPPORTED_FORMAT_LABEL} 파일만 업로드 가능합니다.`, 400, { code: 'UNSUPPORTED_FILE_TYPE' }), false);
     }
   }
 });
 
-// 파일 업로드 에러 핸들러
+// 파일 업로드 에러 핸들러 (거부 사유는 code로 구분)
 const handleUploadError = (err, req, res, next) => {
   if (err instanceof multer.MulterError) {
     if (err.code === 'LIMIT_FILE_SIZE') {
       return res.status(413).json({
         success: false,
-        message: '파일 크기는 20MB를 초과할 수 없습니다.'
+        message: '파일 크기는 20MB를 초과할 수 없습니다.',
+        code: 'FILE_TOO_LARGE'
       });
     }
-    return res.status(400).json({ success: false, message: err.message });
+    // file 필드가 허용 개수를 넘은 경우 (single: 1개, 요약: UPLOAD_MAX_FILES개)
+    if (err.code === 'LIMIT_UNEXPECTED_FILE' && err.field === 'file') {
+      const maxFiles = req.route.path.startsWith('/summarize') ? config.upload.maxFiles : 1;
+      return res.status(400).json({
+        success: false,
+        message: `파일은 최대 ${maxFiles}개까지 업로드할 수 있습니다.`,
+        code: 'TOO_MANY_FILES',
+        maxFiles
+      });
+    }
+    return res.status(400).json({ success: false, message: err.message, code: err.code });
   }
   if (err) {
-    return res.status(400).json({ success: false, message: err.message });
+    return res.status(400).json({ success: false, message: err.message, ...err.details });
   }
   next();
 };
 
-// POST /api/ai/summarize - 파일 업로드 후 요약 생성
+// POST /api/ai/inspect - 업로드 파일의 페이지 / 슬라이드 구성 확인 (범위 선택용)
+router.post('/inspect', upload.single('file'), handleUploadError, aiController.inspect);
+
+// POST /api/ai/summarize - 파일 업로드 후 요약 생성 (?async=true 시 작업 등록, 비교 통합 요약은 file 여러 개)
 router.post(
   '/summarize',
+  optionalToken,
+  checkTokenQuota,
+  allowCachedResults,
   aiGenerationLimiter,
-  upload.single('file'),
+  upload.array('file', config.upload.maxFiles),
   handleUploadError,
   aiController.summarize
 );
 
-// POST /api/ai/generate - 요약 텍스트로 문제 생성
-router.post('/generate', aiGenerationLimiter, aiController.generateQuestions);
+// POST /api/ai/summarize/stream - 파일 업로드 후 요약을 SSE로 스트리밍
+router.post(
+  '/summarize/stream',
+  optionalToken,
+  checkTokenQuota,
+  allowCachedResults,
+  aiGenerationLimiter,
+  upload.array('file', config.upload.maxFiles),
+  handleUploadError,
+  aiController.summarizeStream
+);
+
+// POST /api/ai/generate - 요약 텍스트로 문제 생성 (async: true 시 작업 등록)
+router.post('/generate', optionalToken, checkTokenQuota, aiGenerationLimiter, aiController.generateQuestions);
+
+// POST /api/ai/generate/file - 파일 업로드 후 원문으로 문제 생성 (?async=true 시 작업 등록)
+router.post(
+  '/generate/file',
+  optionalToken,
+  checkTokenQuota,
+  aiGenerationLimiter,
+  upload.single('file'),
+  handleUploadError,
+  aiController.generateQuestionsFromFile
+);
+
+// GET /api/ai/jobs - 내 생성 작업 목록
+router.get('/jobs', verifyToken, aiController.getMyJobs);
+
+// GET /api/ai/jobs/:id - 생성 작업 상태 / 결과 조회
+router.get('/jobs/:id', verifyToken, aiController.getJob);
 
 export default router;
\ No newline at end of file
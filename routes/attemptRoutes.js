@@ -0,0 +1,23 @@
+import { Router } from 'express';
+import attemptController from '../controllers/attemptController.js';
+import { verifyToken } from '../middlewares/authMiddleware.js';
+import { aiGenerationLimiter, allowCachedResults } from '../middlewares/rateLimiter.js';
+import { checkTokenQuota } from '../middlewares/quotaMiddleware.js';
+
+const router = Router();
+
+router.get('/',                     verifyToken, attemptController.getMyAttempts);
+router.post('/',                    verifyToken, attemptController.startAttempt);
+router.get('/:id',                  verifyToken, attemptController.getAttempt);
+router.put('/:id/answers/:index',   verifyToken, attemptController.submitAnswer);
+router.post(
+  '/:id/answers/:index/grade',
+  verifyToken,
+  checkTokenQuota,
+  allowCachedResults,
+  aiGenerationLimiter,
+  attemptController.gradeSubjectiveAnswer
+);
+router.post('/:id/complete',        verifyToken, attemptController.completeAttempt);
+
+export default router;
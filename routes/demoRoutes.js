@@ -2,6 +2,7 @@ import { Router } from 'express';
 import demoController from '../controllers/demoController.js';
 import { demoLimiter } from '../middlewares/rateLimiter.js';
 import { verifyToken } from '../middlewares/authMiddleware.js';
+import { checkTokenQuota } from '../middlewares/quotaMiddleware.js';
 
 const router = Router();
 
@@ -9,9 +10,12 @@ const router = Router();
 router.get('/topics', demoController.getTopics);
 
 // POST /api/demo/summarize - 파일 없이 즉시 요약 생성
-router.post('/summarize', verifyToken, demoLimiter, demoController.summarize);
+router.post('/summarize', verifyToken, checkTokenQuota, demoLimiter, demoController.summarize);
+
+// POST /api/demo/summarize/stream - 파일 없이 요약을 SSE로 스트리밍
+router.post('/summarize/stream', verifyToken, checkTokenQuota, demoLimiter, demoController.summarizeStream);
 
 // POST /api/demo/generate - 파일 없이 즉시 문제 생성
-router.post('/generate', verifyToken, demoLimiter, demoController.generateQuestions);
+router.post('/generate', verifyToken, checkTokenQuota, demoLimiter, demoController.generateQuestions);
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,12 @@
+import { Router } from 'express';
+import documentController from '../controllers/documentController.js';
+import { verifyToken } from '../middlewares/authMiddleware.js';
+
+const router = Router();
+
+router.get('/',                verifyToken, documentController.getMyDocuments);
+router.get('/:id',             verifyToken, documentController.getDocumentDetail);
+router.get('/:id/download',    verifyToken, documentController.downloadDocument);
+router.delete('/:id',          verifyToken, documentController.deleteDocument);
+
+export default router;
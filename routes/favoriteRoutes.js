@@ -1,5 +1,6 @@
 import { Router } from 'express';
 import favoriteController from '../controllers/favoriteController.js';
+import { verifyToken } from '../middlewares/authMiddleware.js';
 
 const router = Router();
 
@@ -14,5 +15,7 @@ router.post('/check-multiple/:userId',             favoriteController.checkMulti
 router.get('/check/:userId/:questionId',           favoriteController.checkQuestion);
 router.get('/questions/all/:userId',               favoriteController.getAllQuestions);
 router.get('/folders/:folderId/questions/:userId', favoriteController.getQuestionsByFolder);
+router.get('/review/due',                          verifyToken, favoriteController.getDueReviews);
+router.post('/review',                             verifyToken, favoriteController.recordReview);
 
 export default router;
@@ -4,6 +4,8 @@ import authRoutes from './authRoutes.js';
 import aiRoutes from './aiRoutes.js';
 import summaryRoutes from './summaryRoutes.js';
 import questionRoutes from './questionRoutes.js';
+import documentRoutes from './documentRoutes.js';
+import attemptRoutes from './attemptRoutes.js';
 import favoriteRoutes from './favoriteRoutes.js';
 import problemSummaryMetaRoutes from './problemSummaryMetaRoutes.js';
 import demoRoutes from './demoRoutes.js';
@@ -15,6 +17,8 @@ router.use('/auth', authRoutes);
 router.use('/ai', aiRoutes);
 router.use('/summaries', summaryRoutes);
 router.use('/questions', questionRoutes);
+router.use('/documents', documentRoutes);
+router.use('/attempts', attemptRoutes);
 router.use('/favorites', favoriteRoutes);
 router.use('/problem-summary-meta', problemSummaryMetaRoutes);
 router.use('/demo', demoRoutes);
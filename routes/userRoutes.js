@@ -1,11 +1,13 @@
 import { Router } from 'express';
 import userController from '../controllers/userController.js';
 import { registerLimiter as registrationLimiter } from '../middlewares/rateLimiter.js';
+import { verifyToken } from '../middlewares/authMiddleware.js';
 
 const router = Router();
 
 router.post('/register',     registrationLimiter, userController.register);
 router.post('/login',        userController.login);
 router.post('/check-userid', userController.checkUserid);
+router.get('/me/usage',      verifyToken, userController.getMyUsage);
 
 export default router;
@@ -0,0 +1,122 @@
+/**
+ * 요약 → 문제 생성 → 저장 흐름 (LLM 응답은 tests/fixtures/llm의 기록을 재생, DB 모델은 메모리로 대체)
+ * - fixture 다시 기록: LLM_FIXTURE_MODE=record OPENAI_API_KEY=... npm test -- tests/aiFlow.test.js
+ */
+import { jest } from "@jest/globals";
+import request from "supertest";
+
+const TEST_USER = { userindex: 1, userid: "tester", name: "테스터" };
+
+const savedSummaries = [];
+const savedQuestions = [];
+
+jest.unstable_mockModule("../models/userModel.js", () => ({
+  default: class User {
+    static async findById(id) {
+      return Number(id) === TEST_USER.userindex ? TEST_USER : null;
+    }
+  },
+}));
+
+jest.unstable_mockModule("../models/summaryModel.js", () => ({
+  default: class Summary {
+    static async create(data) {
+      savedSummaries.push(data);
+      return { selection_id: savedSummaries.length, ...data };
+    }
+  },
+}));
+
+jest.unstable_mockModule("../models/questionModel.js", () => ({
+  default: class Question {
+    static async create(data) {
+      savedQuestions.push(data);
+      return { selection_id: savedQuestions.length, ...data };
+    }
+  },
+}));
+
+const { default: app } = await import("../app.js");
+
+const LECTURE_NOTE = [
+  "운영체제 강의 노트 - 프로세스와 스레드",
+  "프로세스는 실행 중인 프로그램으로, 코드 · 데이터 · 힙 · 스택 영역으로 구성된 독립된 주소 공간을 가진다.",
+  "스레드는 프로세스 안에서 실행되는 흐름의 단위로, 같은 프로세스의 스레드들은 코드 · 데이터 · 힙 영역을 공유하고 스택만 따로 가진다.",
+  "문맥 교환(context switch)은 CPU가 실행 중인 작업을 바꿀 때 레지스터와 프로그램 카운터 등 상태를 저장하고 복원하는 과정이다.",
+  "스레드 간 문맥 교환은 주소 공간을 바꾸지 않으므로 프로세스 간 문맥 교환보다 비용이 적다.",
+].join("\n");
+
+describe("요약 → 문제 생성 → 저장 (LLM replay)", () => {
+  it("업로드한 문서를 요약하고, 요약으로 문제를 만들어 저장한다", async () => {
+    const summaryRes = await request(app)
+      .post("/api/ai/summarize")
+      .field("summaryType", "기본 요약")
+      .field("level", "비전공자")
+      .field("field", "컴퓨터공학")
+      .attach("file", Buffer.from(LECTURE_NOTE, "utf8"), { filename: "os-lecture.txt", contentType: "text/plain" })
+      .expect(200);
+
+    expect(summaryRes.body.success).toBe(true);
+    expect(summaryRes.body.summary).toContain("프로세스");
+
+    const questionRes = await request(app)
+      .post("/api/ai/generate")
+      .send({
+        summaryText: summaryRes.body.summary,
+        questionType: "n지선다",
+        questionCount: 2,
+        level: "비전공자",
+        field: "컴퓨터공학",
+      })
+      .expect(200);
+
+    expect(questionRes.body.success).toBe(true);
+    const { questions } = questionRes.body;
+    expect(questions).toHaveLength(2);
+    questions.forEach((question) => {
+      expect(question.options).toHaveLength(4);
+      expect(question.options.map(({ id }) => id)).toContain(question.correct_answer);
+    });
+
+    await request(app)
+      .post("/api/summaries")
+      .send({
+        userId: TEST_USER.userindex,
+        fileName: "os-lecture.txt",
+        summaryName: "프로세스와 스레드",
+        summaryType: "기본 요약",
+        summaryText: summaryRes.body.summary,
+      })
+      .expect(201);
+
+    await request(app)
+      .post("/api/questions")
+      .send({
+        userId: TEST_USER.userindex,
+        fileName: "os-lecture.txt",
+        questionName: "프로세스와 스레드 문제",
+        questionType: "n지선다",
+        questionText: JSON.stringify({ questions }),
+      })
+      .expect(201);
+
+    expect(savedSummaries).toEqual([
+      expect.objectContaining({ userId: TEST_USER.userindex, summaryText: summaryRes.body.summary }),
+    ]);
+    expect(savedQuestions).toEqual([
+      expect.objectContaining({ userId: TEST_USER.userindex, questionText: JSON.stringify({ questions }) }),
+    ]);
+  });
+
+  const replayOnly = process.env.LLM_FIXTURE_MODE === "replay" ? it : it.skip;
+
+  replayOnly("기록되지 않은 프롬프트는 fixture 없음 오류로 실패한다", async () => {
+    const res = await request(app)
+      .post("/api/ai/generate")
+      .send({ summaryText: `${LECTURE_NOTE}\n기록되지 않은 문장이 추가된 요약입니다.`, questionType: "n지선다", questionCount: 2 })
+      .expect(500);
+
+    expect(res.body.success).toBe(false);
+    expect(res.body.error).toMatch(/LLM replay fixture가 없습니다/);
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * 저장한 문제 세트의 객관식 답안 채점 · 답안 문자열 정규화
+ */
+import { gradeAnswer, normalizeAnswerText } from "../utils/quizGrader.js";
+
+describe("normalizeAnswerText", () => {
+  it("대소문자 · 전각/반각 · 띄어쓰기 차이를 무시한다", () => {
+    expect(normalizeAnswerText("ＴＣＰ／ＩＰ")).toBe(normalizeAnswerText("tcp/ip"));
+    expect(normalizeAnswerText(" Context  Switch ")).toBe("contextswitch");
+  });
+
+  it("따옴표 · 괄호 · 문장부호를 제거한다", () => {
+    expect(normalizeAnswerText("「스택」.")).toBe("스택");
+    expect(normalizeAnswerText("“힙(heap)”!")).toBe("힙heap");
+  });
+
+  it("숫자와 null을 문자열로 다룬다", () => {
+    expect(normalizeAnswerText(42)).toBe("42");
+    expect(normalizeAnswerText(null)).toBe("");
+  });
+});
+
+describe("gradeAnswer", () => {
+  describe("참거짓", () => {
+    const question = { question_text: "스레드는 스택을 공유한다.", correct_answer: false };
+
+    it.each([
+      ["O", false],
+      ["참", false],
+      ["false", true],
+      ["X", true],
+      [false, true],
+    ])("%p 답안을 boolean으로 해석해 채점한다", (answer, correct) => {
+      expect(gradeAnswer("참거짓", question, answer)).toEqual({
+        gradable: true,
+        correct,
+        score: correct ? 1 : 0,
+        correctAnswer: false,
+      });
+    });
+
+    it.each([["모름"], [""], [null]])("해석할 수 없는 답안 %p은 null을 반환한다", (answer) => {
+      expect(gradeAnswer("참거짓", question, answer)).toBeNull();
+    });
+  });
+
+  describe("순서배열", () => {
+    const question = { correct_sequence: [2, 3, 1] };
+
+    it("id 배열과 콤마 구분 문자열을 같게 채점한다", () => {
+      expect(gradeAnswer("순서배열", question, [2, 3, 1])).toMatchObject({ correct: true, score: 1 });
+      expect(gradeAnswer("순서배열", question, "2, 3, 1")).toMatchObject({ correct: true, score: 1 });
+    });
+
+    it("항목 수가 다르면 앞부분이 맞아도 오답으로 처리한다", () => {
+      expect(gradeAnswer("순서배열", question, [2, 3])).toEqual({
+        gradable: true,
+        correct: false,
+        score: 0,
+        correctAnswer: [2, 3, 1],
+        details: { correctPositions: 2, total: 3 },
+      });
+      expect(gradeAnswer("순서배열", question, [2, 3, 1, 4])).toMatchObject({
+        correct: false,
+        details: { correctPositions: 3, total: 3 },
+      });
+    });
+  });
+
+  describe("빈칸채우기", () => {
+    const question = {
+      options: [
+        { id: 1, text: "스택" },
+        { id: 2, text: "힙" },
+        { id: 3, text: "TCP/IP" },
+      ],
+      correct_answers: ["스택", "TCP/IP"],
+    };
+
+    it("맞힌 빈칸 비율만큼 부분 점수를 준다", () => {
+      expect(gradeAnswer("빈칸채우기", question, ["스택", "힙"])).toEqual({
+        gradable: true,
+        correct: false,
+        score: 0.5,
+        correctAnswer: ["스택", "TCP/IP"],
+        details: {
+          blanks: [
+            { blank: 1, answer: "스택", correct: true },
+            { blank: 2, answer: "힙", correct: false },
+          ],
+        },
+      });
+    });
+
+    it("선택지 id로 답해도 선택지 text로 채점한다", () => {
+      const result = gradeAnswer("빈칸채우기", question, [1, "3"]);
+
+      expect(result).toMatchObject({ correct: true, score: 1 });
+      expect(result.details.blanks.map(({ answer }) => answer)).toEqual(["스택", "TCP/IP"]);
+    });
+
+    it("전각 문자와 문장부호 차이는 정답으로 인정한다", () => {
+      expect(gradeAnswer("빈칸채우기", question, ["「스택」.", "ｔｃｐ／ｉｐ"])).toMatchObject({ correct: true, score: 1 });
+    });
+
+    it("빈칸 수보다 답안이 적으면 남은 빈칸은 오답으로 처리한다", () => {
+      const result = gradeAnswer("빈칸채우기", question, "스택");
+
+      expect(result).toMatchObject({ correct: false, score: 0.5 });
+      expect(result.details.blanks[1]).toEqual({ blank: 2, answer: null, correct: false });
+    });
+  });
+
+  it("n지선다는 선택지 id를 문자열로 비교한다", () => {
+    expect(gradeAnswer("n지선다", { correct_answer: 3 }, "3")).toEqual({
+      gradable: true,
+      correct: true,
+      score: 1,
+      correctAnswer: 3,
+    });
+  });
+
+  it("단답 · 서술은 채점 대기로 남긴다", () => {
+    expect(gradeAnswer("서술", { model_answer: "..." }, "답안")).toEqual({ gradable: false, correct: null, score: null });
+  });
+});
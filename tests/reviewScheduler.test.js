@@ -0,0 +1,62 @@
+/**
+ * 즐겨찾기 복습 일정 (SM-2) 계산
+ */
+import { DEFAULT_EASE_FACTOR, MIN_EASE_FACTOR, scheduleReview } from "../utils/reviewScheduler.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const REVIEWED_AT = new Date("2026-03-02T09:00:00Z");
+
+describe("scheduleReview", () => {
+  it("처음 복습은 기본 난이도 계수에서 1일 뒤로 잡는다", () => {
+    const next = scheduleReview(null, 4, REVIEWED_AT);
+
+    expect(next).toEqual({
+      easeFactor: DEFAULT_EASE_FACTOR,
+      intervalDays: 1,
+      repetitions: 1,
+      dueAt: new Date(REVIEWED_AT.getTime() + DAY_MS),
+      lapsed: false,
+    });
+  });
+
+  it("3점 이상이면 간격을 1일 → 6일 → 간격 × 난이도 계수로 늘린다", () => {
+    const first = scheduleReview(null, 5, REVIEWED_AT);
+    const second = scheduleReview(first, 5, REVIEWED_AT);
+    const third = scheduleReview(second, 5, REVIEWED_AT);
+
+    expect([first.intervalDays, second.intervalDays]).toEqual([1, 6]);
+    expect(second.easeFactor).toBe(2.7);
+    expect(third.intervalDays).toBe(Math.round(6 * 2.7));
+    expect(third.repetitions).toBe(3);
+    expect(third.dueAt).toEqual(new Date(REVIEWED_AT.getTime() + 16 * DAY_MS));
+  });
+
+  it("3점 미만이면 난이도 계수는 유지하고 1일 뒤부터 다시 시작한다", () => {
+    const previous = { easeFactor: 2.36, intervalDays: 15, repetitions: 4 };
+    const next = scheduleReview(previous, 2, REVIEWED_AT);
+
+    expect(next).toEqual({
+      easeFactor: 2.36,
+      intervalDays: 1,
+      repetitions: 0,
+      dueAt: new Date(REVIEWED_AT.getTime() + DAY_MS),
+      lapsed: true,
+    });
+  });
+
+  it("잊은 뒤 다시 기억하면 1일 → 6일 순서로 다시 늘린다", () => {
+    const lapsed = scheduleReview({ easeFactor: 2.5, intervalDays: 15, repetitions: 3 }, 0, REVIEWED_AT);
+    const relearned = scheduleReview(lapsed, 4, REVIEWED_AT);
+
+    expect(relearned.intervalDays).toBe(1);
+    expect(scheduleReview(relearned, 4, REVIEWED_AT).intervalDays).toBe(6);
+  });
+
+  it("난이도 계수는 1.3 아래로 내려가지 않는다", () => {
+    let schedule = { easeFactor: 1.4, intervalDays: 6, repetitions: 2 };
+    for (let i = 0; i < 3; i++) schedule = scheduleReview(schedule, 3, REVIEWED_AT);
+
+    expect(schedule.easeFactor).toBe(MIN_EASE_FACTOR);
+    expect(schedule.intervalDays).toBe(Math.round(Math.round(Math.round(6 * 1.4) * 1.3) * 1.3));
+  });
+});
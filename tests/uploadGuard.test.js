@@ -0,0 +1,70 @@
+/**
+ * zip 기반 문서의 압축 해제 크기 제한 (헤더에 선언된 크기를 조작한 파일 포함)
+ */
+import AdmZip from "adm-zip";
+
+// 테스트용 압축 해제 상한 1MB (config/env.js 로드 전에 적용)
+process.env.UPLOAD_MAX_UNCOMPRESSED_MB = "1";
+const { openZipArchive } = await import("../utils/uploadGuard.js");
+
+const LIMIT_BYTES = 1024 * 1024;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+// 중앙 디렉터리 항목에서 압축 해제 크기 필드 위치
+const CENTRAL_HEADER_SIZE_OFFSET = 24;
+
+const buildDocx = (entries) => {
+  const zip = new AdmZip();
+  zip.addFile("[Content_Types].xml", Buffer.from("<Types/>"));
+  zip.addFile("word/document.xml", Buffer.from("<w:document><w:body/></w:document>"));
+  Object.entries(entries).forEach(([name, data]) => zip.addFile(name, data));
+  return zip.toBuffer();
+};
+
+// 모든 항목의 중앙 디렉터리 압축 해제 크기를 0으로 조작
+const forgeDeclaredSizes = (buffer) => {
+  const forged = Buffer.from(buffer);
+  for (let offset = 0; offset <= forged.length - 4; offset++) {
+    if (forged.readUInt32LE(offset) === CENTRAL_HEADER_SIGNATURE) {
+      forged.writeUInt32LE(0, offset + CENTRAL_HEADER_SIZE_OFFSET);
+    }
+  }
+  return forged;
+};
+
+describe("openZipArchive", () => {
+  it("상한 이내의 문서는 항목 내용을 그대로 읽는다", async () => {
+    const zip = await openZipArchive(buildDocx({ "word/styles.xml": Buffer.from("<w:styles/>") }), "docx");
+
+    expect(zip.getEntry("word/document.xml").getData().toString("utf8")).toBe("<w:document><w:body/></w:document>");
+    expect(zip.getEntry("word/styles.xml").getData().toString("utf8")).toBe("<w:styles/>");
+  });
+
+  it("선언된 크기 합계가 상한을 넘으면 열기 전에 거부한다", async () => {
+    const buffer = buildDocx({ "word/media/big.bin": Buffer.alloc(LIMIT_BYTES + 1) });
+
+    await expect(openZipArchive(buffer, "docx")).rejects.toMatchObject({
+      statusCode: 413,
+      details: { code: "ARCHIVE_TOO_LARGE" },
+    });
+  });
+
+  it("선언된 크기를 0으로 조작한 항목도 실제 해제 크기로 거부한다", async () => {
+    const buffer = forgeDeclaredSizes(buildDocx({ "word/media/big.bin": Buffer.alloc(LIMIT_BYTES * 4) }));
+    const zip = await openZipArchive(buffer, "docx");
+
+    expect(() => zip.getEntry("word/media/big.bin").getData()).toThrow(
+      expect.objectContaining({ statusCode: 413, details: expect.objectContaining({ code: "ARCHIVE_TOO_LARGE" }) }),
+    );
+  });
+
+  it("여러 항목이 압축 해제 상한 하나를 나누어 쓴다", async () => {
+    const half = Buffer.alloc(LIMIT_BYTES * 0.6, "a");
+    const buffer = forgeDeclaredSizes(buildDocx({ "word/media/a.bin": half, "word/media/b.bin": half }));
+    const zip = await openZipArchive(buffer, "docx");
+
+    expect(zip.getEntry("word/media/a.bin").getData()).toHaveLength(half.length);
+    expect(() => zip.getEntry("word/media/b.bin").getData()).toThrow(
+      expect.objectContaining({ statusCode: 413 }),
+    );
+  });
+});
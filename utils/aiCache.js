@@ -0,0 +1,62 @@
+/**
+ * AI 결과 캐시 (content-addressed)
+ * - 키: 추출 텍스트 + 프롬프트 키 + 레벨 + 분야 + 모델 + 프롬프트 버전의 SHA-256
+ * - 캐시는 부가 기능이므로 DB 오류 시 경고만 남기고 생성 흐름은 그대로 진행
+ */
+import crypto from "crypto";
+import config from "../config/env.js";
+import AiResultCache from "../models/aiResultCacheModel.js";
+import { PROMPT_VERSION } from "../prompts/promptManager.js";
+import logger from "./logger.js";
+
+/**
+ * 캐시 키 생성
+ * @param {{ text: string, promptKey: string, level: string, field: string, model: string }} parts
+ * @returns {string}
+ */
+export const buildCacheKey = ({ text, promptKey, level, field, model }) =>
+  crypto
+    .createHash("sha256")
+    .update(JSON.stringify([text, promptKey, level, field, model, PROMPT_VERSION]))
+    .digest("hex");
+
+/**
+ * 캐시 조회
+ * @returns {Promise<object|null>} 저장된 결과 (미적중 / 비활성 / 오류 시 null)
+ */
+export const readCache = async (cacheKey) => {
+  if (!config.aiCache.enabled) return null;
+  try {
+    return await AiResultCache.findByKey(cacheKey, config.aiCache.ttlDays);
+  } catch (error) {
+    logger.warn(`AI 결과 캐시 조회 실패 - 캐시 없이 진행: ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * 캐시 저장
+ * @param {string} cacheKey
+ * @param {{ kind: string, promptKey: string, model: string }} meta
+ * @param {object} result
+ */
+export const writeCache = async (cacheKey, { kind, promptKey, model }, result) => {
+  if (!config.aiCache.enabled) return;
+  try {
+    await AiResultCache.save({ cacheKey, kind, promptKey, promptVersion: PROMPT_VERSION, model, result });
+  } catch (error) {
+    logger.warn(`AI 결과 캐시 저장 실패: ${error.message}`);
+  }
+};
+
+/**
+ * 다른 프롬프트 버전 / TTL 만료 캐시 삭제 (서버 시작 시 호출)
+ */
+export const purgeStaleCache = async () => {
+  try {
+    const deleted = await AiResultCache.purgeStale(PROMPT_VERSION, config.aiCache.ttlDays);
+    if (deleted > 0) logger.info(`만료된 AI 결과 캐시 ${deleted}건 삭제 (프롬프트 버전: ${PROMPT_VERSION})`);
+  } catch (error) {
+    logger.error(`AI 결과 캐시 정리 실패: ${error.message}`);
+  }
+};
@@ -0,0 +1,113 @@
+/**
+ * 문서(DOCX / HWPX / HWP) 본문을 문단 · 표 단위 텍스트로 조립
+ * - 추출기는 XML / 레코드를 순서대로 읽으며 이벤트(문단 시작 · 텍스트 · 표 시작 등)만 전달
+ * - 제목은 Markdown 제목(#), 목록은 "- ", 표는 행마다 셀을 " | "로 연결
+ * - 페이지 나누기는 PAGE_BREAK로 보존하여 청크 경계로 사용
+ */
+import { PAGE_BREAK } from "./textChunker.js";
+
+const NAMED_ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: " " };
+
+/**
+ * XML / HTML 문자 참조 복원 (&amp;lt; 가 <로 이중 복원되지 않도록 한 번에 치환)
+ * @param {string} text
+ * @returns {string}
+ */
+export const decodeEntities = (text) =>
+  text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === "#") {
+      const codePoint = code[1].toLowerCase() === "x" ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return codePoint > 0 && codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : entity;
+    }
+    return NAMED_ENTITIES[code.toLowerCase()] ?? entity;
+  });
+
+/**
+ * 블록 조립기
+ * - 표 안의 표를 위해 표는 스택으로 관리하며, 중첩 표는 바깥 셀에 " / "로 이어 붙임
+ */
+export const createBlockBuilder = () => {
+  const blocks = [];
+  const tables = [];
+  let paragraph = { text: "", headingLevel: null, list: false };
+
+  const appendToCell = (text) => {
+    if (text) tables[tables.length - 1].cell.push(text);
+  };
+
+  const flushParagraph = () => {
+    const content = paragraph.text.trim();
+    paragraph.text = "";
+    if (!content) return;
+    if (tables.length > 0) return appendToCell(content);
+
+    const { headingLevel, list } = paragraph;
+    const prefix = headingLevel ? `${"#".repeat(Math.min(headingLevel, 6))} ` : list ? "- " : "";
+    blocks.push(prefix + content);
+  };
+
+  return {
+    // 문단 안에 문단 / 표가 중첩되는 형식(HWPX 등)을 위해 앞서 쌓인 텍스트는 먼저 내보냄
+    startParagraph({ headingLevel = null, list = false } = {}) {
+      flushParagraph();
+      paragraph = { text: "", headingLevel, list };
+    },
+    setHeadingLevel(level) {
+      paragraph.headingLevel = level;
+    },
+    markList() {
+      paragraph.list = true;
+    },
+    text(value) {
+      paragraph.text += value;
+    },
+    endParagraph() {
+      flushParagraph();
+      paragraph = { text: "", headingLevel: null, list: false };
+    },
+    // 표 안에서는 줄바꿈으로 취급
+    pageBreak() {
+      if (tables.length > 0) {
+        paragraph.text += "\n";
+        return;
+      }
+      flushParagraph();
+      blocks.push(PAGE_BREAK);
+    },
+    startTable() {
+      flushParagraph();
+      tables.push({ rows: [], cells: [], cell: [] });
+    },
+    startRow() {
+      if (tables.length > 0) tables[tables.length - 1].cells = [];
+    },
+    startCell() {
+      if (tables.length > 0) tables[tables.length - 1].cell = [];
+    },
+    endCell() {
+      if (tables.length === 0) return;
+      flushParagraph();
+      const table = tables[tables.length - 1];
+      table.cells.push(table.cell.join(" "));
+    },
+    endRow() {
+      if (tables.length === 0) return;
+      const table = tables[tables.length - 1];
+      if (table.cells.some(Boolean)) table.rows.push(table.cells.join(" | "));
+    },
+    endTable() {
+      if (tables.length === 0) return;
+      const { rows } = tables.pop();
+      if (tables.length > 0) appendToCell(rows.join(" / "));
+      else if (rows.length > 0) blocks.push(rows.join("\n"));
+    },
+    // 블록은 빈 줄로 구분, 페이지 나누기 앞뒤 공백 정리
+    toText() {
+      flushParagraph();
+      return blocks
+        .join("\n\n")
+        .replace(new RegExp(`\\s*${PAGE_BREAK}\\s*`, "g"), PAGE_BREAK)
+        .trim();
+    },
+  };
+};
@@ -0,0 +1,156 @@
+/**
+ * 문서 보관함
+ * - 로그인 사용자의 업로드 원본을 저장소(utils/storage)에 보관하고 documents에 내용 해시(SHA-256)와 함께 등록
+ * - 같은 사용자가 같은 내용을 다시 올리면 기존 문서를 재사용하여 한 번만 저장
+ * - 보관한 문서는 documentId로 다시 요약 / 문제 생성에 사용하며, 추출 텍스트를 저장해 두어 재추출(OCR 등)을 생략
+ * - 보관 · 추출 캐시는 부가 기능이므로 실패해도 경고만 남기고 생성 흐름은 그대로 진행
+ */
+import crypto from "crypto";
+import Document from "../models/documentModel.js";
+import { getDocumentStorage } from "./storage/index.js";
+import { AppError } from "../middlewares/errorHandler.js";
+import logger from "./logger.js";
+
+const hashContent = (buffer) => crypto.createHash("sha256").update(buffer).digest("hex");
+
+// 저장소 키: 사용자별 폴더 + 내용 해시 (사용자 · 해시 조합이 유일하므로 키도 유일)
+const buildStorageKey = (userId, contentHash, fileType) => `${userId}/${contentHash}.${fileType}`;
+
+// 추출 결과를 재사용할 수 있는 옵션 조합 (범위 · 노트 포함 여부가 같아야 같은 텍스트)
+const buildExtractOptionsKey = ({ pages = null, includeNotes = true }) =>
+  `pages=${pages ?? "all"};notes=${includeNotes}`;
+
+/**
+ * 업로드 파일을 문서 보관함에 저장
+ * @param {number} userId
+ * @param {{ buffer: Buffer, fileName: string, mimeType?: string }} file
+ * @param {string} fileType - verifyUploadedFile 결과 (UPLOAD_FORMATS 키)
+ * @returns {Promise<number|null>} documentId (저장 실패 시 null)
+ */
+export const storeUploadedDocument = async (userId, { buffer, fileName, mimeType }, fileType) => {
+  try {
+    const contentHash = hashContent(buffer);
+    const existing = await Document.findByHash(userId, contentHash);
+    if (existing) return existing.document_id;
+
+    const storageKey = buildStorageKey(userId, contentHash, fileType);
+    await getDocumentStorage().put(storageKey, buffer);
+    const document = await Document.create({
+      userId,
+      fileName,
+      fileType,
+      mimeType,
+      sizeBytes: buffer.length,
+      contentHash,
+      storageKey,
+    });
+    logger.info(`문서 보관 - documentId: ${document.document_id}, 파일: ${fileName}`);
+    return document.document_id;
+  } catch (error) {
+    logger.warn(`문서 보관 실패 - 보관 없이 진행: ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * 사용자가 소유한 문서 조회
+ * @param {number} userId
+ * @param {number|string} documentId
+ * @returns {Promise<object>} documents 행 (추출 텍스트 제외)
+ * @throws {AppError} 400 / 403 / 404 DOCUMENT_NOT_FOUND
+ */
+export const findOwnedDocument = async (userId, documentId) => {
+  const id = Number(documentId);
+  if (!Number.isInteger(id) || id < 1) {
+    throw new AppError("documentId는 양의 정수여야 합니다.", 400);
+  }
+  const document = await Document.findById(id);
+  if (!document) {
+    throw new AppError("문서를 찾을 수 없습니다.", 404, { code: "DOCUMENT_NOT_FOUND" });
+  }
+  if (document.user_id !== userId) {
+    throw new AppError("해당 문서에 접근할 권한이 없습니다.", 403);
+  }
+  return document;
+};
+
+/**
+ * 보관한 문서의 원본 파일 읽기
+ * @param {object} document - findOwnedDocument 결과
+ * @returns {Promise<Buffer>}
+ * @throws {AppError} 404 DOCUMENT_FILE_MISSING (저장소에서 원본이 사라진 경우)
+ */
+export const readDocumentFile = async (document) => {
+  const buffer = await getDocumentStorage().get(document.storage_key);
+  if (!buffer) {
+    logger.error(`문서 원본 없음 - documentId: ${document.document_id}, key: ${document.storage_key}`);
+    throw new AppError("문서 원본 파일을 찾을 수 없습니다. 파일을 다시 업로드해주세요.", 404, {
+      code: "DOCUMENT_FILE_MISSING",
+    });
+  }
+  return buffer;
+};
+
+/**
+ * 보관한 문서를 생성 파이프라인 입력으로 변환 (재업로드 없이 요약 / 문제 생성)
+ * @param {number} userId
+ * @param {number|string} documentId
+ * @returns {Promise<{ buffer: Buffer, fileName: string, mimeType: string|null, documentId: number }>}
+ */
+export const loadDocumentSource = async (userId, documentId) => {
+  const document = await findOwnedDocument(userId, documentId);
+  return {
+    buffer: await readDocumentFile(document),
+    fileName: document.file_name,
+    mimeType: document.mime_type,
+    documentId: document.document_id,
+  };
+};
+
+/**
+ * 문서 삭제 (DB 행 삭제 후 저장소 원본 삭제, 원본 삭제 실패는 경고만 남김)
+ * @param {object} document - findOwnedDocument 결과
+ */
+export const deleteDocument = async (document) => {
+  await Document.deleteById(document.document_id);
+  try {
+    await getDocumentStorage().remove(document.storage_key);
+  } catch (error) {
+    logger.warn(`문서 원본 삭제 실패 - key: ${document.storage_key}: ${error.message}`);
+  }
+};
+
+/**
+ * 저장된 추출 결과 조회
+ * @param {number} documentId
+ * @param {{ pages?: string|null, includeNotes?: boolean }} extractOptions
+ * @returns {Promise<{ text: string, slides: object[]|null, ocr: object|null }|null>} 미적중 / 오류 시 null
+ */
+export const readStoredExtraction = async (documentId, extractOptions) => {
+  try {
+    const row = await Document.findExtraction(documentId, buildExtractOptionsKey(extractOptions));
+    if (!row) return null;
+    return { text: row.extracted_text, slides: row.extract_meta?.slides ?? null, ocr: row.extract_meta?.ocr ?? null };
+  } catch (error) {
+    logger.warn(`문서 추출 결과 조회 실패 - 다시 추출: ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * 추출 결과 저장
+ * @param {number} documentId
+ * @param {{ pages?: string|null, includeNotes?: boolean }} extractOptions
+ * @param {{ text: string, slides: object[]|null, ocr: object|null }} extraction
+ */
+export const writeStoredExtraction = async (documentId, extractOptions, { text, slides, ocr }) => {
+  try {
+    await Document.saveExtraction(documentId, {
+      extractOptions: buildExtractOptionsKey(extractOptions),
+      text,
+      meta: slides || ocr ? { slides, ocr } : null,
+    });
+  } catch (error) {
+    logger.warn(`문서 추출 결과 저장 실패: ${error.message}`);
+  }
+};
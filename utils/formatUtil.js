@@ -14,23 +14,23 @@ export const formatDate = (dateString, includeTime = true) => {
 
 // DB 요약 타입을 클라이언트 표시명으로 변환
 export const mapSummaryTypeToClient = (dbType) => {
-  const mapping = { basic: '기본 요약', key_points: '핵심 요약', topic: '주제 요약', outline: '목차 요약', keywords: '키워드 요약' };
+  const mapping = { basic: '기본 요약', key_points: '핵심 요약', topic: '주제 요약', outline: '목차 요약', keywords: '키워드 요약', comparison: '비교 통합 요약' };
   return mapping[dbType] || dbType;
 };
 
 export const mapSummaryTypeToDb = (clientType) => {
-  const mapping = { '기본 요약': 'basic', '핵심 요약': 'key_points', '주제 요약': 'topic', '목차 요약': 'outline', '키워드 요약': 'keywords' };
+  const mapping = { '기본 요약': 'basic', '핵심 요약': 'key_points', '주제 요약': 'topic', '목차 요약': 'outline', '키워드 요약': 'keywords', '비교 통합 요약': 'comparison' };
   return mapping[clientType] || clientType;
 };
 
 // DB 문제 타입을 클라이언트 표시명으로 변환
 export const mapQuestionTypeToClient = (dbType) => {
-  const mapping = { multiple_choice: 'n지 선다형', sequence: '순서 배열형', true_false: '참/거짓형', fill_in_the_blank: '빈칸 채우기형', short_answer: '단답형', descriptive: '서술형' };
+  const mapping = { multiple_choice: 'n지 선다형', sequence: '순서 배열형', true_false: '참/거짓형', fill_in_the_blank: '빈칸 채우기형', short_answer: '단답형', descriptive: '서술형', mixed: '혼합형' };
   return mapping[dbType] || dbType;
 };
 
 export const mapQuestionTypeToDb = (clientType) => {
-  const mapping = { 'n지 선다형': 'multiple_choice', '순서 배열형': 'sequence', '참/거짓형': 'true_false', '빈칸 채우기형': 'fill_in_the_blank', '단답형': 'short_answer', '서술형': 'descriptive' };
+  const mapping = { 'n지 선다형': 'multiple_choice', '순서 배열형': 'sequence', '참/거짓형': 'true_false', '빈칸 채우기형': 'fill_in_the_blank', '단답형': 'short_answer', '서술형': 'descriptive', '혼합형': 'mixed' };
   return mapping[clientType] || clientType;
 };
 
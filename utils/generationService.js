@@ -0,0 +1,970 @@
+/**
+ * AI 생성 파이프라인 (요약 / 문제 생성)
+ * - 동기 요청(aiController)과 비동기 작업(jobWorker)이 같은 로직을 공유하도록 분리
+ * - 입력 오류는 AppError(statusCode 포함)로 던져 호출부에서 응답 코드로 변환
+ */
+import {
+  extractTextFromPdf,
+  extractPptxSlides,
+  extractTextFromDocx,
+  extractTextFromHwpx,
+  extractTextFromPlainText,
+  extractTextFromMarkdown,
+  extractTextFromHtml,
+  extractTextFromSubtitles,
+  inspectPdf,
+  inspectPptx,
+} from "./textExtractor.js";
+import { extractTextFromHwp } from "./hwpReader.js";
+import { normalizePageRange } from "./pageRange.js";
+import { UPLOAD_FORMATS, SUPPORTED_FORMAT_LABEL, detectUploadFormat } from "./uploadFormats.js";
+import { assertUploadContent, withExtractionTimeout } from "./uploadGuard.js";
+import { getProvider } from "./providers/index.js";
+import { PAGE_BREAK, fileMarker, splitIntoChunks, stripSourceMarkers } from "./textChunker.js";
+import { countTokens, getContentBudget } from "./tokenCounter.js";
+import {
+  getPrompt,
+  getQuestionRepairPrompt,
+  getQuestionReformatPrompt,
+} from "../prompts/promptManager.js";
+import { validateQuestion, validateQuestions } from "./questionSchema.js";
+import { buildCacheKey, readCache, writeCache } from "./aiCache.js";
+import {
+  getSourceIndex,
+  resolveQuestionSources,
+  resolveSummarySources,
+  createCitationLineFilter,
+} from "./sourceCitations.js";
+import { readStoredExtraction, writeStoredExtraction } from "./documentLibrary.js";
+import { AppError } from "../middlewares/errorHandler.js";
+import { AI_GENERATION_LIMIT_MESSAGE } from "../middlewares/rateLimiter.js";
+import config from "../config/env.js";
+import logger from "./logger.js";
+
+// 프론트에서 다양한 형태로 전달되는 문제 타입을 백엔드 내부 키로 정규화
+export const QUESTION_TYPE_NORMALIZE_MAP = {
+  // 단축형 (기존)
+  n지선다: "n지선다",
+  순서배열: "순서배열",
+  참거짓: "참거짓",
+  빈칸채우기: "빈칸채우기",
+  단답: "단답",
+  서술: "서술",
+  // 한국어 전체형
+  "n지 선다형": "n지선다",
+  n지선다형: "n지선다",
+  "순서 배열형": "순서배열",
+  순서배열형: "순서배열",
+  "참/거짓형": "참거짓",
+  참거짓형: "참거짓",
+  "빈칸 채우기형": "빈칸채우기",
+  빈칸채우기형: "빈칸채우기",
+  단답형: "단답",
+  서술형: "서술",
+  // DB/영문 타입
+  multiple_choice: "n지선다",
+  sequence: "순서배열",
+  true_false: "참거짓",
+  fill_in_the_blank: "빈칸채우기",
+  short_answer: "단답",
+  descriptive: "서술",
+};
+
+export const VALID_TYPES = [
+  "n지선다",
+  "순서배열",
+  "참거짓",
+  "빈칸채우기",
+  "단답",
+  "서술",
+];
+
+export const QUESTION_TYPE_TO_PROMPT_KEY = {
+  n지선다: "문제 생성_n지 선다형",
+  순서배열: "문제 생성_순서 배열형",
+  참거짓: "문제 생성_참거짓형",
+  빈칸채우기: "문제 생성_빈칸 채우기형",
+  단답: "문제 생성_단답형",
+  서술: "문제 생성_서술형",
+};
+
+// 한 번의 호출에 넣을 content 토큰 상한 (초과 시 청크로 나눠 처리)
+// 실제 예산은 모델 컨텍스트 윈도우에서 프롬프트 템플릿·출력 예약을 뺀 값과 이 상한 중 작은 값
+const MAX_CONTENT_TOKENS_SUMMARY  = 20000; // 요약
+const MAX_CONTENT_TOKENS_QUESTION = 15000; // 문제 생성
+
+/**
+ * multer가 latin1로 해석한 원본 파일명을 UTF-8로 복원
+ * @param {string} originalname
+ * @returns {string}
+ */
+export const decodeFileName = (originalname) =>
+  Buffer.from(originalname, "latin1").toString("utf8");
+
+/**
+ * 요약 요청 파라미터 정규화
+ * SUMMARY_TYPES 형식: '내용 요약_기본 요약' — 프론트에서 단축형으로 올 경우 전체 키로 변환
+ */
+export const normalizeSummaryOptions = ({
+  summaryType = "기본 요약",
+  level = "비전공자",
+  field = "일반",
+} = {}) => {
+  const summaryTypeKey = summaryType.includes("_")
+    ? summaryType
+    : `내용 요약_${summaryType}`;
+
+  // 빈 content로 프롬프트 존재 여부만 확인
+  if (!getPrompt(summaryTypeKey, "", {}).system) {
+    logger.warn(`알 수 없는 요약 타입: ${summaryTypeKey}`);
+    throw new AppError(`지원하지 않는 요약 타입입니다: ${summaryType}`, 400);
+  }
+
+  return { summaryType, summaryTypeKey, level, field };
+};
+
+// 여러 파일을 함께 요약하는 타입 (파일마다 출처를 밝혀 공통 · 차이 · 상충 내용을 정리)
+export const COMPARISON_SUMMARY_TYPE = "내용 요약_비교 통합 요약";
+
+/**
+ * 요약 타입에 맞는 입력 파일 구성인지 확인
+ * - 비교 통합 요약은 2개 이상(config.upload.maxFiles 이하), 그 외 타입은 1개
+ * - 여러 파일은 파일마다 페이지 수가 다르므로 페이지 범위를 지정할 수 없음
+ * @param {ReturnType<typeof normalizeSummaryOptions>} options
+ * @param {{ pages?: string|null }[]} files
+ * @throws {AppError} 400 TOO_FEW_FILES / TOO_MANY_FILES / MULTIPLE_FILES_NOT_ALLOWED
+ */
+export const assertSummaryFiles = ({ summaryType, summaryTypeKey }, files) => {
+  const { maxFiles } = config.upload;
+  if (summaryTypeKey !== COMPARISON_SUMMARY_TYPE) {
+    if (files.length > 1) {
+      throw new AppError(`여러 파일은 비교 통합 요약으로만 요약할 수 있습니다. (요청한 타입: ${summaryType})`, 400, {
+        code: "MULTIPLE_FILES_NOT_ALLOWED",
+      });
+    }
+    return;
+  }
+  if (files.length < 2) {
+    throw new AppError("비교 통합 요약은 2개 이상의 파일이 필요합니다.", 400, { code: "TOO_FEW_FILES" });
+  }
+  if (files.length > maxFiles) {
+    throw new AppError(`한 번에 최대 ${maxFiles}개의 파일까지 비교할 수 있습니다.`, 400, {
+      code: "TOO_MANY_FILES",
+      maxFiles,
+    });
+  }
+  if (files.some((file) => file.pages)) {
+    throw new AppError("여러 파일을 함께 요약할 때는 페이지 범위를 지정할 수 없습니다.", 400);
+  }
+};
+
+// 한 번의 요청으로 생성할 수 있는 최대 문제 수 (혼합 구성은 합계 기준)
+const MAX_QUESTION_COUNT = 20;
+
+// 혼합 구성으로 생성한 문제 세트의 타입 (user_questions.question_type = 'mixed')
+export const MIXED_QUESTION_TYPE = "mixed";
+
+// 프론트에서 다양한 형식으로 올 수 있는 questionType을 내부 키로 정규화
+const normalizeQuestionType = (questionType) => {
+  const normalizedType = QUESTION_TYPE_NORMALIZE_MAP[questionType];
+
+  if (!normalizedType) {
+    logger.warn(`유효하지 않은 문제 타입 수신: "${questionType}"`);
+    throw new AppError(
+      `유효하지 않은 문제 타입입니다. 가능한 타입: ${VALID_TYPES.join(", ")}`,
+      400,
+      { receivedType: questionType },
+    );
+  }
+  return normalizedType;
+};
+
+/**
+ * 혼합 구성(타입 → 개수) 정규화
+ * - { "n지선다": 5, "참거짓": 3, "서술": 2 } 형식 (multipart 필드는 JSON 문자열)
+ * - 같은 타입이 다른 표기로 중복되면 개수를 합침
+ * @returns {{ normalizedType: string, count: number }[]}
+ */
+const normalizeComposition = (composition) => {
+  let spec = composition;
+  if (typeof spec === "string") {
+    try {
+      spec = JSON.parse(spec);
+    } catch {
+      throw new AppError("composition은 JSON 객체여야 합니다. 예: {\"n지선다\": 5, \"참거짓\": 3}", 400);
+    }
+  }
+  if (!spec || typeof spec !== "object" || Array.isArray(spec) || Object.keys(spec).length === 0) {
+    throw new AppError("composition은 문제 타입별 개수를 담은 객체여야 합니다. 예: {\"n지선다\": 5, \"참거짓\": 3}", 400);
+  }
+
+  const counts = new Map();
+  Object.entries(spec).forEach(([questionType, value]) => {
+    const normalizedType = normalizeQuestionType(questionType);
+    const count = parseInt(value);
+    if (!Number.isInteger(count) || count < 1) {
+      throw new AppError(`문제 개수는 1 이상의 정수여야 합니다: ${questionType}`, 400, {
+        receivedCount: value,
+      });
+    }
+    counts.set(normalizedType, (counts.get(normalizedType) || 0) + count);
+  });
+
+  const parts = [...counts].map(([normalizedType, count]) => ({ normalizedType, count }));
+  const total = parts.reduce((sum, part) => sum + part.count, 0);
+  if (total > MAX_QUESTION_COUNT) {
+    throw new AppError(`한 번에 생성할 수 있는 문제는 최대 ${MAX_QUESTION_COUNT}개입니다.`, 400, {
+      requestedCount: total,
+    });
+  }
+  return parts;
+};
+
+/**
+ * 문제 생성 요청 파라미터 정규화
+ * - composition이 있으면 타입별 개수대로 생성하는 혼합 구성 (questionType / questionCount 무시)
+ */
+export const normalizeQuestionOptions = ({
+  questionType = "n지선다",
+  questionCount = 5,
+  composition,
+  level = "비전공자",
+  field = "일반",
+} = {}) => {
+  if (composition !== undefined && composition !== null && composition !== "") {
+    const parts = normalizeComposition(composition);
+    return {
+      questionType: MIXED_QUESTION_TYPE,
+      normalizedType: MIXED_QUESTION_TYPE,
+      composition: parts,
+      count: parts.reduce((sum, part) => sum + part.count, 0),
+      level,
+      field,
+    };
+  }
+
+  const normalizedType = normalizeQuestionType(questionType);
+
+  // 문제 개수 제한
+  const count = Math.min(Math.max(parseInt(questionCount) || 5, 1), MAX_QUESTION_COUNT);
+
+  return { questionType, normalizedType, count, level, field };
+};
+
+/**
+ * 업로드 파일 추출 옵션 정규화 (multipart 필드는 문자열로 전달됨)
+ * - pages(slides): 페이지 / 슬라이드 범위
+ * - includeNotes: PPTX 발표자 노트 포함 여부 (기본 true, "false"로 제외)
+ * @returns {{ pages: string|null, includeNotes: boolean }}
+ */
+export const normalizeExtractOptions = (body = {}) => ({
+  pages: normalizePageRange(body),
+  includeNotes: body.includeNotes !== false && body.includeNotes !== "false",
+});
+
+// 파일 형식별 텍스트 추출기 (PDF / PPTX는 { pages } 범위 옵션 지원)
+// 문자열 또는 { text, segments }(슬라이드별 세그먼트) / { text, ocr }(스캔 PDF 문자 인식 정보)를 반환
+const TEXT_EXTRACTORS = {
+  pdf: extractTextFromPdf,
+  pptx: extractPptxSlides,
+  docx: extractTextFromDocx,
+  hwpx: extractTextFromHwpx,
+  hwp: extractTextFromHwp,
+  txt: extractTextFromPlainText,
+  md: extractTextFromMarkdown,
+  html: extractTextFromHtml,
+  srt: extractTextFromSubtitles,
+  vtt: extractTextFromSubtitles,
+};
+
+/**
+ * 업로드 파일 형식 판별 (확장자 또는 MIME) 및 내용(파일 서명) 확인
+ * - 비동기 작업은 등록 전에 호출하여 잘못된 파일이 작업으로 쌓이지 않도록 함
+ * @param {{ buffer: Buffer, fileName: string, mimeType?: string }} file
+ * @returns {keyof UPLOAD_FORMATS}
+ */
+export const verifyUploadedFile = ({ buffer, fileName, mimeType }) => {
+  const fileType = detectUploadFormat(fileName, mimeType);
+  if (!fileType) {
+    throw new AppError(`지원하지 않는 파일 형식입니다. (${SUPPORTED_FORMAT_LABEL})`, 400, {
+      code: "UNSUPPORTED_FILE_TYPE",
+    });
+  }
+  assertUploadContent(buffer, fileType);
+  return fileType;
+};
+
+/**
+ * 업로드 파일에서 텍스트 추출 (파일 형식 판별 · 내용 확인 포함, config.upload.extractTimeoutMs 제한)
+ * - pages: 추출할 페이지 / 슬라이드 범위 (normalizePageRange 결과, null이면 전체, PDF / PPTX만)
+ * - includeNotes: PPTX 발표자 노트 포함 여부
+ * - PPTX는 응답에 포함할 슬라이드 목차(slides), 문자 인식한 스캔 PDF는 인식 정보(ocr)를 함께 반환
+ * - documentId: 보관한 문서이면 같은 추출 옵션의 저장된 결과를 재사용하고, 새로 추출한 결과는 저장
+ * @param {{ buffer: Buffer, fileName: string, mimeType: string, pages?: string|null, includeNotes?: boolean, documentId?: number }} file
+ * @returns {Promise<{
+ *   text: string,
+ *   slides: { slide: number, title: string|null, hasNotes: boolean }[]|null,
+ *   ocr: { used: true, confidence: number, pages: object[], truncated: boolean }|null,
+ * }>}
+ */
+export const extractUploadedText = async ({
+  buffer,
+  fileName,
+  mimeType,
+  pages = null,
+  includeNotes = true,
+  documentId = null,
+}) => {
+  const fileType = verifyUploadedFile({ buffer, fileName, mimeType });
+  const { label, paged } = UPLOAD_FORMATS[fileType];
+
+  if (pages && !paged) {
+    throw new AppError(`페이지 범위는 PDF / PPTX 파일에서만 지정할 수 있습니다. (${label})`, 400);
+  }
+
+  if (documentId) {
+    const stored = await readStoredExtraction(documentId, { pages, includeNotes });
+    if (stored) {
+      logger.info(`${label} 저장된 추출 결과 사용: ${fileName} (documentId: ${documentId})`);
+      return stored;
+    }
+  }
+
+  logger.info(`${label} 텍스트 추출 시작: ${fileName}${pages ? ` (범위: ${pages})` : ""}`);
+  const extracted = await withExtractionTimeout(label, (signal) =>
+    TEXT_EXTRACTORS[fileType](buffer, { pages, includeNotes, signal }),
+  );
+  const {
+    text: extractedText,
+    segments = null,
+    ocr = null,
+  } = typeof extracted === "string" ? { text: extracted } : extracted;
+
+  if (!extractedText || stripSourceMarkers(extractedText).trim().length < 50) {
+    throw new AppError(
+      "파일에서 충분한 텍스트를 추출하지 못했습니다. 텍스트가 포함된 파일인지 확인해주세요.",
+      422,
+      { code: "INSUFFICIENT_TEXT" },
+    );
+  }
+
+  const extraction = {
+    text: extractedText,
+    slides: segments && segments.map(({ slide, title, notes }) => ({ slide, title, hasNotes: Boolean(notes) })),
+    ocr,
+  };
+  if (documentId) await writeStoredExtraction(documentId, { pages, includeNotes }, extraction);
+  return extraction;
+};
+
+/**
+ * 업로드 파일의 페이지 / 슬라이드 구성 확인 (LLM 호출 없음)
+ * @param {{ buffer: Buffer, fileName: string, mimeType?: string }} file
+ * @returns {Promise<{ fileName: string, fileType: "pdf"|"pptx", pageCount: number, pages: { page: number, firstLine: string }[] }>}
+ */
+export const inspectUploadedFile = async ({ buffer, fileName, mimeType }) => {
+  const fileType = verifyUploadedFile({ buffer, fileName, mimeType });
+  const { label, paged } = UPLOAD_FORMATS[fileType];
+  if (!paged) {
+    throw new AppError(`페이지 구성 확인은 PDF / PPTX 파일만 지원합니다. (${label})`, 400);
+  }
+  const { pageCount, pages } = await withExtractionTimeout(label, () =>
+    fileType === "pdf" ? inspectPdf(buffer) : inspectPptx(buffer),
+  );
+  return { fileName, fileType, pageCount, pages };
+};
+
+// 클라이언트가 취소한 경우 이후 단계를 진행하지 않음
+const throwIfAborted = (signal) => {
+  if (signal?.aborted) throw new AppError("요청이 취소되었습니다.", 499);
+};
+
+/**
+ * 파일 업로드 → 텍스트 추출 → 요약 생성
+ * - 비교 통합 요약은 파일 배열을 받아 runComparisonSummary로 처리
+ * @param {{ buffer: Buffer, fileName: string, mimeType: string, pages?: string|null, includeNotes?: boolean, documentId?: number }|object[]} file
+ * @param {ReturnType<typeof normalizeSummaryOptions>} options
+ * @param {object} [hooks]
+ * @param {(stage: string, detail?: object) => void|Promise<void>} [hooks.onStage] - 진행 단계 콜백
+ * @param {(text: string) => void} [hooks.onDelta] - 지정 시 스트리밍 호출로 토큰 델타 전달
+ * @param {AbortSignal} [hooks.signal] - 클라이언트 연결 종료 시 취소
+ * @param {boolean} [hooks.cacheOnly] - 캐시에 있는 요약만 반환 (AI 생성 횟수 초과 시)
+ * @returns {Promise<object>} 응답 본문 (success 제외)
+ */
+export const runSummary = async (file, options, { onStage = () => {}, onDelta, signal, cacheOnly } = {}) => {
+  const files = Array.isArray(file) ? file : [file];
+  assertSummaryFiles(options, files);
+  if (files.length > 1) return runComparisonSummary(files, options, { onStage, onDelta, signal, cacheOnly });
+
+  const [source] = files;
+  await onStage("extracting");
+  const { text, slides, ocr } = await extractUploadedText(source);
+  throwIfAborted(signal);
+
+  return summarizeText(text, options, { onStage, onDelta, signal, cacheOnly }, {
+    fileName: source.fileName,
+    ...(source.documentId && { documentId: source.documentId }),
+    ...(source.pages && { pages: source.pages }),
+    ...(slides && { slides }),
+    ...(ocr && { ocr }),
+  });
+};
+
+/**
+ * 여러 파일 → 파일별 텍스트 추출 → 비교 통합 요약
+ * - 파일마다 "[파일 N] 파일명" 표시를 붙여 하나의 문서로 합치고, 요약 항목의 출처는 파일 단위로 표기
+ * - 파일 안의 페이지 / 슬라이드 / 시점 표시는 파일 번호와 섞이지 않도록 제거
+ * @param {object[]} files - runSummary와 같은 형식의 파일 목록
+ * @returns {Promise<object>} 응답 본문 (files: 파일 번호별 { file, fileName, documentId?, slides?, ocr? })
+ */
+const runComparisonSummary = async (files, options, { onStage, onDelta, signal, cacheOnly }) => {
+  await onStage("extracting");
+  // 추출은 CPU 작업이므로 파일 순서대로 하나씩 처리
+  const extracted = [];
+  for (const file of files) {
+    extracted.push(await extractUploadedText(file));
+    throwIfAborted(signal);
+  }
+
+  const text = extracted
+    .map(({ text: fileText }, i) => `${fileMarker(i + 1)} ${files[i].fileName}\n\n${stripSourceMarkers(fileText).trim()}`)
+    .join(`\n${PAGE_BREAK}`);
+
+  return summarizeText(text, options, { onStage, onDelta, signal, cacheOnly }, {
+    fileName: `${files[0].fileName} 외 ${files.length - 1}개`,
+    files: files.map((file, i) => ({
+      file: i + 1,
+      fileName: file.fileName,
+      ...(file.documentId && { documentId: file.documentId }),
+      ...(extracted[i].slides && { slides: extracted[i].slides }),
+      ...(extracted[i].ocr && { ocr: extracted[i].ocr }),
+    })),
+  });
+};
+
+// 응답용 토큰 집계 초기값 (사용한 공급자 / 모델 포함)
+export const createUsage = (llm, documentTokens) => ({
+  provider: llm.name,
+  model: llm.model,
+  documentTokens,
+  inputTokens: 0,
+  outputTokens: 0,
+  totalTokens: 0,
+});
+
+// 여러 호출의 usage(OpenAI 형식)를 응답용 토큰 집계로 합산
+export const addUsage = (total, usage) => {
+  const base = total || { inputTokens: 0, outputTokens: 0, totalTokens: 0 };
+  if (!usage) return base;
+  return {
+    ...base,
+    inputTokens: base.inputTokens + (usage.prompt_tokens || 0),
+    outputTokens: base.outputTokens + (usage.completion_tokens || 0),
+    totalTokens: base.totalTokens + (usage.total_tokens || 0),
+  };
+};
+
+// 동시 실행 수를 제한하여 배열을 비동기 매핑 (결과 순서 유지)
+const mapWithConcurrency = async (items, limit, fn) => {
+  const results = new Array(items.length);
+  let next = 0;
+  const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  });
+  await Promise.all(workers);
+  return results;
+};
+
+// 요약의 출처 표기 검증 결과 (출처 표시가 없는 문서는 요약만)
+const withSummarySources = (summary, sourceIndex) =>
+  sourceIndex ? resolveSummarySources(summary, sourceIndex) : { summary };
+
+// 동시에 호출할 청크 요약 수 (OpenAI rate limit 고려)
+const CHUNK_CONCURRENCY = 3;
+// 부분 요약 재병합 최대 횟수 (요약 결과가 줄어들지 않는 경우의 무한 반복 방지)
+const MAX_REDUCE_ROUNDS = 3;
+
+/**
+ * 추출된 텍스트 → 요약 생성 (파일 업로드 / 데모 공용)
+ * - 예산 이내: 단일 호출
+ * - 예산 초과: 페이지/슬라이드 경계로 청크 분할 → 청크별 요약(map) → 부분 요약 병합(reduce)
+ * - 같은 문서 · 옵션의 요약이 캐시에 있으면 LLM 호출 없이 반환 (cached: true)
+ * - 페이지 / 슬라이드 표시가 있는 문서는 항목별 출처를 표기하도록 요청하고 sources로 반환
+ * @param {string} extractedText
+ * @param {ReturnType<typeof normalizeSummaryOptions>} options
+ * @param {object} [hooks] - runSummary와 동일 (스트리밍은 최종 병합 단계에만 적용)
+ * @param {object} [meta] - 응답에 함께 포함할 값 (fileName 등)
+ * @returns {Promise<object>} 응답 본문 (success 제외)
+ */
+export const summarizeText = async (
+  extractedText,
+  options,
+  { onStage = () => {}, onDelta, signal, cacheOnly = false } = {},
+  meta = {},
+) => {
+  const { summaryType, summaryTypeKey, level, field } = options;
+  const sourceIndex = getSourceIndex(extractedText);
+  const promptParams = { summaryLevel: level, field, sourceType: sourceIndex?.type ?? null };
+  const llm = getProvider("summary");
+  const countLlmTokens = (text) => countTokens(text, llm.model);
+  // 스트리밍 델타도 최종 summary와 같게 문서에 없는 출처 표기를 줄 단위로 제거한 뒤 전달
+  const citationFilter = onDelta && sourceIndex ? createCitationLineFilter(sourceIndex, onDelta) : null;
+  const emitDelta = citationFilter ? (text) => citationFilter.push(text) : onDelta;
+
+  // 같은 문서 · 같은 옵션 · 같은 모델 / 프롬프트 버전의 요약이 있으면 LLM을 호출하지 않고 반환
+  const cacheKey = buildCacheKey({ text: extractedText, promptKey: summaryTypeKey, level, field, model: llm.model });
+  const cached = await readCache(cacheKey);
+  if (cached) {
+    logger.info(`요약 캐시 적중 - 타입: ${summaryTypeKey}${meta.fileName ? `, 파일: ${meta.fileName}` : ""}`);
+    await onStage("cached");
+    if (emitDelta) {
+      emitDelta(cached.summary);
+      citationFilter?.flush();
+    }
+    return {
+      ...meta,
+      summaryType,
+      level,
+      field,
+      ...withSummarySources(cached.summary, sourceIndex),
+      chunkCount: cached.chunkCount,
+      cached: true,
+      usage: createUsage(llm, cached.documentTokens),
+    };
+  }
+
+  if (cacheOnly) throw new AppError(AI_GENERATION_LIMIT_MESSAGE, 429, { code: "AI_GENERATION_LIMITED" });
+
+  const summarizeOnce = (content, stream = false) => {
+    const { system, user } = getPrompt(summaryTypeKey, content, promptParams);
+    return stream && emitDelta
+      ? llm.stream(system, user, { onDelta: emitDelta, signal })
+      : llm.chat(system, user);
+  };
+
+  // system + user 템플릿을 포함한 전체 프롬프트가 컨텍스트 윈도우에 들어가도록 content 예산 산정
+  const budget = getContentBudget(llm, getPrompt(summaryTypeKey, "", promptParams), MAX_CONTENT_TOKENS_SUMMARY);
+  const documentTokens = countLlmTokens(extractedText);
+  const chunks = splitIntoChunks(extractedText, budget, countLlmTokens);
+  let usage = createUsage(llm, documentTokens);
+
+  logger.info(
+    `요약 생성 시작 - 타입: ${summaryTypeKey}, 레벨: ${level}, 분야: ${field}, ` +
+    `원본 ${extractedText.length}자/${documentTokens}토큰, 청크 ${chunks.length}개 (청크당 ${budget}토큰)`,
+  );
+
+  // map: 청크별 부분 요약
+  let partials = chunks;
+  if (chunks.length > 1) {
+    let done = 0;
+    partials = await mapWithConcurrency(chunks, CHUNK_CONCURRENCY, async (chunk, index) => {
+      throwIfAborted(signal);
+      const { result, usage: chunkUsage } = await summarizeOnce(chunk);
+      usage = addUsage(usage, chunkUsage);
+      await onStage("summarizing_chunks", { completed: ++done, total: chunks.length });
+      logger.debug(`청크 요약 완료 (${index + 1}/${chunks.length})`);
+      return `[파트 ${index + 1}/${chunks.length}]\n${result}`;
+    });
+  }
+
+  // reduce: 병합한 부분 요약이 다시 예산을 넘으면 한 번 더 묶어서 요약
+  let merged = partials.join("\n\n");
+  for (
+    let round = 0;
+    round < MAX_REDUCE_ROUNDS && partials.length > 1 && countLlmTokens(merged) > budget;
+    round++
+  ) {
+    throwIfAborted(signal);
+    await onStage("merging");
+    const groups = splitIntoChunks(merged, budget, countLlmTokens);
+    partials = await mapWithConcurrency(groups, CHUNK_CONCURRENCY, async (group) => {
+      const { result, usage: groupUsage } = await summarizeOnce(group);
+      usage = addUsage(usage, groupUsage);
+      return result;
+    });
+    merged = partials.join("\n\n");
+  }
+
+  throwIfAborted(signal);
+  await onStage("generating");
+  const { result: summaryResult, usage: finalUsage } = await summarizeOnce(merged, true);
+  citationFilter?.flush();
+  usage = addUsage(usage, finalUsage);
+
+  logger.info(`요약 생성 완료 - ${meta.fileName ? `파일: ${meta.fileName}` : summaryTypeKey}`);
+
+  await writeCache(
+    cacheKey,
+    { kind: "summary", promptKey: summaryTypeKey, model: llm.model },
+    { summary: summaryResult, chunkCount: chunks.length, documentTokens },
+  );
+
+  return {
+    ...meta,
+    summaryType,
+    level,
+    field,
+    ...withSummarySources(summaryResult, sourceIndex),
+    chunkCount: chunks.length,
+    cached: false,
+    usage,
+  };
+};
+
+// 문제 프롬프트에 요청하는 선택지/항목/빈칸 수 (스키마 검증 기준과 동일하게 유지)
+const QUESTION_CONSTRAINTS = { choiceCount: 4, arrayChoiceCount: 3, blankCount: 1 };
+
+// 청크별 재요청(재출력 + 재생성) 최대 횟수
+const MAX_REPAIR_ATTEMPTS = 2;
+
+/**
+ * 모델 응답에서 questions 배열 추출
+ * @param {string} rawResult
+ * @returns {object[]}
+ * @throws {Error} JSON 파싱 실패 또는 questions 배열 없음
+ */
+const parseQuestions = (rawResult) => {
+  // JSON 코드블록 제거 후 파싱
+  const cleaned = rawResult.replace(/```json\n?|\n?```/g, "").trim();
+  const parsedData = JSON.parse(cleaned);
+
+  // GPT는 { "questions": [...] } 형태로 응답 → questions 배열만 추출
+  const questions = Array.isArray(parsedData) ? parsedData : parsedData?.questions;
+  if (!Array.isArray(questions)) throw new Error("questions 배열이 없습니다.");
+  return questions;
+};
+
+/**
+ * 주어진 content로 문제를 생성하고 타입별 스키마 검증
+ * - JSON 파싱 실패 시 재출력, 검증 실패 문제는 오류 목록과 함께 재생성 요청 (합계 MAX_REPAIR_ATTEMPTS회)
+ * - 끝까지 유효하지 않은 문제는 제외하고 dropped로 보고
+ * @returns {Promise<{
+ *   items: { question: object, repaired: boolean }[]|null,
+ *   dropped: { question: object, errors: string[] }[],
+ *   repairAttempts: number,
+ *   raw: string,
+ *   usages: object[],
+ * }>} 파싱 실패 시 items는 null
+ */
+const generateQuestionsFromContent = async (content, options, count, sourceType = null) => {
+  const { normalizedType, level, field } = options;
+
+  // 프롬프트 키 변환
+  const questionTypeKey = QUESTION_TYPE_TO_PROMPT_KEY[normalizedType];
+  const { system: systemMessage, user: userMessage } = getPrompt(
+    questionTypeKey,
+    content,
+    {
+      questionLevel: level,
+      questionCount: count,
+      field,
+      sourceType,
+      ...QUESTION_CONSTRAINTS,
+    },
+  );
+
+  const llm = getProvider("questions");
+  const first = await llm.chat(systemMessage, userMessage);
+  let rawResult = first.result;
+  const usages = [first.usage];
+  let repairAttempts = 0;
+
+  // 재요청 (system은 원래 프롬프트를 유지하여 출력 형식 정의를 그대로 전달)
+  const retry = async (retryMessage) => {
+    repairAttempts++;
+    const { result, usage } = await llm.chat(systemMessage, retryMessage);
+    usages.push(usage);
+    return result;
+  };
+
+  // 1) JSON 파싱 (실패 시 재출력 요청)
+  let questions = null;
+  while (!questions) {
+    try {
+      questions = parseQuestions(rawResult);
+    } catch (parseError) {
+      if (repairAttempts >= MAX_REPAIR_ATTEMPTS) {
+        logger.warn("JSON 파싱 실패:", parseError.message);
+        return { items: null, dropped: [], repairAttempts, raw: rawResult, usages };
+      }
+      logger.warn(`JSON 파싱 실패, 재출력 요청 (${repairAttempts + 1}/${MAX_REPAIR_ATTEMPTS}): ${parseError.message}`);
+      rawResult = await retry(getQuestionReformatPrompt(rawResult, parseError.message));
+    }
+  }
+
+  // 2) 스키마 검증 (실패 문제만 오류와 함께 재생성 요청, 유효해진 문제만 교체)
+  const repaired = new Set();
+  let invalid = validateQuestions(normalizedType, questions, QUESTION_CONSTRAINTS);
+
+  while (invalid.length > 0 && repairAttempts < MAX_REPAIR_ATTEMPTS) {
+    logger.warn(
+      `문제 스키마 검증 실패 ${invalid.length}개, 재생성 요청 (${repairAttempts + 1}/${MAX_REPAIR_ATTEMPTS})`,
+    );
+    const repairResult = await retry(
+      getQuestionRepairPrompt(invalid.map(({ index, errors }) => ({ question: questions[index], errors }))),
+    );
+
+    let fixed;
+    try {
+      fixed = parseQuestions(repairResult);
+    } catch (parseError) {
+      logger.warn("재생성 응답 JSON 파싱 실패:", parseError.message);
+      continue;
+    }
+
+    invalid.forEach(({ index }, i) => {
+      if (fixed[i] && validateQuestion(normalizedType, fixed[i], QUESTION_CONSTRAINTS).length === 0) {
+        questions[index] = fixed[i];
+        repaired.add(index);
+      }
+    });
+    invalid = validateQuestions(normalizedType, questions, QUESTION_CONSTRAINTS);
+  }
+
+  if (invalid.length > 0) {
+    logger.warn(`스키마 검증을 통과하지 못한 문제 ${invalid.length}개 제외`);
+  }
+
+  const invalidIndexes = new Set(invalid.map(({ index }) => index));
+  return {
+    items: questions.flatMap((question, index) =>
+      invalidIndexes.has(index) ? [] : [{ question, repaired: repaired.has(index) }],
+    ),
+    dropped: invalid.map(({ index, errors }) => ({ question: questions[index], errors })),
+    repairAttempts,
+    raw: rawResult,
+    usages,
+  };
+};
+
+/**
+ * 전체 문제 수를 청크 길이에 비례하여 배분 (최대 잔여 방식)
+ * @param {string[]} chunks
+ * @param {number} count
+ * @returns {number[]}
+ */
+const distributeCount = (chunks, count) => {
+  const totalLength = chunks.reduce((sum, c) => sum + c.length, 0);
+  const exact = chunks.map((c) => (c.length / totalLength) * count);
+  const allocation = exact.map(Math.floor);
+  let remaining = count - allocation.reduce((a, b) => a + b, 0);
+
+  exact
+    .map((value, index) => ({ index, remainder: value - Math.floor(value) }))
+    .sort((a, b) => b.remainder - a.remainder)
+    .forEach(({ index }) => {
+      if (remaining > 0) {
+        allocation[index]++;
+        remaining--;
+      }
+    });
+
+  return allocation;
+};
+
+/**
+ * 텍스트 → 문제 생성
+ * - 예산 초과 시 청크로 분할하고 문제 수를 청크 분량에 비례하여 나눠 생성 후 합침
+ * - 페이지 / 슬라이드 표시(또는 요약의 출처 표기)가 있으면 문제마다 근거 위치를 sources로 반환
+ * @param {string} summaryText
+ * @param {ReturnType<typeof normalizeQuestionOptions>} options
+ * @param {object} [hooks]
+ * @param {(stage: string, detail?: object) => void|Promise<void>} [hooks.onStage] - 진행 단계 콜백
+ * @returns {Promise<object>} 응답 본문 (success 제외)
+ */
+export const runQuestionGeneration = async (summaryText, options, { onStage = () => {} } = {}) => {
+  if (options.composition) return runMixedQuestionGeneration(summaryText, options, { onStage });
+
+  const { questionType, normalizedType, count, level, field } = options;
+  const sourceIndex = getSourceIndex(summaryText);
+  const sourceType = sourceIndex?.type ?? null;
+
+  const emptyPrompt = getPrompt(QUESTION_TYPE_TO_PROMPT_KEY[normalizedType], "", {
+    questionLevel: level,
+    questionCount: count,
+    field,
+    sourceType,
+    ...QUESTION_CONSTRAINTS,
+  });
+  const llm = getProvider("questions");
+  const countLlmTokens = (text) => countTokens(text, llm.model);
+  const budget = getContentBudget(llm, emptyPrompt, MAX_CONTENT_TOKENS_QUESTION);
+  const documentTokens = countLlmTokens(summaryText);
+  const chunks = splitIntoChunks(summaryText, budget, countLlmTokens);
+  const allocation = distributeCount(chunks, count);
+
+  logger.info(
+    `문제 생성 시작 - 원본타입: ${questionType}, 정규화: ${normalizedType}, 개수: ${count}, ` +
+    `레벨: ${level}, 원본 ${documentTokens}토큰, 청크 ${chunks.length}개`,
+  );
+
+  await onStage("generating");
+  const parts = await mapWithConcurrency(
+    chunks.map((chunk, index) => ({ chunk, chunkCount: allocation[index] })).filter((p) => p.chunkCount > 0),
+    CHUNK_CONCURRENCY,
+    ({ chunk, chunkCount }) => generateQuestionsFromContent(chunk, options, chunkCount, sourceType),
+  );
+
+  const usage = parts
+    .flatMap((part) => part.usages)
+    .reduce(addUsage, createUsage(llm, documentTokens));
+  const repairAttempts = parts.reduce((sum, part) => sum + part.repairAttempts, 0);
+  const parsedParts = parts.filter((part) => part.items);
+
+  if (parsedParts.length === 0) {
+    logger.warn("JSON 파싱 실패, 원본 텍스트 반환");
+    return {
+      questionType: normalizedType,
+      count,
+      level,
+      field,
+      questions: parts.map((part) => part.raw).join("\n\n"),
+      parsed: false,
+      chunkCount: chunks.length,
+      usage,
+    };
+  }
+
+  const items = parsedParts.flatMap((part) => part.items);
+  let questionsArray = items.map(({ question }) => question);
+
+  // repaired: 재생성으로 수정된 문제의 questions 배열 인덱스, dropped: 끝까지 검증에 실패해 제외된 문제
+  const validation = {
+    repairAttempts,
+    repaired: items.flatMap(({ repaired }, index) => (repaired ? [index] : [])),
+    dropped: parsedParts.flatMap((part) => part.dropped),
+  };
+
+  // invalidSources: 문서에 없는 위치를 인용해 sources에서 제외한 항목
+  if (sourceIndex) {
+    const cited = resolveQuestionSources(questionsArray, sourceIndex);
+    questionsArray = cited.questions;
+    validation.invalidSources = cited.invalidSources;
+  }
+
+  logger.info(
+    `문제 생성 완료 - 타입: ${normalizedType}, 개수: ${questionsArray.length}, ` +
+    `수정: ${validation.repaired.length}, 제외: ${validation.dropped.length}`,
+  );
+
+  return {
+    questionType: normalizedType,
+    count,
+    level,
+    field,
+    questions: questionsArray,
+    parsed: true,
+    validation,
+    chunkCount: chunks.length,
+    usage,
+  };
+};
+
+/**
+ * 파일 업로드 → 텍스트 추출 → 문제 생성
+ * - 요약이 아닌 원문에서 문제를 생성하고, 저장 시 출처로 쓸 파일명(보관한 문서이면 documentId)을 함께 반환
+ * @param {{ buffer: Buffer, fileName: string, mimeType?: string, pages?: string|null, includeNotes?: boolean, documentId?: number }} file
+ * @param {ReturnType<typeof normalizeQuestionOptions>} options
+ * @param {object} [hooks]
+ * @returns {Promise<object>} 응답 본문 (success 제외)
+ */
+export const runFileQuestionGeneration = async (file, options, { onStage = () => {} } = {}) => {
+  await onStage("extracting");
+  const { text, slides, ocr } = await extractUploadedText(file);
+
+  const result = await runQuestionGeneration(text, options, { onStage });
+  return {
+    fileName: file.fileName,
+    ...(file.documentId && { documentId: file.documentId }),
+    ...(file.pages && { pages: file.pages }),
+    ...(slides && { slides }),
+    ...(ocr && { ocr }),
+    ...result,
+  };
+};
+
+// 타입별 결과의 응답용 토큰 집계 합산 (문서 토큰 수는 같은 원문이므로 합산하지 않음)
+const sumUsages = (usages) =>
+  usages.reduce((total, usage) => ({
+    ...total,
+    inputTokens: total.inputTokens + usage.inputTokens,
+    outputTokens: total.outputTokens + usage.outputTokens,
+    totalTokens: total.totalTokens + usage.totalTokens,
+  }));
+
+/**
+ * 텍스트 → 혼합 구성 문제 생성
+ * - 타입별로 기존 프롬프트를 사용해 병렬 생성 후 구성 순서대로 합침
+ * - 각 문제에 question_type(내부 키)을 붙여 세트 안에서 타입을 구분
+ * @param {string} summaryText
+ * @param {ReturnType<typeof normalizeQuestionOptions>} options - composition 포함
+ * @param {object} [hooks]
+ * @returns {Promise<object>} 응답 본문 (success 제외)
+ */
+const runMixedQuestionGeneration = async (summaryText, options, { onStage }) => {
+  const { composition, count, level, field } = options;
+
+  logger.info(
+    `혼합 문제 생성 시작 - 구성: ${composition.map((p) => `${p.normalizedType} ${p.count}`).join(", ")}, ` +
+    `레벨: ${level}`,
+  );
+
+  // 타입마다 onStage가 호출되지 않도록 한 번만 알림
+  await onStage("generating");
+  const results = await mapWithConcurrency(composition, CHUNK_CONCURRENCY, ({ normalizedType, count: partCount }) =>
+    runQuestionGeneration(summaryText, {
+      questionType: normalizedType,
+      normalizedType,
+      count: partCount,
+      level,
+      field,
+    }),
+  );
+
+  const questions = [];
+  const validation = { repairAttempts: 0, repaired: [], dropped: [] };
+  const parts = composition.map(({ normalizedType, count: requested }, i) => {
+    const result = results[i];
+    if (!result.parsed) {
+      logger.warn(`혼합 문제 생성 - ${normalizedType} 파싱 실패, 해당 타입 제외`);
+      return { questionType: normalizedType, requested, generated: 0, parsed: false, raw: result.questions };
+    }
+
+    const offset = questions.length;
+    questions.push(...result.questions.map((question) => ({ ...question, question_type: normalizedType })));
+    validation.repairAttempts += result.validation.repairAttempts;
+    validation.repaired.push(...result.validation.repaired.map((index) => index + offset));
+    validation.dropped.push(
+      ...result.validation.dropped.map((item) => ({ ...item, questionType: normalizedType })),
+    );
+    if (result.validation.invalidSources) {
+      validation.invalidSources = [
+        ...(validation.invalidSources || []),
+        ...result.validation.invalidSources.map((item) => ({ ...item, index: item.index + offset })),
+      ];
+    }
+    return { questionType: normalizedType, requested, generated: result.questions.length, parsed: true };
+  });
+
+  logger.info(
+    `혼합 문제 생성 완료 - 개수: ${questions.length}/${count}, ` +
+    `수정: ${validation.repaired.length}, 제외: ${validation.dropped.length}`,
+  );
+
+  return {
+    questionType: MIXED_QUESTION_TYPE,
+    composition: Object.fromEntries(composition.map((p) => [p.normalizedType, p.count])),
+    count,
+    level,
+    field,
+    questions,
+    parsed: parts.some((part) => part.parsed),
+    validation,
+    parts,
+    chunkCount: Math.max(...results.map((result) => result.chunkCount)),
+    usage: sumUsages(results.map((result) => result.usage)),
+  };
+};
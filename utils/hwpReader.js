@@ -0,0 +1,315 @@
+/**
+ * 구형 HWP(한글 5.0 바이너리) 텍스트 추출
+ * - CFB(OLE 복합 문서) 컨테이너에서 FileHeader / BodyText/SectionN 스트림을 읽어 문단 텍스트(PARA_TEXT 레코드)를 조립
+ * - 표는 셀 순서대로 행을 구성하는 best-effort 방식 (병합 셀이 많은 표는 열이 어긋날 수 있음)
+ * - 참고: 한글과컴퓨터 "한글 문서 파일 형식 5.0" 공개 문서
+ */
+import { createBlockBuilder } from "./documentBlocks.js";
+import { createLimitedInflater } from "./uploadGuard.js";
+import { AppError } from "../middlewares/errorHandler.js";
+import logger from "./logger.js";
+
+const CFB_SIGNATURE = Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]);
+const END_OF_CHAIN = 0xfffffffe;
+const FREE_SECTOR = 0xffffffff;
+const NO_STREAM = 0xffffffff;
+
+const HWP_SIGNATURE = "HWP Document File";
+
+// FileHeader 속성 비트
+const HWP_FLAG_COMPRESSED = 1 << 0;
+const HWP_FLAG_PASSWORD = 1 << 1;
+const HWP_FLAG_DISTRIBUTION = 1 << 2;
+
+// 레코드 태그 (HWPTAG_BEGIN = 0x10)
+const TAG_PARA_HEADER = 0x10 + 50;
+const TAG_PARA_TEXT = 0x10 + 51;
+const TAG_CTRL_HEADER = 0x10 + 55;
+const TAG_LIST_HEADER = 0x10 + 56;
+const TAG_TABLE = 0x10 + 61;
+
+// 본문에 포함하지 않을 컨트롤 (머리말 / 꼬리말은 페이지마다 반복)
+const SKIPPED_CONTROLS = new Set(["head", "foot"]);
+
+const invalidFile = (reason) => new Error(`HWP 파일 구조가 올바르지 않습니다. (${reason})`);
+
+/**
+ * CFB 컨테이너의 스트림을 경로로 읽는 최소 구현 (읽기 전용)
+ * @param {Buffer} buffer
+ * @returns {{ has: (path: string) => boolean, read: (path: string) => Buffer }}
+ */
+const openCompoundFile = (buffer) => {
+  if (buffer.length < 512 || !buffer.subarray(0, 8).equals(CFB_SIGNATURE)) {
+    throw invalidFile("CFB 서명 없음");
+  }
+
+  const sectorSize = 1 << buffer.readUInt16LE(0x1e);
+  const miniSectorSize = 1 << buffer.readUInt16LE(0x20);
+  const miniStreamCutoff = buffer.readUInt32LE(0x38);
+  const maxSectors = Math.ceil(buffer.length / sectorSize);
+
+  const sectorOffset = (sid) => {
+    const offset = (sid + 1) * sectorSize;
+    if (offset + sectorSize > buffer.length) throw invalidFile(`섹터 범위 초과: ${sid}`);
+    return offset;
+  };
+
+  // FAT 섹터 목록: 헤더의 DIFAT 109개 + DIFAT 섹터 체인
+  const fatSectors = [];
+  for (let i = 0; i < 109; i++) {
+    const sid = buffer.readUInt32LE(0x4c + i * 4);
+    if (sid !== FREE_SECTOR) fatSectors.push(sid);
+  }
+  let difatSid = buffer.readUInt32LE(0x44);
+  for (let guard = 0; difatSid !== END_OF_CHAIN && difatSid !== FREE_SECTOR; guard++) {
+    if (guard > maxSectors) throw invalidFile("DIFAT 순환");
+    const offset = sectorOffset(difatSid);
+    const perSector = sectorSize / 4 - 1;
+    for (let i = 0; i < perSector; i++) {
+      const sid = buffer.readUInt32LE(offset + i * 4);
+      if (sid !== FREE_SECTOR) fatSectors.push(sid);
+    }
+    difatSid = buffer.readUInt32LE(offset + perSector * 4);
+  }
+
+  const readTable = (sids) => {
+    const table = [];
+    sids.forEach((sid) => {
+      const offset = sectorOffset(sid);
+      for (let i = 0; i < sectorSize; i += 4) table.push(buffer.readUInt32LE(offset + i));
+    });
+    return table;
+  };
+  const fat = readTable(fatSectors);
+
+  const readChain = (table, startSid) => {
+    const chain = [];
+    for (let sid = startSid; sid !== END_OF_CHAIN && sid !== FREE_SECTOR; sid = table[sid]) {
+      if (sid === undefined || chain.length > table.length) throw invalidFile("섹터 체인 손상");
+      chain.push(sid);
+    }
+    return chain;
+  };
+
+  const readStream = (startSid, size) =>
+    Buffer.concat(readChain(fat, startSid).map((sid) => buffer.subarray(sectorOffset(sid), sectorOffset(sid) + sectorSize)))
+      .subarray(0, size);
+
+  // 디렉터리 엔트리 (128바이트)
+  const directory = readStream(buffer.readUInt32LE(0x30), Infinity);
+  const entries = [];
+  for (let offset = 0; offset + 128 <= directory.length; offset += 128) {
+    const nameLength = directory.readUInt16LE(offset + 0x40);
+    entries.push({
+      name: directory.toString("utf16le", offset, offset + Math.max(nameLength - 2, 0)),
+      type: directory[offset + 0x42],
+      left: directory.readUInt32LE(offset + 0x44),
+      right: directory.readUInt32LE(offset + 0x48),
+      child: directory.readUInt32LE(offset + 0x4c),
+      start: directory.readUInt32LE(offset + 0x74),
+      size: directory.readUInt32LE(offset + 0x78),
+    });
+  }
+  const root = entries[0];
+  if (!root || root.type !== 5) throw invalidFile("루트 엔트리 없음");
+
+  // 작은 스트림은 루트 엔트리의 mini stream 안에 miniFAT 체인으로 저장됨
+  let miniStream = null;
+  let miniFat = null;
+  const readMiniStream = (startSid, size) => {
+    miniStream ||= readStream(root.start, root.size);
+    miniFat ||= readTable(readChain(fat, buffer.readUInt32LE(0x3c)));
+    return Buffer.concat(
+      readChain(miniFat, startSid).map((sid) =>
+        miniStream.subarray(sid * miniSectorSize, (sid + 1) * miniSectorSize),
+      ),
+    ).subarray(0, size);
+  };
+
+  // 같은 저장소의 자식들은 레드-블랙 트리(left / right)로 연결됨
+  const findChild = (parent, name) => {
+    const stack = [parent.child];
+    for (let guard = 0; stack.length > 0 && guard <= entries.length; guard++) {
+      const id = stack.pop();
+      const entry = entries[id];
+      if (id === NO_STREAM || !entry) continue;
+      if (entry.name.toLowerCase() === name.toLowerCase()) return entry;
+      stack.push(entry.left, entry.right);
+    }
+    return null;
+  };
+
+  const findEntry = (path) =>
+    path.split("/").reduce((parent, name) => (parent ? findChild(parent, name) : null), root);
+
+  return {
+    has: (path) => Boolean(findEntry(path)),
+    read: (path) => {
+      const entry = findEntry(path);
+      if (!entry || entry.type !== 2) throw invalidFile(`스트림 없음: ${path}`);
+      return entry.size < miniStreamCutoff
+        ? readMiniStream(entry.start, entry.size)
+        : readStream(entry.start, entry.size);
+    },
+  };
+};
+
+/**
+ * 레코드 스트림 파싱
+ * - 헤더 32비트: tagId(10) | level(10) | size(12), size가 0xFFF면 다음 4바이트가 실제 크기
+ * @param {Buffer} data
+ * @returns {{ tagId: number, level: number, body: Buffer }[]}
+ */
+const parseRecords = (data) => {
+  const records = [];
+  let offset = 0;
+  while (offset + 4 <= data.length) {
+    const header = data.readUInt32LE(offset);
+    offset += 4;
+    let size = header >>> 20;
+    if (size === 0xfff) {
+      if (offset + 4 > data.length) break;
+      size = data.readUInt32LE(offset);
+      offset += 4;
+    }
+    records.push({ tagId: header & 0x3ff, level: (header >>> 10) & 0x3ff, body: data.subarray(offset, offset + size) });
+    offset += size;
+  }
+  return records;
+};
+
+/**
+ * PARA_TEXT 레코드(UTF-16LE) → 문자열
+ * - 제어 문자 중 문자 컨트롤(0, 10, 13, 24~31)은 1글자, 나머지(인라인 / 확장 컨트롤)는 8글자(16바이트) 차지
+ */
+const decodeParaText = (body) => {
+  let text = "";
+  for (let i = 0; i + 1 < body.length; i += 2) {
+    const code = body.readUInt16LE(i);
+    if (code >= 32) {
+      text += String.fromCharCode(code);
+    } else if (code === 10) {
+      text += "\n";
+    } else if (code === 24) {
+      text += "-";
+    } else if (code >= 25 && code <= 31) {
+      text += " ";
+    } else if (code !== 0 && code !== 13) {
+      if (code === 9) text += "\t";
+      i += 14;
+    }
+  }
+  return text;
+};
+
+// 컨트롤 id (4바이트, 역순 저장) → "tbl ", "head" 등
+const readControlId = (body) => (body.length >= 4 ? Buffer.from(body.subarray(0, 4)).reverse().toString("latin1") : "");
+
+/**
+ * 섹션 레코드 → 블록 조립
+ * - 표 컨트롤 아래의 LIST_HEADER가 셀, TABLE 레코드의 열 수만큼 셀이 모이면 한 행
+ * - 컨트롤은 자신보다 깊은 level의 레코드를 소유하므로 level로 범위를 판단
+ */
+const appendSection = (builder, records) => {
+  // { kind: "table" | "skip", level, columns, cellCount }
+  const controls = [];
+
+  const closeControl = () => {
+    const control = controls.pop();
+    if (control.kind !== "table") return;
+    if (control.cellCount > 0) {
+      builder.endCell();
+      builder.endRow();
+    }
+    builder.endTable();
+  };
+
+  records.forEach(({ tagId, level, body }) => {
+    // 범위를 벗어난 컨트롤 종료
+    while (controls.length > 0 && level <= controls[controls.length - 1].level) closeControl();
+    if (controls.some((control) => control.kind === "skip")) return;
+
+    const table = controls.findLast((control) => control.kind === "table");
+
+    if (tagId === TAG_CTRL_HEADER) {
+      const controlId = readControlId(body);
+      if (controlId === "tbl ") {
+        builder.startTable();
+        controls.push({ kind: "table", level, columns: 0, cellCount: 0 });
+      } else if (SKIPPED_CONTROLS.has(controlId)) {
+        controls.push({ kind: "skip", level });
+      }
+    } else if (tagId === TAG_TABLE && table && body.length >= 8) {
+      table.columns = body.readUInt16LE(6);
+    } else if (tagId === TAG_LIST_HEADER && table && level === table.level + 1) {
+      // 새 셀 (열 수만큼 모이면 행 시작)
+      if (table.cellCount > 0) builder.endCell();
+      if (table.columns && table.cellCount % table.columns === 0) {
+        if (table.cellCount > 0) builder.endRow();
+        builder.startRow();
+      }
+      builder.startCell();
+      table.cellCount++;
+    } else if (tagId === TAG_PARA_HEADER) {
+      builder.startParagraph();
+    } else if (tagId === TAG_PARA_TEXT) {
+      builder.text(decodeParaText(body));
+    }
+  });
+
+  while (controls.length > 0) closeControl();
+  builder.endParagraph();
+};
+
+/**
+ * HWP 5.0 텍스트 추출
+ * @param {Buffer} buffer - HWP 파일 버퍼
+ * @returns {Promise<string>}
+ */
+export const extractTextFromHwp = async (buffer) => {
+  let file;
+  let properties;
+  try {
+    file = openCompoundFile(buffer);
+    const fileHeader = file.read("FileHeader");
+    if (fileHeader.toString("latin1", 0, HWP_SIGNATURE.length) !== HWP_SIGNATURE) {
+      throw invalidFile("HWP 서명 없음");
+    }
+    properties = fileHeader.readUInt32LE(36);
+  } catch (error) {
+    logger.error("HWP 텍스트 추출 오류: " + error.message);
+    throw new AppError(
+      "HWP 파일을 읽을 수 없습니다. 한글 2002 이전 형식이거나 손상된 파일일 수 있습니다. HWPX 또는 PDF로 저장해 업로드해주세요.",
+      422,
+    );
+  }
+
+  if (properties & HWP_FLAG_PASSWORD) {
+    throw new AppError("암호가 설정된 HWP 문서는 읽을 수 없습니다. 한글에서 암호를 해제한 뒤 업로드해주세요.", 422);
+  }
+  // 배포용 문서는 본문이 ViewText에 암호화되어 저장됨
+  if (properties & HWP_FLAG_DISTRIBUTION || !file.has("BodyText")) {
+    throw new AppError(
+      "배포용으로 잠긴 HWP 문서는 읽을 수 없습니다. 원본 문서를 사용하거나 PDF로 인쇄해 업로드해주세요.",
+      422,
+    );
+  }
+
+  const builder = createBlockBuilder();
+  // 압축된 본문 스트림은 섹션 합계 기준으로 압축 해제 크기 제한
+  const inflate = createLimitedInflater("HWP");
+  try {
+    for (let index = 0; file.has(`BodyText/Section${index}`); index++) {
+      const raw = file.read(`BodyText/Section${index}`);
+      const data = properties & HWP_FLAG_COMPRESSED ? inflate(raw) : raw;
+      if (index > 0) builder.pageBreak();
+      appendSection(builder, parseRecords(data));
+    }
+  } catch (error) {
+    if (error.name === "AppError") throw error;
+    logger.error("HWP 본문 추출 오류: " + error.message);
+    throw new Error("HWP 텍스트 추출에 실패했습니다.");
+  }
+
+  return builder.toText();
+};
@@ -0,0 +1,210 @@
+/**
+ * 비동기 생성 작업 워커
+ * - Node 프로세스 내부에서 generation_jobs 테이블을 폴링하여 대기 작업을 처리
+ * - 실행 중인 작업은 주기적으로 생존 신호(updated_at)를 남기고, 신호가 끊긴 running 작업만 queued로 되돌려 이어서 처리
+ *   (여러 인스턴스가 함께 실행되어도 다른 인스턴스가 처리 중인 작업은 복구하지 않음)
+ * - 단계 · 완료 · 실패 기록은 선점한 시도(attempts)일 때만 반영하므로, 복구된 작업을 늦게 끝낸 이전 워커의 결과는 버림
+ */
+import config from "../config/env.js";
+import GenerationJob from "../models/generationJobModel.js";
+import {
+  runSummary,
+  runQuestionGeneration,
+  runFileQuestionGeneration,
+} from "./generationService.js";
+import { loadDocumentSource } from "./documentLibrary.js";
+import { recordUsage } from "./usageLedger.js";
+import logger from "./logger.js";
+
+let timer = null;
+let heartbeatTimer = null;
+let running = false;
+let activeCount = 0;
+// 이 워커가 실행 중인 작업 (생존 신호 대상)
+const activeJobIds = new Set();
+// 선점 중인 tick이 끝나기 전에 새 tick이 시작되면 동시 실행 한도를 넘을 수 있으므로 한 번에 하나만 실행
+let ticking = false;
+let wakePending = false;
+
+// 생존 신호가 끊긴 사이 다른 워커가 작업을 다시 선점한 경우
+const TAKEN_OVER_MESSAGE = "다른 워커가 넘겨받은 작업입니다.";
+
+// 사용량 기록용 엔드포인트 (동기 요청과 같은 이름)
+const getUsageEndpoint = (job) => {
+  if (job.job_type === "summary") return "ai/summarize";
+  return job.input_file ? "ai/generate/file" : "ai/generate";
+};
+
+/**
+ * 작업 1건 실행
+ * @param {object} job - claimNext()로 선점한 행 (input_file 포함)
+ */
+const processJob = async (job) => {
+  const { job_id: jobId, job_type: jobType, params, attempts } = job;
+
+  if (attempts > config.jobs.maxAttempts) {
+    logger.warn(`[JOB ${jobId}] 최대 재시도 횟수 초과로 실패 처리`);
+    await GenerationJob.fail(jobId, attempts, "작업이 반복적으로 중단되어 실패 처리되었습니다.");
+    return;
+  }
+
+  // 청크 진행률이 있으면 "summarizing_chunks 2/5" 형태로 기록
+  // 다른 워커가 넘겨받은 작업이면 더 이상 생성하지 않도록 중단
+  const onStage = async (stage, detail) => {
+    const updated = await GenerationJob.updateStage(
+      jobId,
+      attempts,
+      detail ? `${stage} ${detail.completed}/${detail.total}` : stage,
+    );
+    if (!updated) throw new Error(TAKEN_OVER_MESSAGE);
+  };
+
+  try {
+    logger.info(`[JOB ${jobId}] 시작 - 타입: ${jobType}, 시도: ${attempts}`);
+    let result;
+    // 업로드 파일 작업의 추출 옵션 (includeNotes가 없는 이전 작업은 기본값 사용)
+    const uploadedFile = job.input_file && {
+      buffer: job.input_file,
+      fileName: job.file_name,
+      mimeType: params.mimeType,
+      pages: params.pages,
+      includeNotes: params.includeNotes,
+      documentId: params.documentId,
+    };
+
+    if (jobType === "summary" && params.documentIds) {
+      // 여러 파일 비교 통합 요약 — 보관한 문서 원본을 다시 읽어서 사용
+      const sources = [];
+      for (const documentId of params.documentIds) {
+        const source = await loadDocumentSource(job.user_id, documentId);
+        sources.push({ ...source, pages: null, includeNotes: params.includeNotes });
+      }
+      result = await runSummary(sources, params.options, { onStage });
+    } else if (jobType === "summary") {
+      result = await runSummary(uploadedFile, params.options, { onStage });
+    } else if (jobType === "questions" && job.input_file) {
+      // 업로드 파일 원문에서 문제 생성 (/api/ai/generate/file)
+      result = await runFileQuestionGeneration(uploadedFile, params.options, { onStage });
+    } else if (jobType === "questions") {
+      result = await runQuestionGeneration(params.summaryText, params.options, { onStage });
+    } else {
+      throw new Error(`알 수 없는 작업 타입: ${jobType}`);
+    }
+
+    // 완료 처리가 반영된 워커만 사용량을 기록 (넘겨받은 워커와 중복 기록 방지)
+    if (!(await GenerationJob.complete(jobId, attempts, result))) {
+      logger.warn(`[JOB ${jobId}] 다른 워커가 넘겨받은 작업이므로 결과를 버립니다. (시도: ${attempts})`);
+      return;
+    }
+    await recordUsage(job.user_id, getUsageEndpoint(job), result.usage);
+    logger.info(`[JOB ${jobId}] 완료`);
+  } catch (error) {
+    if (await GenerationJob.fail(jobId, attempts, error.message)) {
+      logger.error(`[JOB ${jobId}] 실패: ${error.message}`);
+    } else {
+      logger.warn(`[JOB ${jobId}] 다른 워커가 넘겨받은 작업이므로 실패 처리하지 않습니다. (시도: ${attempts})`);
+    }
+  }
+};
+
+/**
+ * 동시 실행 한도까지 대기 작업을 선점하여 실행
+ */
+const tick = async () => {
+  if (!running) return;
+  try {
+    while (running && activeCount < config.jobs.concurrency) {
+      const job = await GenerationJob.claimNext();
+      if (!job) break;
+
+      activeCount++;
+      activeJobIds.add(job.job_id);
+      processJob(job)
+        .catch((err) => logger.error(`[JOB ${job.job_id}] 처리 중 예외: ${err.message}`))
+        .finally(() => {
+          activeCount--;
+          activeJobIds.delete(job.job_id);
+          wakeJobWorker();
+        });
+    }
+  } catch (error) {
+    logger.error(`작업 워커 폴링 오류: ${error.message}`);
+  }
+};
+
+const schedule = (delay) => {
+  if (!running) return;
+  // tick 실행 중 깨우기 요청은 tick이 끝난 직후 다시 실행
+  if (ticking) {
+    wakePending = true;
+    return;
+  }
+  clearTimeout(timer);
+  timer = setTimeout(async () => {
+    ticking = true;
+    try {
+      await tick();
+    } finally {
+      ticking = false;
+    }
+    const nextDelay = wakePending ? 0 : config.jobs.pollIntervalMs;
+    wakePending = false;
+    schedule(nextDelay);
+  }, delay);
+};
+
+// 생존 신호가 끊긴 작업 복구 (처리하던 워커가 중단된 작업)
+const requeueStaleJobs = async () => {
+  try {
+    const requeued = await GenerationJob.requeueInterrupted(config.jobs.staleAfterMs);
+    if (requeued > 0) {
+      logger.info(`중단된 생성 작업 ${requeued}건을 대기열로 복구했습니다.`);
+      wakeJobWorker();
+    }
+  } catch (error) {
+    logger.error(`중단된 생성 작업 복구 실패: ${error.message}`);
+  }
+};
+
+// 실행 중인 작업의 생존 신호를 남기고 다른 워커가 남긴 중단 작업을 복구 (staleAfterMs의 1/4 간격)
+const beat = async () => {
+  try {
+    await GenerationJob.heartbeat([...activeJobIds]);
+  } catch (error) {
+    logger.error(`생성 작업 생존 신호 갱신 실패: ${error.message}`);
+  }
+  await requeueStaleJobs();
+};
+
+/**
+ * 워커 시작 (DB 초기화 이후 호출)
+ */
+export const startJobWorker = async () => {
+  if (running) return;
+  running = true;
+
+  await requeueStaleJobs();
+  heartbeatTimer = setInterval(beat, Math.max(Math.floor(config.jobs.staleAfterMs / 4), 1000));
+
+  logger.info(
+    `생성 작업 워커 시작 - 동시 실행: ${config.jobs.concurrency}, 폴링 간격: ${config.jobs.pollIntervalMs}ms`,
+  );
+  schedule(0);
+};
+
+/**
+ * 새 작업 등록 직후 폴링 간격을 기다리지 않고 즉시 처리
+ */
+export const wakeJobWorker = () => schedule(0);
+
+/**
+ * 워커 정지 (Graceful Shutdown)
+ * - 실행 중이던 작업은 생존 신호가 끊긴 뒤 실행 중인 워커(또는 재시작한 워커)가 requeueInterrupted()로 복구함
+ */
+export const stopJobWorker = () => {
+  running = false;
+  clearTimeout(timer);
+  timer = null;
+  clearInterval(heartbeatTimer);
+  heartbeatTimer = null;
+};
@@ -0,0 +1,77 @@
+/**
+ * 페이지 / 슬라이드 범위 지정
+ * - "1-3,7,10-12" 형식 (1부터 시작, 공백 허용)
+ * - 요청 파라미터는 정규화된 문자열로 보관하고 (비동기 작업 params 저장), 추출 시 번호 배열로 변환
+ */
+import { AppError } from "../middlewares/errorHandler.js";
+
+// 잘못된 입력으로 거대한 배열이 만들어지지 않도록 페이지 번호 상한
+const MAX_PAGE_NUMBER = 10000;
+
+/**
+ * 범위 문자열 → 오름차순 페이지 번호 배열
+ * @param {string|number|null|undefined} spec
+ * @returns {number[]|null} 지정하지 않았으면 null (전체)
+ */
+export const parsePageRange = (spec) => {
+  if (spec === undefined || spec === null || String(spec).trim() === "") return null;
+
+  const pages = new Set();
+  for (const part of String(spec).split(",")) {
+    const match = part.trim().match(/^(\d+)(?:\s*-\s*(\d+))?$/);
+    if (!match) {
+      throw new AppError(`페이지 범위 형식이 올바르지 않습니다: "${part.trim()}" (예: 1-3,7)`, 400);
+    }
+
+    const start = parseInt(match[1], 10);
+    const end = match[2] ? parseInt(match[2], 10) : start;
+    if (start < 1 || end < start || end > MAX_PAGE_NUMBER) {
+      throw new AppError(`페이지 범위가 올바르지 않습니다: "${part.trim()}"`, 400);
+    }
+    for (let page = start; page <= end; page++) pages.add(page);
+  }
+
+  return [...pages].sort((a, b) => a - b);
+};
+
+/**
+ * 페이지 번호 배열 → 범위 문자열 ([1, 2, 3, 7] → "1-3,7")
+ * @param {number[]|null} pages
+ * @returns {string|null}
+ */
+export const formatPageRange = (pages) => {
+  if (!pages) return null;
+
+  const ranges = [];
+  pages.forEach((page) => {
+    const last = ranges[ranges.length - 1];
+    if (last && page === last[1] + 1) last[1] = page;
+    else ranges.push([page, page]);
+  });
+  return ranges.map(([start, end]) => (start === end ? `${start}` : `${start}-${end}`)).join(",");
+};
+
+/**
+ * 요청 파라미터의 범위를 검증 후 정규화 (PDF는 pages, PPTX는 slides로도 받음)
+ * @returns {string|null}
+ */
+export const normalizePageRange = ({ pages, slides } = {}) => formatPageRange(parsePageRange(pages ?? slides));
+
+/**
+ * 문서의 전체 페이지 수 기준으로 추출할 페이지 선택
+ * @param {string|null} range - normalizePageRange 결과
+ * @param {number} total - 전체 페이지(슬라이드) 수
+ * @returns {Set<number>|null} 전체 추출이면 null
+ */
+export const selectPages = (range, total) => {
+  const pages = parsePageRange(range);
+  if (!pages) return null;
+
+  const selected = pages.filter((page) => page <= total);
+  if (selected.length === 0) {
+    throw new AppError(`선택한 범위(${range})가 문서의 페이지 범위(1-${total})를 벗어났습니다.`, 400, {
+      pageCount: total,
+    });
+  }
+  return new Set(selected);
+};
@@ -0,0 +1,90 @@
+/**
+ * 스캔(이미지) PDF 문자 인식 (OCR)
+ * - pdfjs로 페이지를 이미지로 렌더링(@napi-rs/canvas)한 뒤 tesseract.js로 한국어 + 영어 인식
+ * - 언어 데이터는 npm 패키지(@tesseract.js-data/kor, eng)에 포함된 파일을 사용하여 외부 다운로드 없이 동작
+ * - 한 파일에서 인식하는 페이지 수는 config.ocr.maxPages로 제한 (CPU 시간이 페이지 수에 비례)
+ */
+import fs from "fs/promises";
+import path from "path";
+import { gunzipSync } from "zlib";
+import { createRequire } from "module";
+import config from "../config/env.js";
+import logger from "./logger.js";
+
+const OCR_LANGUAGES = ["kor", "eng"];
+// 렌더링 배율 (PDF 72dpi 기준 약 150dpi, 글자 인식률과 처리 시간의 절충)
+const RENDER_SCALE = 2;
+
+/**
+ * 번들된 언어 데이터를 tesseract.js 캐시 폴더에 준비 (최초 1회 압축 해제)
+ * - tesseract.js는 langPath를 하나만 받으므로 언어별 패키지 파일을 한 폴더로 모음
+ * @returns {Promise<string>} 캐시 폴더 경로
+ */
+const prepareLanguageData = async () => {
+  const { dataDir } = config.ocr;
+  const require = createRequire(import.meta.url);
+  await fs.mkdir(dataDir, { recursive: true });
+
+  for (const lang of OCR_LANGUAGES) {
+    const target = path.join(dataDir, `${lang}.traineddata`);
+    try {
+      await fs.access(target);
+    } catch {
+      // LSTM 전용 모델(4.0.0_best_int) 사용
+      const packageRoot = path.dirname(require.resolve(`@tesseract.js-data/${lang}/package.json`));
+      const compressed = await fs.readFile(path.join(packageRoot, "4.0.0_best_int", `${lang}.traineddata.gz`));
+      await fs.writeFile(target, gunzipSync(compressed));
+      logger.info(`[OCR] 언어 데이터 준비 완료: ${lang}`);
+    }
+  }
+  return dataDir;
+};
+
+// PDF 페이지 → PNG 이미지 (pdfjs-dist의 Node용 canvasFactory는 @napi-rs/canvas 의존성 사용)
+const renderPage = async (pdfDocument, pageNumber) => {
+  const page = await pdfDocument.getPage(pageNumber);
+  const viewport = page.getViewport({ scale: RENDER_SCALE });
+  const { canvas, context } = pdfDocument.canvasFactory.create(Math.ceil(viewport.width), Math.ceil(viewport.height));
+  try {
+    // 스캔 이미지의 투명 영역이 검게 인식되지 않도록 흰 배경
+    await page.render({ canvasContext: context, viewport, background: "white" }).promise;
+    return canvas.toBuffer("image/png");
+  } finally {
+    pdfDocument.canvasFactory.destroy({ canvas, context });
+    page.cleanup();
+  }
+};
+
+/**
+ * PDF 페이지 문자 인식
+ * @param {object} pdfDocument - pdfjs 문서 (textExtractor의 loadPdfDocument 결과)
+ * @param {number[]} pageNumbers - 인식할 페이지 번호 (오름차순, maxPages 초과분은 제외)
+ * @param {AbortSignal} [signal] - 추출 시간 제한 (페이지마다 확인, 중단 시 worker 종료)
+ * @returns {Promise<{
+ *   pages: { page: number, text: string, confidence: number }[],
+ *   truncated: boolean,
+ * }>} confidence는 0~100 (tesseract 평균 신뢰도)
+ */
+export const recognizePdfPages = async (pdfDocument, pageNumbers, signal = null) => {
+  const { createWorker, OEM } = (await import("tesseract.js")).default;
+  const targets = pageNumbers.slice(0, config.ocr.maxPages);
+
+  const worker = await createWorker(OCR_LANGUAGES, OEM.LSTM_ONLY, {
+    cachePath: await prepareLanguageData(),
+    cacheMethod: "readOnly",
+  });
+
+  try {
+    const pages = [];
+    for (const pageNumber of targets) {
+      signal?.throwIfAborted();
+      const image = await renderPage(pdfDocument, pageNumber);
+      const { data } = await worker.recognize(image);
+      logger.debug(`[OCR] ${pageNumber}페이지 인식 완료 - 신뢰도: ${Math.round(data.confidence)}`);
+      pages.push({ page: pageNumber, text: data.text.trim(), confidence: data.confidence });
+    }
+    return { pages, truncated: targets.length < pageNumbers.length };
+  } finally {
+    await worker.terminate();
+  }
+};
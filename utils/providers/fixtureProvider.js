@@ -0,0 +1,118 @@
+/**
+ * 고정 응답(fixture) 공급자
+ * - API 키 없이 개발 / 테스트할 때 사용하며, 같은 프롬프트에는 항상 같은 응답을 반환
+ * - 문제 생성 프롬프트는 system에 정의된 출력 JSON 예시를 요청 개수만큼 복제하여 응답
+ * - 그 외 JSON 출력 프롬프트(채점 기준표 · 채점)는 예시를 그대로 응답
+ * - 요약 프롬프트는 문서 앞부분을 그대로 잘라 요약 형태로 응답
+ * - 출처 표기를 요청하면 문서의 첫 페이지 / 슬라이드 / 녹취 시점 / 파일 표시를 출처로 사용
+ */
+import { countChatTokens, countTokens } from "../tokenCounter.js";
+import logger from "../logger.js";
+
+const JSON_EXAMPLE_MARKER = "출력 JSON 형식:\n";
+const SUMMARY_PREVIEW_CHARS = 500;
+const STREAM_PIECE_CHARS = 20;
+const CITATION_RULE_MARKER = "출처 표기 규칙:";
+
+// 출처 표기를 요청한 프롬프트면 본문의 첫 위치 표시 ({ citation, value })
+const readFirstSource = (userMessage) => {
+  if (!userMessage.includes(CITATION_RULE_MARKER)) return null;
+  const content = userMessage.split("\n\n\n").pop();
+  const timestamp = content.match(/\[시간 (\d{2}:\d{2}:\d{2})\]|\(출처: (\d{2}:\d{2}:\d{2})/);
+  if (timestamp) {
+    const value = timestamp[1] || timestamp[2];
+    return { citation: value, value };
+  }
+  const match = content.match(/\[(페이지|슬라이드|파일) (\d+)\]|\(출처: (페이지|슬라이드|파일) (\d+)/);
+  if (!match) return null;
+  const number = parseInt(match[2] || match[4], 10);
+  return { citation: `${match[1] || match[3]} ${number}`, value: number };
+};
+
+// 요청 문제 수 (재생성 프롬프트는 "같은 개수(N개)" 형식)
+const readRequestedCount = (userMessage) => {
+  const match = userMessage.match(/같은 개수\((\d+)개\)/) || userMessage.match(/문제 (\d+)개를 생성/);
+  return match ? parseInt(match[1], 10) : 1;
+};
+
+/**
+ * system 프롬프트의 출력 JSON 예시로 응답 생성
+ * @returns {string|null} 예시가 없는 프롬프트면 null
+ */
+const buildJsonReply = (systemMessage, userMessage) => {
+  const start = systemMessage.indexOf(JSON_EXAMPLE_MARKER);
+  if (start === -1) return null;
+
+  let parsed;
+  try {
+    parsed = JSON.parse(systemMessage.slice(start + JSON_EXAMPLE_MARKER.length));
+  } catch {
+    return null;
+  }
+  if (!Array.isArray(parsed.questions)) return JSON.stringify(parsed);
+
+  const [example] = parsed.questions;
+
+  // 빈칸 채우기형은 요청한 빈칸 수에 맞춰 문제 / 정답 수를 조정
+  const blankMatch = userMessage.match(/빈칸 수: (\d+)개/);
+  const blankCount = blankMatch ? parseInt(blankMatch[1], 10) : null;
+  const source = readFirstSource(userMessage);
+
+  const questions = Array.from({ length: readRequestedCount(userMessage) }, (_, i) => {
+    const question = { ...example, question_text: `${example.question_text} (${i + 1})` };
+    if (source) question.sources = [source.value];
+    if (blankCount && Array.isArray(example.correct_answers)) {
+      question.correct_answers = example.correct_answers.slice(0, blankCount);
+      question.question_text = `${Array(blankCount).fill("____").join(", ")} 을 포함한 문제 내용 (${i + 1})`;
+    }
+    return question;
+  });
+
+  return JSON.stringify({ questions });
+};
+
+// 프롬프트 템플릿 뒤에 붙은 문서 내용의 앞부분
+const buildSummaryReply = (userMessage) => {
+  const content = userMessage.split("\n\n\n").pop().trim();
+  const source = readFirstSource(userMessage);
+  const citation = source ? ` (출처: ${source.citation})` : "";
+  return `[fixture 요약]\n${content.slice(0, SUMMARY_PREVIEW_CHARS)}${citation}`;
+};
+
+/**
+ * @param {object} options
+ * @param {string} [options.model] - 토큰 계산에 사용할 모델명
+ * @param {number} options.maxTokens
+ * @param {number|null} [options.contextWindow]
+ */
+export const createFixtureProvider = ({ model = "fixture", maxTokens, contextWindow = null }) => {
+  const reply = (systemMessage, userMessage) => {
+    const result = buildJsonReply(systemMessage, userMessage) ?? buildSummaryReply(userMessage);
+    const prompt_tokens = countChatTokens(systemMessage, userMessage, model);
+    const completion_tokens = countTokens(result, model);
+    return { result, usage: { prompt_tokens, completion_tokens, total_tokens: prompt_tokens + completion_tokens } };
+  };
+
+  return {
+    name: "fixture",
+    model,
+    maxTokens,
+    contextWindow,
+
+    async chat(systemMessage, userMessage) {
+      logger.debug("[fixture] 고정 응답 반환");
+      return reply(systemMessage, userMessage);
+    },
+
+    async stream(systemMessage, userMessage, { onDelta = () => {}, signal } = {}) {
+      const { result, usage } = reply(systemMessage, userMessage);
+      for (let i = 0; i < result.length; i += STREAM_PIECE_CHARS) {
+        if (signal?.aborted) throw new Error("fixture 스트리밍 요청이 취소되었습니다.");
+        onDelta(result.slice(i, i + STREAM_PIECE_CHARS));
+        // 실제 스트리밍처럼 이벤트 루프에 양보
+        await new Promise((resolve) => setImmediate(resolve));
+      }
+      return { result, usage };
+    },
+  };
+};
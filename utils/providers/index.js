@@ -0,0 +1,76 @@
+/**
+ * LLM 공급자 선택
+ * - 작업(summary / questions)별로 config.llm.tasks에 지정된 공급자를 반환
+ * - 공급자 인터페이스: { name, model, maxTokens, contextWindow, chat(system, user, { temperature }), stream(system, user, { onDelta, signal }) }
+ *   chat / stream은 { result, usage: { prompt_tokens, completion_tokens, total_tokens } }를 반환
+ * - LLM_FIXTURE_MODE=record | replay 시 호출을 기록하거나 기록된 응답만 재생
+ */
+import config from "../../config/env.js";
+import { createOpenAIProvider } from "./openaiProvider.js";
+import { createFixtureProvider } from "./fixtureProvider.js";
+import { withRecording, createReplayProvider } from "./recordReplay.js";
+
+// 공급자별 모델 / 토큰 설정 (replay 시에는 클라이언트 없이 이 값만 사용)
+const PROVIDER_PROFILES = {
+  openai: () => ({
+    name: "openai",
+    model: config.openai.model,
+    maxTokens: config.openai.maxTokens,
+    contextWindow: config.openai.contextWindow,
+  }),
+  compatible: () => ({
+    name: "compatible",
+    model: config.localLlm.model,
+    maxTokens: config.localLlm.maxTokens,
+    contextWindow: config.localLlm.contextWindow,
+  }),
+  fixture: () => ({
+    name: "fixture",
+    model: "fixture",
+    maxTokens: config.openai.maxTokens,
+    contextWindow: null,
+  }),
+};
+
+const PROVIDER_FACTORIES = {
+  openai: (profile) =>
+    createOpenAIProvider({
+      ...profile,
+      label: "OpenAI API",
+      apiKey: config.openai.apiKey,
+    }),
+  compatible: (profile) =>
+    createOpenAIProvider({
+      ...profile,
+      label: "OpenAI 호환 API",
+      apiKey: config.localLlm.apiKey,
+      baseURL: config.localLlm.baseURL,
+      maxTokensParam: "max_tokens",
+    }),
+  fixture: (profile) => createFixtureProvider(profile),
+};
+
+const createProvider = (name) => {
+  const profile = PROVIDER_PROFILES[name]();
+  const { fixtureMode, fixtureDir } = config.llm;
+
+  if (fixtureMode === "replay") return createReplayProvider(profile, fixtureDir);
+
+  const provider = PROVIDER_FACTORIES[name](profile);
+  return fixtureMode === "record" ? withRecording(provider, fixtureDir) : provider;
+};
+
+// 공급자별 클라이언트는 최초 사용 시 1회 생성
+const providers = new Map();
+
+/**
+ * 작업에 사용할 LLM 공급자
+ * @param {"summary"|"questions"} task
+ */
+export const getProvider = (task) => {
+  const name = config.llm.tasks[task];
+  if (!name) throw new Error(`알 수 없는 LLM 작업: ${task}`);
+
+  if (!providers.has(name)) providers.set(name, createProvider(name));
+  return providers.get(name);
+};
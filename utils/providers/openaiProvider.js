@@ -0,0 +1,127 @@
+/**
+ * OpenAI / OpenAI 호환 API 공급자
+ * - baseURL을 지정하면 Ollama, llama.cpp 서버 등 OpenAI 호환 엔드포인트로 요청
+ */
+import OpenAI from "openai";
+import { countChatTokens, countTokens } from "../tokenCounter.js";
+import logger from "../logger.js";
+
+const DEFAULT_TEMPERATURE = 0.7;
+
+/**
+ * @param {object} options
+ * @param {string} options.name - 공급자 이름 (로그 / 응답 표시용)
+ * @param {string} options.label - 오류 메시지에 사용할 API 이름
+ * @param {string} options.apiKey
+ * @param {string} [options.baseURL] - 미지정 시 OpenAI 기본 엔드포인트 (OPENAI_BASE_URL 환경 변수 반영)
+ * @param {string} options.model
+ * @param {number} options.maxTokens - 출력 예약 토큰
+ * @param {number|null} [options.contextWindow]
+ * @param {"max_completion_tokens"|"max_tokens"} [options.maxTokensParam] - 로컬 서버는 구형 max_tokens만 지원하는 경우가 많음
+ */
+export const createOpenAIProvider = ({
+  name,
+  label,
+  apiKey,
+  baseURL,
+  model,
+  maxTokens,
+  contextWindow = null,
+  maxTokensParam = "max_completion_tokens",
+}) => {
+  const client = new OpenAI({ apiKey, ...(baseURL && { baseURL }) });
+
+  const buildRequest = (systemMessage, userMessage, temperature = DEFAULT_TEMPERATURE) => ({
+    model,
+    messages: [
+      { role: "system", content: systemMessage },
+      { role: "user", content: userMessage },
+    ],
+    temperature,
+    [maxTokensParam]: maxTokens,
+  });
+
+  // API가 usage를 돌려주지 않은 경우 tiktoken으로 직접 계산
+  const resolveUsage = (usage, systemMessage, userMessage, result) => {
+    if (usage) return usage;
+    const prompt_tokens = countChatTokens(systemMessage, userMessage, model);
+    const completion_tokens = countTokens(result, model);
+    return { prompt_tokens, completion_tokens, total_tokens: prompt_tokens + completion_tokens };
+  };
+
+  // SDK 오류를 공급자 정보가 담긴 오류로 변환 (호출부에서 502로 응답)
+  const wrapError = (error, signal) => {
+    if (signal?.aborted) return error;
+    return new Error(`${label} 호출 실패 (${model}): ${error.message}`, { cause: error });
+  };
+
+  return {
+    name,
+    model,
+    maxTokens,
+    contextWindow,
+
+    /**
+     * 채팅 완성 호출
+     * - 토큰 예산 계산과 content 분할은 호출부에서 완료된 것으로 간주하여 여기서는 하지 않음
+     * @param {{ temperature?: number }} [options] - 채점처럼 재현성이 필요한 호출은 temperature 0
+     * @returns {Promise<{result: string, usage: object}>}
+     */
+    async chat(systemMessage, userMessage, { temperature } = {}) {
+      let completion;
+      try {
+        completion = await client.chat.completions.create(buildRequest(systemMessage, userMessage, temperature));
+      } catch (error) {
+        throw wrapError(error);
+      }
+
+      const result = completion.choices[0].message.content;
+      const usage = resolveUsage(completion.usage, systemMessage, userMessage, result);
+
+      logger.debug(`[${name}] 호출 완료 - model: ${model}, tokens: ${usage.total_tokens}`);
+      return { result, usage };
+    },
+
+    /**
+     * 스트리밍 호출
+     * - 토큰 델타가 도착할 때마다 onDelta로 전달하고, 완료 시 전체 텍스트와 usage 반환
+     * - signal이 abort되면 API 요청도 함께 취소됨 (클라이언트 연결 종료 대응)
+     * @param {{ onDelta?: (text: string) => void, signal?: AbortSignal }} [options]
+     * @returns {Promise<{result: string, usage: object}>}
+     */
+    async stream(systemMessage, userMessage, { onDelta = () => {}, signal } = {}) {
+      let result = "";
+      let usage = null;
+
+      try {
+        const stream = await client.chat.completions.create(
+          {
+            ...buildRequest(systemMessage, userMessage),
+            stream: true,
+            stream_options: { include_usage: true },
+          },
+          { signal },
+        );
+
+        for await (const chunk of stream) {
+          const delta = chunk.choices[0]?.delta?.content;
+          if (delta) {
+            result += delta;
+            onDelta(delta);
+          }
+          // include_usage 설정 시 마지막 청크에만 usage가 포함됨
+          if (chunk.usage) usage = chunk.usage;
+        }
+      } catch (error) {
+        throw wrapError(error, signal);
+      }
+
+      // SDK는 abort 시 예외 없이 반복을 종료하므로 부분 결과를 완료로 취급하지 않도록 직접 확인
+      if (signal?.aborted) throw new Error(`${label} 스트리밍 요청이 취소되었습니다.`);
+
+      usage = resolveUsage(usage, systemMessage, userMessage, result);
+      logger.debug(`[${name}] 스트리밍 완료 - model: ${model}, tokens: ${usage.total_tokens}`);
+      return { result, usage };
+    },
+  };
+};
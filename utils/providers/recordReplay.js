@@ -0,0 +1,104 @@
+/**
+ * LLM 호출 기록 / 재생 (record / replay)
+ * - record: 실제 공급자를 호출하고 프롬프트 해시 → 응답 쌍을 파일로 저장
+ * - replay: 저장된 응답만 반환하며, 기록되지 않은 프롬프트는 즉시 오류 (API 키 없이 전체 흐름 테스트용)
+ * - 해시는 모델 + system + user 기준이므로 프롬프트 템플릿이 바뀌면 다시 기록해야 함
+ */
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import logger from "../logger.js";
+
+const STREAM_PIECE_CHARS = 20;
+
+// 프롬프트 해시 (fixture 파일명)
+export const hashPrompt = (model, systemMessage, userMessage) =>
+  crypto
+    .createHash("sha256")
+    .update(JSON.stringify([model, systemMessage, userMessage]))
+    .digest("hex");
+
+const fixturePath = (dir, hash) => path.join(dir, `${hash}.json`);
+
+/**
+ * 실제 공급자 호출 결과를 fixture로 기록
+ * @param {object} provider - utils/providers 인터페이스를 따르는 공급자
+ * @param {string} dir - fixture 저장 디렉터리
+ */
+export const withRecording = (provider, dir) => {
+  const save = async (systemMessage, userMessage, { result, usage }) => {
+    const hash = hashPrompt(provider.model, systemMessage, userMessage);
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(
+      fixturePath(dir, hash),
+      JSON.stringify(
+        {
+          provider: provider.name,
+          model: provider.model,
+          system: systemMessage,
+          user: userMessage,
+          result,
+          usage,
+          recordedAt: new Date().toISOString(),
+        },
+        null,
+        2,
+      ),
+    );
+    logger.debug(`[record] LLM 응답 기록: ${hash}`);
+  };
+
+  return {
+    ...provider,
+
+    async chat(systemMessage, userMessage, options) {
+      const response = await provider.chat(systemMessage, userMessage, options);
+      await save(systemMessage, userMessage, response);
+      return response;
+    },
+
+    async stream(systemMessage, userMessage, options) {
+      const response = await provider.stream(systemMessage, userMessage, options);
+      await save(systemMessage, userMessage, response);
+      return response;
+    },
+  };
+};
+
+/**
+ * 기록된 fixture만 반환하는 공급자
+ * @param {{ name: string, model: string, maxTokens: number, contextWindow?: number|null }} profile - 기록 당시 공급자 설정
+ * @param {string} dir - fixture 디렉터리
+ */
+export const createReplayProvider = (profile, dir) => {
+  const load = async (systemMessage, userMessage) => {
+    const hash = hashPrompt(profile.model, systemMessage, userMessage);
+    try {
+      const fixture = JSON.parse(await fs.readFile(fixturePath(dir, hash), "utf8"));
+      logger.debug(`[replay] LLM 응답 재생: ${hash}`);
+      return { result: fixture.result, usage: fixture.usage };
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+      const message =
+        `LLM replay fixture가 없습니다 (model: ${profile.model}, hash: ${hash}). ` +
+        "LLM_FIXTURE_MODE=record로 다시 기록하세요.";
+      logger.error(`${message}\n프롬프트 앞부분: ${userMessage.slice(0, 200)}`);
+      throw new Error(message);
+    }
+  };
+
+  return {
+    ...profile,
+
+    chat: load,
+
+    async stream(systemMessage, userMessage, { onDelta = () => {}, signal } = {}) {
+      const response = await load(systemMessage, userMessage);
+      for (let i = 0; i < response.result.length; i += STREAM_PIECE_CHARS) {
+        if (signal?.aborted) throw new Error("replay 스트리밍 요청이 취소되었습니다.");
+        onDelta(response.result.slice(i, i + STREAM_PIECE_CHARS));
+      }
+      return response;
+    },
+  };
+};
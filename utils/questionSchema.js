@@ -0,0 +1,153 @@
+/**
+ * 생성된 문제의 타입별 스키마 검증
+ * - prompts/questionPrompts.js의 출력 JSON 형식과 1:1로 대응
+ * - 오류 메시지는 재생성(repair) 프롬프트에 그대로 전달되므로 모델이 이해할 수 있는 문장으로 작성
+ */
+
+const isNonEmptyString = (value) => typeof value === "string" && value.trim().length > 0;
+
+// id는 "1" / 1 혼용을 허용하고 문자열로 비교
+const toId = (value) => String(value).trim();
+
+// 빈칸 표시 (____) 개수
+const countBlanks = (text) => (text.match(/_{2,}/g) || []).length;
+
+/**
+ * {id, text} 목록 검증 (n지선다 options, 순서배열 items, 빈칸채우기 options 공용)
+ * @returns {string[]} 오류 목록
+ */
+const validateChoiceList = (list, fieldName, expectedCount) => {
+  if (!Array.isArray(list)) return [`${fieldName}는 배열이어야 합니다.`];
+
+  const errors = [];
+  if (expectedCount && list.length !== expectedCount) {
+    errors.push(`${fieldName}는 정확히 ${expectedCount}개여야 합니다. (현재 ${list.length}개)`);
+  } else if (list.length < 2) {
+    errors.push(`${fieldName}는 2개 이상이어야 합니다.`);
+  }
+
+  list.forEach((choice, i) => {
+    if (choice?.id === undefined || choice?.id === null || toId(choice.id) === "") {
+      errors.push(`${fieldName}[${i}].id가 없습니다.`);
+    }
+    if (!isNonEmptyString(choice?.text)) {
+      errors.push(`${fieldName}[${i}].text는 비어 있지 않은 문자열이어야 합니다.`);
+    }
+  });
+
+  const ids = list.map((choice) => toId(choice?.id));
+  if (new Set(ids).size !== ids.length) errors.push(`${fieldName}의 id가 중복됩니다.`);
+
+  return errors;
+};
+
+// 타입별 고유 필드 검증
+const TYPE_VALIDATORS = {
+  n지선다: (q, { choiceCount }) => {
+    const errors = validateChoiceList(q.options, "options", choiceCount);
+    if (q.correct_answer === undefined || q.correct_answer === null) {
+      errors.push("correct_answer가 없습니다.");
+    } else if (
+      Array.isArray(q.options) &&
+      !q.options.some((choice) => toId(choice?.id) === toId(q.correct_answer))
+    ) {
+      errors.push(`correct_answer("${q.correct_answer}")가 options의 id 중 하나가 아닙니다.`);
+    }
+    return errors;
+  },
+
+  순서배열: (q, { arrayChoiceCount }) => {
+    const errors = validateChoiceList(q.items, "items", arrayChoiceCount);
+    if (!Array.isArray(q.correct_sequence)) {
+      errors.push("correct_sequence는 items의 id 배열이어야 합니다.");
+    } else if (Array.isArray(q.items)) {
+      const itemIds = q.items.map((item) => toId(item?.id)).sort();
+      const sequenceIds = q.correct_sequence.map(toId).sort();
+      if (itemIds.join("|") !== sequenceIds.join("|")) {
+        errors.push("correct_sequence는 items의 모든 id를 중복 없이 한 번씩 포함해야 합니다.");
+      }
+    }
+    return errors;
+  },
+
+  참거짓: (q) =>
+    typeof q.correct_answer === "boolean"
+      ? []
+      : ["correct_answer는 true 또는 false(boolean)여야 합니다."],
+
+  빈칸채우기: (q, { blankCount }) => {
+    const errors = validateChoiceList(q.options, "options", 4);
+    if (!Array.isArray(q.correct_answers) || q.correct_answers.length === 0) {
+      errors.push("correct_answers는 비어 있지 않은 배열이어야 합니다.");
+      return errors;
+    }
+
+    if (blankCount && q.correct_answers.length !== blankCount) {
+      errors.push(`correct_answers는 정확히 ${blankCount}개여야 합니다. (현재 ${q.correct_answers.length}개)`);
+    }
+    if (isNonEmptyString(q.question_text) && countBlanks(q.question_text) !== q.correct_answers.length) {
+      errors.push(
+        `question_text의 빈칸(____) 수(${countBlanks(q.question_text)})가 correct_answers 수(${q.correct_answers.length})와 다릅니다.`,
+      );
+    }
+    if (Array.isArray(q.options)) {
+      const optionTexts = q.options.map((choice) => choice?.text);
+      q.correct_answers
+        .filter((answer) => !optionTexts.includes(answer))
+        .forEach((answer) => errors.push(`correct_answers의 "${answer}"가 options의 text 중 하나가 아닙니다.`));
+    }
+    return errors;
+  },
+
+  단답: (q) =>
+    isNonEmptyString(q.correct_answer) || typeof q.correct_answer === "number"
+      ? []
+      : ["correct_answer는 비어 있지 않은 문자열이어야 합니다."],
+
+  서술: (q) => {
+    const errors = [];
+    if (!isNonEmptyString(q.model_answer)) {
+      errors.push("model_answer는 비어 있지 않은 문자열이어야 합니다.");
+    }
+    const criteria = q.grading_criteria;
+    const criteriaOk = Array.isArray(criteria)
+      ? criteria.length > 0 && criteria.every(isNonEmptyString)
+      : isNonEmptyString(criteria);
+    if (!criteriaOk) errors.push("grading_criteria는 비어 있지 않은 문자열(또는 문자열 배열)이어야 합니다.");
+    return errors;
+  },
+};
+
+/**
+ * 문제 1개 검증
+ * @param {string} normalizedType - VALID_TYPES 중 하나
+ * @param {object} question
+ * @param {{ choiceCount?: number, arrayChoiceCount?: number, blankCount?: number }} [constraints] - 프롬프트에 요청한 개수
+ * @returns {string[]} 오류 목록 (유효하면 빈 배열)
+ */
+export const validateQuestion = (normalizedType, question, constraints = {}) => {
+  if (!question || typeof question !== "object" || Array.isArray(question)) {
+    return ["문제는 JSON 객체여야 합니다."];
+  }
+
+  const validator = TYPE_VALIDATORS[normalizedType];
+  if (!validator) return [`알 수 없는 문제 타입입니다: ${normalizedType}`];
+
+  const errors = [];
+  if (!isNonEmptyString(question.question_text)) {
+    errors.push("question_text는 비어 있지 않은 문자열이어야 합니다.");
+  }
+  if (!isNonEmptyString(question.explanation)) {
+    errors.push("explanation은 비어 있지 않은 문자열이어야 합니다.");
+  }
+  return [...errors, ...validator(question, constraints)];
+};
+
+/**
+ * 문제 배열 검증
+ * @returns {{ index: number, errors: string[] }[]} 유효하지 않은 문제 목록
+ */
+export const validateQuestions = (normalizedType, questions, constraints = {}) =>
+  questions
+    .map((question, index) => ({ index, errors: validateQuestion(normalizedType, question, constraints) }))
+    .filter(({ errors }) => errors.length > 0);
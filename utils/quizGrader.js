@@ -0,0 +1,131 @@
+/**
+ * 저장한 문제 세트의 객관식 답안 채점
+ * - 문제 형식은 prompts/questionPrompts.js 출력 JSON (utils/questionSchema.js로 검증한 형식)
+ * - n지선다 · 참거짓 · 순서배열 · 빈칸채우기는 서버에서 바로 채점하고, 단답 · 서술은 채점 대기(gradable: false)로 남김
+ * - 점수는 문제당 0~1 (빈칸채우기는 맞힌 빈칸 비율만큼 부분 점수)
+ */
+import { QUESTION_TYPE_NORMALIZE_MAP } from "./generationService.js";
+
+const toId = (value) => String(value).trim();
+
+/**
+ * 저장한 문제 세트의 문제 배열 (question_data.question_text: 문자열 JSON / 배열 / { questions })
+ * @returns {object[]|null} 형식이 맞지 않으면 null
+ */
+export const readSavedQuestions = (questionText) => {
+  let data = questionText;
+  if (typeof data === "string") {
+    try {
+      data = JSON.parse(data);
+    } catch {
+      return null;
+    }
+  }
+  const questions = Array.isArray(data) ? data : data?.questions;
+  return Array.isArray(questions) ? questions : null;
+};
+
+/**
+ * 문제 타입 (혼합형 세트는 문제별 question_type, 그 외는 세트 타입)
+ * @param {string} setType - user_questions.question_type (클라이언트 표기 또는 DB 값)
+ * @returns {string|null} VALID_TYPES 중 하나
+ */
+export const getQuestionType = (setType, question) =>
+  QUESTION_TYPE_NORMALIZE_MAP[question?.question_type] || QUESTION_TYPE_NORMALIZE_MAP[setType] || null;
+
+/**
+ * 답안 문자열 정규화 (빈칸 · 단답 정답 비교, 대소문자 · 전각/반각 · 띄어쓰기 · 따옴표와 문장부호 차이 무시)
+ * @param {string|number} value
+ * @returns {string}
+ */
+export const normalizeAnswerText = (value) =>
+  String(value ?? "")
+    .normalize("NFKC")
+    .toLowerCase()
+    .replace(/[\s"'`“”‘’.,!?;:·()[\]{}<>「」『』]/g, "");
+
+// "true" / "O" / "참" 등 → boolean (해석할 수 없으면 null)
+const TRUE_VALUES = ["true", "t", "o", "참", "맞음", "예", "yes", "1"];
+const FALSE_VALUES = ["false", "f", "x", "거짓", "틀림", "아니오", "no", "0"];
+const toBoolean = (value) => {
+  if (typeof value === "boolean") return value;
+  const text = String(value ?? "").trim().toLowerCase();
+  if (TRUE_VALUES.includes(text)) return true;
+  if (FALSE_VALUES.includes(text)) return false;
+  return null;
+};
+
+// 배열 답안 (배열 또는 콤마 구분 문자열)
+const toList = (value) => {
+  if (Array.isArray(value)) return value;
+  if (value === undefined || value === null || value === "") return [];
+  return String(value).split(",");
+};
+
+// 빈칸 답안 항목 → 선택지 text (선택지 id로 답해도 인정)
+const toBlankText = (value, options = []) => {
+  const normalized = normalizeAnswerText(value);
+  if (options.some((option) => normalizeAnswerText(option?.text) === normalized)) return String(value);
+  const byId = options.find((option) => toId(option?.id) === toId(value));
+  return byId ? byId.text : String(value ?? "");
+};
+
+const GRADERS = {
+  n지선다: (question, answer) => {
+    const correct = toId(answer) === toId(question.correct_answer);
+    return { correct, score: correct ? 1 : 0, correctAnswer: question.correct_answer };
+  },
+
+  참거짓: (question, answer) => {
+    const value = toBoolean(answer);
+    if (value === null) return null;
+    const correct = value === question.correct_answer;
+    return { correct, score: correct ? 1 : 0, correctAnswer: question.correct_answer };
+  },
+
+  순서배열: (question, answer) => {
+    const sequence = toList(answer).map(toId);
+    const expected = (question.correct_sequence || []).map(toId);
+    const correctPositions = expected.filter((id, i) => sequence[i] === id).length;
+    const correct = sequence.length === expected.length && correctPositions === expected.length;
+    return {
+      correct,
+      score: correct ? 1 : 0,
+      correctAnswer: question.correct_sequence,
+      details: { correctPositions, total: expected.length },
+    };
+  },
+
+  빈칸채우기: (question, answer) => {
+    const expected = question.correct_answers || [];
+    const given = toList(answer).map((value) => toBlankText(value, question.options));
+    const blanks = expected.map((correctText, i) => ({
+      blank: i + 1,
+      answer: given[i] ?? null,
+      correct: given[i] !== undefined && normalizeAnswerText(given[i]) === normalizeAnswerText(correctText),
+    }));
+    const correctCount = blanks.filter(({ correct }) => correct).length;
+    return {
+      correct: expected.length > 0 && correctCount === expected.length,
+      score: expected.length > 0 ? Math.round((correctCount / expected.length) * 100) / 100 : 0,
+      correctAnswer: expected,
+      details: { blanks },
+    };
+  },
+};
+
+/**
+ * 답안 1개 채점
+ * @param {string} questionType - getQuestionType 결과
+ * @param {object} question - 저장한 문제 (정답 포함)
+ * @param {*} answer - n지선다: 선택지 id / 참거짓: boolean("O", "참" 등 허용) / 순서배열: id 배열 / 빈칸채우기: 빈칸 순서대로 text(또는 선택지 id) 배열
+ * @returns {{ gradable: boolean, correct: boolean|null, score: number|null, correctAnswer?: *, details?: object }|null}
+ *   답안 형식을 해석할 수 없으면 null
+ */
+export const gradeAnswer = (questionType, question, answer) => {
+  const grader = GRADERS[questionType];
+  if (!grader) return { gradable: false, correct: null, score: null };
+
+  const result = grader(question, answer);
+  return result && { gradable: true, ...result };
+};
@@ -34,6 +34,7 @@ class RequestLock {
 }
 
 const registrationLock = new RequestLock();
-setInterval(() => registrationLock.cleanup(), 30000);
+// unref: 정리 타이머만 남았을 때 프로세스(테스트 러너 등) 종료를 막지 않도록 함
+setInterval(() => registrationLock.cleanup(), 30000).unref();
 
 export default registrationLock;
@@ -0,0 +1,66 @@
+/**
+ * 즐겨찾기 문제 복습 일정 (SM-2)
+ * - 복습 결과를 quality 0~5로 받아 다음 복습 간격 · 난이도 계수(ease factor)를 계산
+ * - 3점 미만이면 처음부터 다시(1일 뒤) 복습하고 난이도 계수는 유지, 3점 이상이면 1일 → 6일 → 간격 × 난이도 계수로 늘림
+ */
+
+export const DEFAULT_EASE_FACTOR = 2.5;
+export const MIN_EASE_FACTOR = 1.3;
+export const MIN_QUALITY = 0;
+export const MAX_QUALITY = 5;
+// 이 점수 이상이면 기억한 것으로 봄
+export const PASSING_QUALITY = 3;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FIRST_INTERVAL_DAYS = 1;
+const SECOND_INTERVAL_DAYS = 6;
+
+/**
+ * 복습 결과 점수 검증
+ * @param {*} quality
+ * @returns {boolean} 0~5 사이 정수면 true
+ */
+export const isValidQuality = (quality) =>
+  Number.isInteger(quality) && quality >= MIN_QUALITY && quality <= MAX_QUALITY;
+
+/**
+ * 복습 결과로 다음 일정 계산
+ * @param {{ easeFactor?: number, intervalDays?: number, repetitions?: number }|null} previous - 이전 일정 (처음 복습이면 null)
+ * @param {number} quality - 0(전혀 기억 못함) ~ 5(바로 기억함)
+ * @param {Date} [reviewedAt]
+ * @returns {{ easeFactor: number, intervalDays: number, repetitions: number, dueAt: Date, lapsed: boolean }}
+ */
+export const scheduleReview = (previous, quality, reviewedAt = new Date()) => {
+  const easeFactor = previous?.easeFactor ?? DEFAULT_EASE_FACTOR;
+  const intervalDays = previous?.intervalDays ?? 0;
+  const repetitions = previous?.repetitions ?? 0;
+
+  if (quality < PASSING_QUALITY) {
+    return {
+      easeFactor,
+      intervalDays: FIRST_INTERVAL_DAYS,
+      repetitions: 0,
+      dueAt: new Date(reviewedAt.getTime() + FIRST_INTERVAL_DAYS * DAY_MS),
+      lapsed: true,
+    };
+  }
+
+  const nextRepetitions = repetitions + 1;
+  let nextInterval = Math.round(intervalDays * easeFactor);
+  if (nextRepetitions === 1) nextInterval = FIRST_INTERVAL_DAYS;
+  else if (nextRepetitions === 2) nextInterval = SECOND_INTERVAL_DAYS;
+
+  nextInterval = Math.max(nextInterval, FIRST_INTERVAL_DAYS);
+
+  const penalty = MAX_QUALITY - quality;
+  const nextEaseFactor = Math.max(MIN_EASE_FACTOR, easeFactor + (0.1 - penalty * (0.08 + penalty * 0.02)));
+
+  return {
+    // NUMERIC(4,2) 컬럼에 저장하는 값과 같게 반올림
+    easeFactor: Math.round(nextEaseFactor * 100) / 100,
+    intervalDays: nextInterval,
+    repetitions: nextRepetitions,
+    dueAt: new Date(reviewedAt.getTime() + nextInterval * DAY_MS),
+    lapsed: false,
+  };
+};
@@ -0,0 +1,181 @@
+/**
+ * 단답형 · 서술형 답안 AI 채점
+ * - 문제마다 채점 기준표(rubric)를 한 번 생성해 question_rubrics에 저장하고, 이후 모든 풀이를 같은 기준표로 채점
+ * - 모델은 기준별 정수 점수만 매기고(temperature 0) 총점 · 정답 여부는 서버에서 계산
+ * - 같은 문제 · 기준표 · 답안의 채점 결과는 AI 결과 캐시로 재사용하여 다시 채점해도 점수가 달라지지 않게 함
+ * - 단답형은 정답과 같으면(정규화 비교) LLM 없이 만점 처리
+ */
+import QuestionRubric from "../models/questionRubricModel.js";
+import { getRubricPrompt, getGradingPrompt } from "../prompts/promptManager.js";
+import { getProvider } from "./providers/index.js";
+import { buildCacheKey, readCache, writeCache } from "./aiCache.js";
+import { createUsage, addUsage } from "./generationService.js";
+import { normalizeAnswerText } from "./quizGrader.js";
+import logger from "./logger.js";
+
+export const RUBRIC_GRADED_TYPES = ["단답", "서술"];
+
+const GRADING_TEMPERATURE = 0;
+// JSON 파싱 · 형식 검증 실패 시 재요청 횟수
+const MAX_RETRIES = 1;
+const MIN_CRITERIA = 2;
+const MAX_CRITERIA = 5;
+const MAX_CRITERION_POINTS = 5;
+
+const isNonEmptyString = (value) => typeof value === "string" && value.trim().length > 0;
+
+// 모델 응답 JSON 파싱 (코드블록 표시 제거)
+const parseJson = (rawResult) => JSON.parse(rawResult.replace(/```json\n?|\n?```/g, "").trim());
+
+/**
+ * 기준표 형식 검증 및 정리
+ * @returns {{ criteria: { id: string, description: string, points: number }[] }}
+ * @throws {Error} 형식이 맞지 않으면
+ */
+const normalizeRubric = (data) => {
+  const criteria = data?.criteria;
+  if (!Array.isArray(criteria) || criteria.length < MIN_CRITERIA || criteria.length > MAX_CRITERIA) {
+    throw new Error(`criteria는 ${MIN_CRITERIA}~${MAX_CRITERIA}개의 배열이어야 합니다.`);
+  }
+  const normalized = criteria.map((criterion, i) => {
+    const points = Number(criterion?.points);
+    if (!isNonEmptyString(criterion?.description)) throw new Error(`criteria[${i}].description이 없습니다.`);
+    if (!Number.isInteger(points) || points < 1 || points > MAX_CRITERION_POINTS) {
+      throw new Error(`criteria[${i}].points는 1~${MAX_CRITERION_POINTS} 사이 정수여야 합니다.`);
+    }
+    return { id: String(criterion.id ?? `c${i + 1}`).trim(), description: criterion.description.trim(), points };
+  });
+  if (new Set(normalized.map(({ id }) => id)).size !== normalized.length) throw new Error("criteria의 id가 중복됩니다.");
+  return { criteria: normalized };
+};
+
+/**
+ * LLM 호출 후 응답을 parse로 해석 (실패 시 MAX_RETRIES회 재요청)
+ * @returns {Promise<{ value: *, usages: object[] }>}
+ */
+const chatJson = async (llm, { system, user }, parse, label) => {
+  const usages = [];
+  for (let attempt = 0; ; attempt++) {
+    const { result, usage } = await llm.chat(system, user, { temperature: GRADING_TEMPERATURE });
+    usages.push(usage);
+    try {
+      return { value: parse(parseJson(result)), usages };
+    } catch (error) {
+      if (attempt >= MAX_RETRIES) throw new Error(`${label} 응답을 해석할 수 없습니다: ${error.message}`);
+      logger.warn(`${label} 응답 형식 오류, 재요청 (${attempt + 1}/${MAX_RETRIES}): ${error.message}`);
+    }
+  }
+};
+
+/**
+ * 문제의 채점 기준표 (없으면 생성 후 저장)
+ * @returns {Promise<{ rubric: object, usages: object[] }>}
+ */
+const loadRubric = async (llm, { questionId, questionIndex, questionType, question }) => {
+  const stored = await QuestionRubric.find(questionId, questionIndex);
+  if (stored) return { rubric: stored.rubric, usages: [] };
+
+  const { value: rubric, usages } = await chatJson(llm, getRubricPrompt(questionType, question), normalizeRubric, "채점 기준표");
+  const saved = await QuestionRubric.create({ questionId, questionIndex, rubric, model: llm.model });
+  logger.info(`채점 기준표 생성 - 문제: ${questionId}/${questionIndex}, 기준 ${rubric.criteria.length}개`);
+  return { rubric: saved?.rubric ?? rubric, usages };
+};
+
+// 기준별 점수를 기준표 배점 안의 정수로 맞추고 총점 계산 (누락된 기준은 0점)
+const scoreGrading = (rubric, data) => {
+  if (!Array.isArray(data?.criteria)) throw new Error("criteria 배열이 없습니다.");
+  const byId = new Map(data.criteria.map((criterion) => [String(criterion?.id).trim(), criterion]));
+
+  const criteria = rubric.criteria.map(({ id, description, points }) => {
+    const graded = byId.get(id);
+    const awarded = Math.min(Math.max(Math.round(Number(graded?.awarded) || 0), 0), points);
+    return {
+      id,
+      description,
+      points,
+      awarded,
+      feedback: isNonEmptyString(graded?.feedback) ? graded.feedback.trim() : "이 기준에 대한 평가가 없습니다.",
+    };
+  });
+  const earned = criteria.reduce((sum, { awarded }) => sum + awarded, 0);
+  const maxPoints = criteria.reduce((sum, { points }) => sum + points, 0);
+
+  return {
+    points: earned,
+    maxPoints,
+    score: Math.round((earned / maxPoints) * 100) / 100,
+    correct: earned === maxPoints,
+    criteria,
+    feedback: isNonEmptyString(data.feedback) ? data.feedback.trim() : null,
+    suggestion: isNonEmptyString(data.suggestion) ? data.suggestion.trim() : null,
+  };
+};
+
+/**
+ * 단답형 · 서술형 답안 채점
+ * @param {object} params
+ * @param {number} params.questionId - user_questions.selection_id
+ * @param {number} params.questionIndex
+ * @param {"단답"|"서술"} params.questionType
+ * @param {object} params.question - 저장한 문제 (model_answer / correct_answer 포함)
+ * @param {string} params.answer - 학생 답안
+ * @returns {Promise<{ grading: object, cached: boolean, usage: object }>}
+ *   grading: { method: "exact_match"|"rubric", score(0~1), correct, points?, maxPoints?, criteria, feedback, suggestion, model? }
+ */
+export const gradeWithRubric = async ({ questionId, questionIndex, questionType, question, answer }) => {
+  const llm = getProvider("questions");
+  let usage = createUsage(llm, 0);
+  const answerText = String(answer).trim();
+
+  if (
+    questionType === "단답" &&
+    normalizeAnswerText(answerText) !== "" &&
+    normalizeAnswerText(answerText) === normalizeAnswerText(question.correct_answer)
+  ) {
+    return {
+      grading: {
+        method: "exact_match",
+        score: 1,
+        correct: true,
+        criteria: [],
+        feedback: "정답과 일치합니다.",
+        suggestion: null,
+      },
+      cached: false,
+      usage,
+    };
+  }
+
+  const { rubric, usages: rubricUsages } = await loadRubric(llm, { questionId, questionIndex, questionType, question });
+  rubricUsages.forEach((rubricUsage) => {
+    usage = addUsage(usage, rubricUsage);
+  });
+
+  const cacheKey = buildCacheKey({
+    text: JSON.stringify([question.question_text, question.model_answer ?? question.correct_answer, rubric, answerText]),
+    promptKey: `채점_${questionType}`,
+    level: "",
+    field: "",
+    model: llm.model,
+  });
+  const cachedGrading = await readCache(cacheKey);
+  if (cachedGrading) {
+    logger.info(`채점 캐시 적중 - 문제: ${questionId}/${questionIndex}`);
+    return { grading: cachedGrading, cached: true, usage };
+  }
+
+  const { value: scored, usages } = await chatJson(
+    llm,
+    getGradingPrompt(questionType, question, rubric, answerText),
+    (data) => scoreGrading(rubric, data),
+    "채점",
+  );
+  usages.forEach((gradingUsage) => {
+    usage = addUsage(usage, gradingUsage);
+  });
+
+  const grading = { method: "rubric", ...scored, model: llm.model };
+  await writeCache(cacheKey, { kind: "grading", promptKey: `채점_${questionType}`, model: llm.model }, grading);
+  logger.info(`답안 채점 완료 - 문제: ${questionId}/${questionIndex}, ${scored.points}/${scored.maxPoints}점`);
+  return { grading, cached: false, usage };
+};
@@ -0,0 +1,253 @@
+/**
+ * 요약 / 문제의 출처(페이지 · 슬라이드 · 녹취 시점 · 파일) 인용
+ * - 추출 텍스트의 "[페이지 N]" / "[슬라이드 N]" / "[시간 HH:MM:SS]" / "[파일 N]" 표시(utils/textChunker.js)로 인용 가능한 위치를 파악
+ * - 요약을 입력으로 문제를 만들 때는 요약에 남은 "(출처: 페이지 N)" · "(출처: HH:MM:SS)" 표기를 기준으로 사용
+ * - 모델이 인용한 번호 중 문서에 없는 번호는 제거하고 invalidSources로 보고
+ * - 녹취 시점은 초 단위 number로 다루며, 인용한 시점이 속한 문단의 시작 시점으로 맞춤
+ */
+import { formatTimestamp } from "./textChunker.js";
+import { parseTimestamp } from "./transcriptReader.js";
+
+const SOURCE_LABELS = { page: "페이지", slide: "슬라이드", time: "시간", file: "파일" };
+const SOURCE_TYPES = Object.fromEntries(Object.entries(SOURCE_LABELS).map(([type, label]) => [label, type]));
+
+const MARKER_PATTERN = /\[(페이지|슬라이드|시간|파일) (\d+|\d{2}:\d{2}:\d{2})\]/g;
+const CITATION_PATTERN = /\s*\(출처:\s*([^)]*)\)/g;
+const CITED_TIMESTAMP = /\d{1,2}:\d{2}(?::\d{2})?/g;
+// 인용 범위("3-200")로 거대한 배열이 만들어지지 않도록 상한
+const MAX_CITATION_RANGE = 50;
+// 마지막 시간 표시 이후 인용을 허용하는 범위 (초, 녹취 문단 최대 길이)
+const LAST_PARAGRAPH_SECONDS = 120;
+
+/**
+ * @typedef {{ type: "page"|"slide"|"time"|"file", number: number, label: string }} Source
+ *   녹취(time)는 number가 초 단위 시점, label이 "HH:MM:SS" / 여러 파일 요약(file)은 number가 파일 순번
+ */
+
+const toSource = (type, number) => ({
+  type,
+  number,
+  label: type === "time" ? formatTimestamp(number) : `${SOURCE_LABELS[type]} ${number}`,
+});
+
+// 요약에 다시 쓰는 인용 표기 ("페이지 3, 5" / "00:12:34, 00:15:00")
+const formatCitation = (type, sources) =>
+  type === "time"
+    ? sources.map(({ label }) => label).join(", ")
+    : `${SOURCE_LABELS[type]} ${sources.map(({ number }) => number).join(", ")}`;
+
+// 표시 / 인용의 위치 값 → number ("00:12:34" → 754초)
+const toSourceNumber = (type, value) => {
+  if (type !== "time") return parseInt(value, 10);
+  if (typeof value === "number") return Math.floor(value);
+  const seconds = parseTimestamp(value);
+  return seconds === null ? null : Math.floor(seconds);
+};
+
+// 인용 표기의 종류 ("페이지 3" → page, "00:12:34" → time, "파일 2" → file)
+const getCitationType = (spec) => {
+  const label = spec.match(/페이지|슬라이드|파일/)?.[0];
+  if (label) return SOURCE_TYPES[label];
+  return spec.match(CITED_TIMESTAMP) ? "time" : null;
+};
+
+/**
+ * 인용 번호 목록 파싱 ("3, 5-6" → [3, 5, 6], "슬라이드 2" 같은 표기 허용)
+ * - 녹취는 "00:12:34, 00:15:00-00:16:30" 형식의 시점 목록 (범위는 양 끝 시점)
+ * @param {string|number|(string|number)[]} spec
+ * @param {"page"|"slide"|"time"|"file"} type
+ * @returns {number[]}
+ */
+const parseCitationNumbers = (spec, type) => {
+  if (type === "time") {
+    const values = Array.isArray(spec)
+      ? spec.flatMap((value) => (typeof value === "number" ? [value] : String(value).match(CITED_TIMESTAMP) || []))
+      : String(spec).match(CITED_TIMESTAMP) || [];
+    return values.map((value) => toSourceNumber(type, value)).filter((n) => n !== null && n >= 0);
+  }
+
+  const parts = Array.isArray(spec) ? spec : String(spec).split(/[,，、]/);
+  return parts.flatMap((part) => {
+    const match = String(part).match(/(\d+)(?:\s*[-~]\s*(\d+))?/);
+    if (!match) return [];
+    const start = parseInt(match[1], 10);
+    const end = match[2] ? parseInt(match[2], 10) : start;
+    if (end < start || end - start > MAX_CITATION_RANGE) return [start];
+    return Array.from({ length: end - start + 1 }, (_, i) => start + i);
+  });
+};
+
+/**
+ * 텍스트에서 인용 가능한 위치 목록 파악
+ * - 출처 표시가 있으면 표시 기준, 없으면 "(출처: ...)" 표기 기준 (요약문 입력)
+ * @param {string} text
+ * @returns {{ type: "page"|"slide"|"time"|"file", numbers: Set<number> }|null} 인용할 위치가 없으면 null
+ */
+export const getSourceIndex = (text) => {
+  const markers = [...text.matchAll(MARKER_PATTERN)];
+  if (markers.length > 0) {
+    const type = SOURCE_TYPES[markers[0][1]];
+    const numbers = markers
+      .filter(([, label]) => SOURCE_TYPES[label] === type)
+      .map(([, , value]) => toSourceNumber(type, value))
+      .filter((n) => n !== null);
+    return { type, numbers: new Set(numbers) };
+  }
+
+  const citations = [...text.matchAll(CITATION_PATTERN)];
+  const type = citations.map(([, spec]) => getCitationType(spec)).find(Boolean);
+  if (!type) return null;
+  return { type, numbers: new Set(citations.flatMap(([, spec]) => parseCitationNumbers(spec, type))) };
+};
+
+/**
+ * 녹취 시점을 그 시점이 속한 문단(시간 표시)의 시작 시점으로 맞춤
+ * @returns {number|null} 첫 표시 이전이거나 마지막 문단 범위를 벗어나면 null
+ */
+const snapToParagraph = (seconds, numbers) => {
+  const starts = [...numbers].filter((n) => n <= seconds);
+  if (starts.length === 0) return null;
+  const start = Math.max(...starts);
+  const isLast = ![...numbers].some((n) => n > start);
+  return isLast && seconds - start > LAST_PARAGRAPH_SECONDS ? null : start;
+};
+
+/**
+ * 인용 번호를 문서의 위치 목록과 대조
+ * @returns {{ sources: Source[], invalid: Source[] }} 중복 제거 · 오름차순
+ */
+const checkCitation = (spec, { type, numbers }) => {
+  const cited = [...new Set(parseCitationNumbers(spec, type))].sort((a, b) => a - b);
+  if (type === "time") {
+    const starts = cited.map((n) => snapToParagraph(n, numbers));
+    return {
+      sources: [...new Set(starts.filter((n) => n !== null))].map((n) => toSource(type, n)),
+      invalid: cited.filter((_, i) => starts[i] === null).map((n) => toSource(type, n)),
+    };
+  }
+  return {
+    sources: cited.filter((n) => numbers.has(n)).map((n) => toSource(type, n)),
+    invalid: cited.filter((n) => !numbers.has(n)).map((n) => toSource(type, n)),
+  };
+};
+
+/**
+ * 문제의 sources(모델이 출력한 번호 배열)를 구조화된 출처로 변환
+ * @param {object[]} questions
+ * @param {ReturnType<typeof getSourceIndex>} sourceIndex
+ * @returns {{ questions: object[], invalidSources: { index: number, source: Source }[] }}
+ */
+export const resolveQuestionSources = (questions, sourceIndex) => {
+  const invalidSources = [];
+  const resolved = questions.map((question, index) => {
+    const { sources, invalid } =
+      question.sources !== undefined && question.sources !== null
+        ? checkCitation(question.sources, sourceIndex)
+        : { sources: [], invalid: [] };
+    invalid.forEach((source) => invalidSources.push({ index, source }));
+    return { ...question, sources };
+  });
+  return { questions: resolved, invalidSources };
+};
+
+// 요약의 구간 제목 ("[문서 분석]", 출처 표시 제외) / 항목 제목 ("1. 주제명")
+const SECTION_LINE = /^\[(?!(?:페이지 \d+|슬라이드 \d+|시간 \d{2}:\d{2}:\d{2}|파일 \d+)\])([^\]]+)\]\s*$/;
+const ITEM_LINE = /^\d+\.\s*\S/;
+
+// 한 줄의 "(출처: ...)" 표기를 문서에 있는 번호만 남기도록 교체 (남는 번호가 없으면 표기 제거, 줄바꿈을 넘는 표기는 다루지 않음)
+const replaceCitations = (line, sourceIndex, onCitation = () => {}) =>
+  line.replace(CITATION_PATTERN, (citation, spec) => {
+    const checked = checkCitation(spec, sourceIndex);
+    onCitation(checked);
+    return checked.sources.length === 0 ? "" : ` (출처: ${formatCitation(sourceIndex.type, checked.sources)})`;
+  });
+
+/**
+ * 요약의 "(출처: ...)" 표기를 검증하고 구간 · 항목별 출처 목록 생성
+ * - 문서에 없는 번호는 표기에서 제거 (남는 번호가 없으면 표기 자체를 제거)
+ * @param {string} summary
+ * @param {ReturnType<typeof getSourceIndex>} sourceIndex
+ * @returns {{
+ *   summary: string,
+ *   sources: { section: string|null, heading: string|null, sources: Source[] }[],
+ *   invalidSources: Source[],
+ * }}
+ */
+export const resolveSummarySources = (summary, sourceIndex) => {
+  const entries = new Map();
+  const invalidSources = [];
+  let section = null;
+  let heading = null;
+
+  const lines = summary.split("\n").map((line) => {
+    const trimmed = line.trim();
+    if (SECTION_LINE.test(trimmed)) {
+      section = trimmed.match(SECTION_LINE)[1];
+      heading = null;
+    } else if (ITEM_LINE.test(trimmed)) {
+      heading = trimmed.replace(CITATION_PATTERN, "");
+    }
+
+    return replaceCitations(line, sourceIndex, ({ sources, invalid }) => {
+      invalidSources.push(...invalid);
+      if (sources.length === 0) return;
+
+      const key = `${section}\u0000${heading}`;
+      if (!entries.has(key)) entries.set(key, { section, heading, sources: [] });
+      const entry = entries.get(key);
+      sources
+        .filter((source) => !entry.sources.some(({ number }) => number === source.number))
+        .forEach((source) => entry.sources.push(source));
+    });
+  });
+
+  return { summary: lines.join("\n"), sources: [...entries.values()], invalidSources };
+};
+
+/**
+ * 스트리밍 요약 델타의 출처 표기를 줄 단위로 검증하여 전달
+ * - 완성된 줄만 resolveSummarySources와 같은 방식으로 고쳐서 onText로 넘기므로, 델타를 이어 붙이면 최종 summary와 같음
+ * @param {ReturnType<typeof getSourceIndex>} sourceIndex
+ * @param {(text: string) => void} onText
+ * @returns {{ push: (text: string) => void, flush: () => void }} flush는 스트림이 끝난 뒤 남은 마지막 줄 전달
+ */
+export const createCitationLineFilter = (sourceIndex, onText) => {
+  let pending = "";
+  const fixLines = (text) =>
+    text
+      .split("\n")
+      .map((line) => replaceCitations(line, sourceIndex))
+      .join("\n");
+
+  return {
+    push(text) {
+      pending += text;
+      const end = pending.lastIndexOf("\n");
+      if (end === -1) return;
+      onText(fixLines(pending.slice(0, end + 1)));
+      pending = pending.slice(end + 1);
+    },
+    flush() {
+      if (pending) onText(fixLines(pending));
+      pending = "";
+    },
+  };
+};
+
+/**
+ * 저장 요청의 문제별 sources 형식 확인 (없으면 통과)
+ * @param {object[]} questions
+ * @returns {boolean}
+ */
+export const hasValidQuestionSources = (questions) =>
+  questions.every(
+    (question) =>
+      question?.sources === undefined ||
+      (Array.isArray(question.sources) &&
+        question.sources.every(
+          (source) =>
+            SOURCE_LABELS[source?.type] &&
+            Number.isInteger(source.number) &&
+            source.number >= (source.type === "time" ? 0 : 1),
+        )),
+  );
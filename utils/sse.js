@@ -0,0 +1,54 @@
+/**
+ * Server-Sent Events 응답 유틸
+ * - progress / delta / done / error 이벤트를 text/event-stream으로 전송
+ * - 클라이언트 연결이 끊기면 signal을 abort하여 진행 중인 AI 호출을 취소
+ */
+
+const HEARTBEAT_INTERVAL_MS = 15000;
+
+/**
+ * SSE 스트림 시작
+ * @param {import('express').Response} res
+ * @returns {{ send: (event: string, data: object) => void, end: () => void, signal: AbortSignal, isClosed: () => boolean }}
+ */
+export const openSseStream = (res) => {
+  const controller = new AbortController();
+  let closed = false;
+
+  res.status(200);
+  res.setHeader("Content-Type", "text/event-stream; charset=utf-8");
+  res.setHeader("Cache-Control", "no-cache, no-transform");
+  res.setHeader("Connection", "keep-alive");
+  res.setHeader("X-Accel-Buffering", "no"); // 프록시(nginx 등) 버퍼링 방지
+  res.flushHeaders();
+
+  // 프록시 유휴 타임아웃 방지용 주석 라인
+  const heartbeat = setInterval(() => {
+    if (!closed) res.write(": ping\n\n");
+  }, HEARTBEAT_INTERVAL_MS);
+
+  const cleanup = () => {
+    closed = true;
+    clearInterval(heartbeat);
+  };
+
+  // 응답 완료 전 연결이 닫히면 클라이언트가 취소한 것으로 간주
+  res.on("close", () => {
+    if (!res.writableEnded) controller.abort();
+    cleanup();
+  });
+
+  return {
+    send(event, data) {
+      if (closed) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    end() {
+      if (closed) return;
+      cleanup();
+      res.end();
+    },
+    signal: controller.signal,
+    isClosed: () => closed,
+  };
+};
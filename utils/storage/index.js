@@ -0,0 +1,33 @@
+/**
+ * 문서 원본 저장소 선택
+ * - config.storage.driver로 구현을 고르며, 호출부는 아래 인터페이스만 사용
+ * - S3 호환 저장소는 같은 인터페이스의 구현을 STORAGE_DRIVERS에 추가하면 교체 가능
+ *
+ * @typedef {object} DocumentStorage
+ * @property {string} name
+ * @property {(key: string, buffer: Buffer) => Promise<void>} put - 같은 키가 있으면 덮어씀
+ * @property {(key: string) => Promise<Buffer|null>} get - 없으면 null
+ * @property {(key: string) => Promise<void>} remove - 없어도 오류 없이 종료
+ */
+import config from "../../config/env.js";
+import { createLocalStorage } from "./localStorage.js";
+
+const STORAGE_DRIVERS = {
+  local: () => createLocalStorage({ rootDir: config.storage.localDir }),
+};
+
+let storage = null;
+
+/**
+ * 설정된 문서 저장소 (최초 사용 시 1회 생성)
+ * @returns {DocumentStorage}
+ */
+export const getDocumentStorage = () => {
+  if (storage) return storage;
+  const { driver } = config.storage;
+  if (!STORAGE_DRIVERS[driver]) {
+    throw new Error(`지원하지 않는 저장소 드라이버: ${driver} (가능한 값: ${Object.keys(STORAGE_DRIVERS).join(", ")})`);
+  }
+  storage = STORAGE_DRIVERS[driver]();
+  return storage;
+};
@@ -0,0 +1,52 @@
+/**
+ * 로컬 디스크 문서 저장소
+ * - 키는 루트 폴더 기준 상대 경로 ("12/ab34....pdf"), 루트 밖을 가리키는 키는 거부
+ * - 임시 파일에 쓴 뒤 이름을 바꿔 저장 도중 중단되어도 반쯤 쓰인 파일이 남지 않도록 함
+ */
+import fs from "fs/promises";
+import path from "path";
+import { randomUUID } from "crypto";
+
+/**
+ * @param {{ rootDir: string }} options
+ * @returns {import("./index.js").DocumentStorage}
+ */
+export const createLocalStorage = ({ rootDir }) => {
+  const root = path.resolve(rootDir);
+
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) throw new Error(`잘못된 저장소 키: ${key}`);
+    return filePath;
+  };
+
+  return {
+    name: "local",
+
+    async put(key, buffer) {
+      const filePath = resolveKey(key);
+      const tempPath = `${filePath}.${randomUUID()}.tmp`;
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      try {
+        await fs.writeFile(tempPath, buffer);
+        await fs.rename(tempPath, filePath);
+      } catch (error) {
+        await fs.rm(tempPath, { force: true });
+        throw error;
+      }
+    },
+
+    async get(key) {
+      try {
+        return await fs.readFile(resolveKey(key));
+      } catch (error) {
+        if (error.code === "ENOENT") return null;
+        throw error;
+      }
+    },
+
+    async remove(key) {
+      await fs.rm(resolveKey(key), { force: true });
+    },
+  };
+};
@@ -0,0 +1,105 @@
+/**
+ * 긴 문서를 토큰 예산에 맞는 청크로 분할
+ * - 1순위: 페이지/슬라이드 경계(PAGE_BREAK)
+ * - 2순위: 빈 줄(문단), 3순위: 줄바꿈, 최후: 글자 수 기준 강제 분할
+ * - 인접한 단위를 예산 한도까지 묶어 호출 수를 최소화
+ */
+
+// 추출기에서 페이지/슬라이드 사이에 삽입하는 구분 문자 (form feed)
+export const PAGE_BREAK = "\f";
+
+// 추출기가 페이지 / 슬라이드(녹취는 문단) 앞에 붙이는 출처 표시 (LLM이 근거 위치를 가리킬 수 있도록 함)
+export const pageMarker = (page) => `[페이지 ${page}]`;
+export const slideMarker = (slide) => `[슬라이드 ${slide}]`;
+
+/**
+ * 강의 녹취(자막) 시점 표기 (초 → "HH:MM:SS")
+ * @param {number} seconds
+ * @returns {string}
+ */
+export const formatTimestamp = (seconds) => {
+  const total = Math.max(0, Math.floor(seconds));
+  return [Math.floor(total / 3600), Math.floor((total % 3600) / 60), total % 60]
+    .map((n) => String(n).padStart(2, "0"))
+    .join(":");
+};
+export const timeMarker = (seconds) => `[시간 ${formatTimestamp(seconds)}]`;
+// 여러 파일을 함께 요약할 때 파일마다 붙이는 표시 (1부터)
+export const fileMarker = (index) => `[파일 ${index}]`;
+
+const SOURCE_MARKER = /\[(?:페이지 \d+|슬라이드 \d+|시간 \d{2}:\d{2}:\d{2}|파일 \d+)\]/g;
+
+// 출처 표시를 제외한 본문 (추출 결과가 충분한지 판단할 때 사용)
+export const stripSourceMarkers = (text) => text.replace(SOURCE_MARKER, "");
+
+// 텍스트에 나온 마지막 출처 표시
+const findLastSourceMarker = (text) => text.match(SOURCE_MARKER)?.pop() || null;
+const startsWithSourceMarker = (text) => text.search(SOURCE_MARKER) === 0;
+
+const SEPARATORS = [PAGE_BREAK, /\n\s*\n/, "\n"];
+
+// 구분 문자를 프롬프트에 그대로 넣지 않도록 문단 구분으로 치환
+export const normalizePageBreaks = (text) =>
+  text.split(PAGE_BREAK).map((s) => s.trim()).filter(Boolean).join("\n\n");
+
+/**
+ * 예산을 초과하는 단위를 다음 수준의 구분자로 재분할
+ * @param {string} text
+ * @param {number} maxTokens
+ * @param {(text: string) => number} countTokens
+ * @param {number} level - SEPARATORS 인덱스
+ * @returns {string[]}
+ */
+const splitUnit = (text, maxTokens, countTokens, level) => {
+  if (countTokens(text) <= maxTokens) return [text];
+
+  if (level >= SEPARATORS.length) {
+    // 구분자로 더 나눌 수 없으면 비율에 맞춰 글자 수 기준으로 자름
+    const ratio = maxTokens / countTokens(text);
+    const size = Math.max(1, Math.floor(text.length * ratio * 0.95));
+    const pieces = [];
+    for (let i = 0; i < text.length; i += size) pieces.push(text.slice(i, i + size));
+    return pieces;
+  }
+
+  return text
+    .split(SEPARATORS[level])
+    .map((s) => s.trim())
+    .filter(Boolean)
+    .flatMap((part) => splitUnit(part, maxTokens, countTokens, level + 1));
+};
+
+/**
+ * 텍스트를 maxTokens 이하의 청크 배열로 분할
+ * @param {string} text
+ * @param {number} maxTokens - 청크당 최대 토큰 수
+ * @param {(text: string) => number} countTokens - 토큰 계산 함수
+ * @returns {string[]} 페이지 구분이 문단 구분으로 치환된 청크 목록
+ *   (페이지 중간에서 시작하는 청크는 앞 페이지의 출처 표시를 이어 붙여 위치를 알 수 있도록 함)
+ */
+export const splitIntoChunks = (text, maxTokens, countTokens) => {
+  const units = splitUnit(text.trim(), maxTokens, countTokens, 0);
+
+  const chunks = [];
+  let current = [];
+  let currentTokens = 0;
+  let lastMarker = null;
+
+  for (const unit of units) {
+    const unitTokens = countTokens(unit);
+    if (current.length > 0 && currentTokens + unitTokens > maxTokens) {
+      chunks.push(current.join("\n\n"));
+      current = [];
+      currentTokens = 0;
+    }
+    if (current.length === 0 && lastMarker && !startsWithSourceMarker(unit)) {
+      current.push(lastMarker);
+    }
+    current.push(normalizePageBreaks(unit));
+    currentTokens += unitTokens;
+    lastMarker = findLastSourceMarker(unit) || lastMarker;
+  }
+  if (current.length > 0) chunks.push(current.join("\n\n"));
+
+  return chunks;
+};
@@ -0,0 +1,941 @@
+/**
+ * 업로드 문서 텍스트 추출
+ * - 업로드 파일(PDF / PPTX / DOCX / HWPX / TXT / Markdown / HTML / SRT / WebVTT) 텍스트 추출
+ * - 구형 HWP(5.0 바이너리)는 utils/hwpReader.js, 자막 · 녹취의 문단 구성은 utils/transcriptReader.js
+ * - PDF / PPTX는 페이지 / 슬라이드 범위 지정 가능
+ * - PDF는 글자 위치 · 크기로 줄 · 문단 · 제목을 복원하고 반복 머리글 / 바닥글 제거
+ * - 텍스트가 없는 스캔 PDF는 문자 인식(OCR, utils/pdfOcr.js)으로 추출
+ * - zip 항목 수 · 압축 해제 크기, PDF 페이지 수 제한과 추출 중단(signal)은 utils/uploadGuard.js 기준
+ * - PPTX는 슬라이드별 제목 · 목록 수준 · 표 · 발표자 노트를 보존한 세그먼트로 추출
+ * - 페이지 선택 UI용 구성 미리보기
+ */
+import path from "path";
+import logger from "../utils/logger.js";
+import { PAGE_BREAK, pageMarker, slideMarker, stripSourceMarkers } from "./textChunker.js";
+import { parsePageRange, selectPages } from "./pageRange.js";
+import { createBlockBuilder, decodeEntities } from "./documentBlocks.js";
+import { recognizePdfPages } from "./pdfOcr.js";
+import { subtitlesToText, timestampedTextToText } from "./transcriptReader.js";
+import { assertPdfPageLimit, openZipArchive } from "./uploadGuard.js";
+import { AppError } from "../middlewares/errorHandler.js";
+import config from "../config/env.js";
+
+// 페이지 선택 화면에 보여줄 첫 줄 최대 길이
+const FIRST_LINE_MAX_LENGTH = 100;
+
+const toFirstLine = (text) =>
+  (text.split("\n").map((line) => line.trim()).find(Boolean) || "").slice(0, FIRST_LINE_MAX_LENGTH);
+
+/**
+ * pdfjs-dist로 PDF 문서 로드
+ * - 한글/CJK CIDFont 처리에 강점 (CMap 지원)
+ * - Node.js 서버 환경에서 disableWorker: true로 worker 비활성화
+ * @param {Buffer} buffer
+ */
+const loadPdfDocument = async (buffer) => {
+  const pdfjsLib = await import("pdfjs-dist/legacy/build/pdf.mjs");
+
+  // createRequire로 실제 설치 경로를 동적으로 확인 (통합 프로젝트 대응)
+  const { createRequire } = await import("module");
+  const require = createRequire(import.meta.url);
+  const pdfjsRoot = require
+    .resolve("pdfjs-dist/package.json")
+    .replace(/package\.json$/, "");
+
+  const uint8Array = new Uint8Array(buffer);
+  const loadingTask = pdfjsLib.getDocument({
+    data: uint8Array,
+    cMapUrl: `${pdfjsRoot}cmaps/`,
+    cMapPacked: true,
+    standardFontDataUrl: `${pdfjsRoot}standard_fonts/`,
+    useSystemFonts: false,
+    disableFontFace: true,
+    disableWorker: true, // Node.js 환경에서 worker 완전 비활성화
+    verbosity: 0,
+  });
+
+  return loadingTask.promise;
+};
+
+// 같은 줄로 묶을 기준선(y) 차이 · 단어 사이 공백 · 표 셀 구분으로 볼 간격 (글자 크기 대비 비율)
+const LINE_Y_TOLERANCE = 0.5;
+const WORD_GAP = 0.15;
+const CELL_GAP = 3;
+// 줄 간격이 글자 크기의 이 배수를 넘으면 문단 구분
+const PARAGRAPH_GAP = 1.8;
+// 본문 글자 크기 대비 이 비율 이상이면 제목 (큰 비율은 #, 작은 비율은 ##)
+const HEADING_RATIO = 1.15;
+const TOP_HEADING_RATIO = 1.5;
+const HEADING_MAX_LENGTH = 100;
+// 머리글 · 바닥글 후보: 페이지 위 / 아래 가장자리 영역(높이 대비 비율) 안의 바깥쪽 줄, 반복으로 판단할 최소 페이지 수
+const MARGIN_AREA = 0.1;
+const MARGIN_LINE_COUNT = 2;
+const MIN_REPEATED_PAGES = 3;
+const PAGE_NUMBER_LINE = /^[-–—(\s]*(page\s*|p\.\s*)?\d+(\s*(\/|of)\s*\d+)?[-–—)\s]*$/i;
+
+/**
+ * pdfjs 텍스트 항목 → 줄 목록
+ * - 항목 순서(콘텐츠 스트림 순서)를 유지하여 다단 편집도 단 단위로 읽음
+ * - 기준선이 바뀌거나 hasEOL이면 새 줄, 항목 사이 간격으로 공백 / 표 셀(" | ") 구분
+ * @returns {{ text: string, y: number, size: number }[]}
+ */
+const pdfItemsToLines = (items) => {
+  const lines = [];
+  let line = null;
+  let lineBreak = true;
+
+  for (const item of items) {
+    if (!("str" in item)) continue;
+    const [, , c, d, x, y] = item.transform;
+    const size = Math.hypot(c, d) || item.height || 1;
+
+    if (item.str.trim()) {
+      if (!line || lineBreak || Math.abs(line.y - y) > Math.max(line.size, size) * LINE_Y_TOLERANCE) {
+        line = { text: "", y, size, end: x };
+        lines.push(line);
+      } else {
+        const gap = x - line.end;
+        if (gap > size * CELL_GAP) line.text = line.text.trimEnd() + " | ";
+        else if (gap > size * WORD_GAP && !/\s$/.test(line.text) && !/^\s/.test(item.str)) line.text += " ";
+        line.size = Math.max(line.size, size);
+      }
+      line.text += item.str;
+      line.end = x + (item.width || 0);
+      lineBreak = false;
+    }
+    if (item.hasEOL) lineBreak = true;
+  }
+
+  return lines
+    .map(({ text, y, size }) => ({ text: text.replace(/\s+/g, " ").trim(), y, size }))
+    .filter(({ text }) => text);
+};
+
+/**
+ * pdfjs로 페이지별 줄 목록 읽기
+ * @param {object} pdfDocument - loadPdfDocument 결과
+ * @param {Set<number>|null} selected - 읽을 페이지 (null이면 전체)
+ * @param {AbortSignal} [signal] - 추출 시간 제한 (페이지마다 확인)
+ * @returns {Promise<{ page: number, height: number, lines: { text: string, y: number, size: number }[] }[]>}
+ */
+const readPdfPages = async (pdfDocument, selected = null, signal = null) => {
+  const pages = [];
+  for (let pageNum = 1; pageNum <= pdfDocument.numPages; pageNum++) {
+    if (selected && !selected.has(pageNum)) continue;
+    signal?.throwIfAborted();
+
+    const page = await pdfDocument.getPage(pageNum);
+    const textContent = await page.getTextContent();
+    const [, bottom, , top] = page.view;
+    pages.push({ page: pageNum, bottom, height: top - bottom, lines: pdfItemsToLines(textContent.items) });
+    page.cleanup();
+  }
+  return pages;
+};
+
+// 페이지 위 / 아래 가장자리 줄 (y 기준, PDF 좌표는 아래에서 위로 증가)
+const getMarginLines = ({ lines, bottom, height }) => {
+  const byY = [...lines].sort((a, b) => b.y - a.y);
+  const margin = height * MARGIN_AREA;
+  return new Set([
+    ...byY.slice(0, MARGIN_LINE_COUNT).filter(({ y }) => y >= bottom + height - margin),
+    ...byY.slice(-MARGIN_LINE_COUNT).filter(({ y }) => y <= bottom + margin),
+  ]);
+};
+
+// 쪽 번호가 바뀌어도 같은 머리글 / 바닥글로 보도록 해당 페이지 번호를 지운 비교 키
+// (제목의 "Chapter 3"처럼 페이지마다 다른 숫자는 그대로 두어 반복으로 보지 않음)
+const marginKey = (text, page) => text.replace(new RegExp(`(^|\\D)${page}(?!\\d)`, "g"), "$1#");
+
+/**
+ * 반복되는 머리글 / 바닥글과 쪽 번호 제거
+ * - 페이지 가장자리 영역의 줄 중 여러 페이지(절반 이상, 최소 MIN_REPEATED_PAGES)에 반복되는 줄
+ * - 가장자리의 쪽 번호만 있는 줄 ("3", "- 3 -", "3 / 10", "Page 3")
+ * @param {Awaited<ReturnType<typeof readPdfPages>>} pages
+ * @returns {Awaited<ReturnType<typeof readPdfPages>>}
+ */
+const stripPageMargins = (pages) => {
+  const margins = pages.map(getMarginLines);
+  const counts = new Map();
+  margins.forEach((marginLines, index) => {
+    new Set([...marginLines].map(({ text }) => marginKey(text, pages[index].page))).forEach((key) =>
+      counts.set(key, (counts.get(key) || 0) + 1),
+    );
+  });
+  const minCount = Math.max(MIN_REPEATED_PAGES, Math.ceil(pages.length / 2));
+
+  return pages.map(({ lines, ...page }, index) => ({
+    ...page,
+    lines: lines.filter(
+      (line) =>
+        !margins[index].has(line) ||
+        !(PAGE_NUMBER_LINE.test(line.text) || counts.get(marginKey(line.text, page.page)) >= minCount),
+    ),
+  }));
+};
+
+// 본문 글자 크기 (글자 수 기준 최빈값, 0.5pt 단위)
+const getBodyFontSize = (pages) => {
+  const weights = new Map();
+  pages.forEach(({ lines }) =>
+    lines.forEach(({ text, size }) => {
+      const key = Math.round(size * 2) / 2;
+      weights.set(key, (weights.get(key) || 0) + text.length);
+    }),
+  );
+  return [...weights].sort((a, b) => b[1] - a[1])[0]?.[0] || 0;
+};
+
+/**
+ * 페이지 줄 목록 → "[페이지 N]" 표시가 붙은 텍스트
+ * - 줄 간격이 넓으면 빈 줄로 문단 구분, 본문보다 큰 글자의 짧은 줄은 Markdown 제목(#)
+ * - 여러 줄에 걸친 같은 크기의 제목은 한 줄로 합침
+ */
+const formatPdfPage = ({ page, lines }, bodySize) => {
+  const blocks = [];
+  let previous = null;
+
+  lines.forEach((line) => {
+    const ratio = bodySize ? line.size / bodySize : 1;
+    const headingLevel =
+      ratio >= HEADING_RATIO && line.text.length <= HEADING_MAX_LENGTH ? (ratio >= TOP_HEADING_RATIO ? 1 : 2) : null;
+    const last = blocks[blocks.length - 1];
+
+    if (headingLevel && last?.headingLevel === headingLevel && Math.abs(previous.size - line.size) < 0.5) {
+      last.lines.push(line.text);
+    } else if (
+      !headingLevel &&
+      last &&
+      !last.headingLevel &&
+      previous.y - line.y <= Math.max(previous.size, line.size) * PARAGRAPH_GAP &&
+      previous.y > line.y
+    ) {
+      last.lines.push(line.text);
+    } else {
+      blocks.push({ headingLevel, lines: [line.text] });
+    }
+    previous = line;
+  });
+
+  const body = blocks
+    .map(({ headingLevel, lines: blockLines }) =>
+      headingLevel ? `${"#".repeat(headingLevel)} ${blockLines.join(" ")}` : blockLines.join("\n"),
+    )
+    .join("\n\n");
+  return `${pageMarker(page)}\n${body}`;
+};
+
+/**
+ * [1차] pdfjs-dist로 PDF 텍스트 추출
+ * - 텍스트 항목의 위치 · 글자 크기로 줄 · 문단 · 제목을 복원하고 반복 머리글 / 바닥글 제거
+ * - 페이지마다 "[페이지 N]" 표시를 붙여 요약 · 문제에서 출처 페이지를 가리킬 수 있도록 함
+ * @param {Buffer} buffer
+ * @param {{ pages?: string|null, signal?: AbortSignal }} [options] - 추출할 페이지 범위 (utils/pageRange.js)
+ * @returns {Promise<string>}
+ */
+const extractWithPdfjs = async (buffer, { pages, signal } = {}) => {
+  const pdfDocument = await loadPdfDocument(buffer);
+  const totalPages = pdfDocument.numPages;
+  logger.debug(`[pdfjs] PDF 총 페이지 수: ${totalPages}`);
+
+  try {
+    const selected = selectPages(pages, totalPages);
+    assertPdfPageLimit(selected ? selected.size : totalPages);
+    const pageLines = stripPageMargins(await readPdfPages(pdfDocument, selected, signal));
+    const bodySize = getBodyFontSize(pageLines);
+
+    // 페이지 경계를 보존하여 청크 분할 시 페이지 단위로 나눌 수 있도록 함 (텍스트 없는 페이지 제외)
+    return pageLines
+      .filter(({ lines }) => lines.length > 0)
+      .map((page) => formatPdfPage(page, bodySize))
+      .join(PAGE_BREAK);
+  } finally {
+    await pdfDocument.destroy();
+  }
+};
+
+/**
+ * [2차] pdf-parse로 PDF 텍스트 추출 (fallback)
+ * - 영문 위주 PDF나 pdfjs가 텍스트를 충분히 추출하지 못할 때 보완
+ * - 줄 단위 복원과 페이지 표시만 적용 (머리글 / 바닥글 제거 없음)
+ * @param {Buffer} buffer
+ * @returns {Promise<string>}
+ */
+const extractWithPdfParse = async (buffer, { pages, signal } = {}) => {
+  const pdfParse = (await import("pdf-parse/lib/pdf-parse.js")).default;
+
+  // 범위 지정 시 선택하지 않은 페이지는 빈 문자열로 렌더링
+  const selected = pages ? new Set(parsePageRange(pages)) : null;
+  if (selected) assertPdfPageLimit(selected.size);
+  const result = await pdfParse(buffer, {
+    // 범위가 없으면 페이지 상한까지만 파싱
+    max: selected ? Math.max(...selected) : config.upload.maxPdfPages,
+    pagerender: async (pageData) => {
+      signal?.throwIfAborted();
+      if (selected && !selected.has(pageData.pageNumber)) return "";
+      const textContent = await pageData.getTextContent();
+      const lines = pdfItemsToLines(textContent.items);
+      if (lines.length === 0) return "";
+      return `${PAGE_BREAK}${pageMarker(pageData.pageNumber)}\n${lines.map(({ text }) => text).join("\n")}`;
+    },
+  });
+  return result.text.replace(new RegExp(`\\s*${PAGE_BREAK}\\s*`, "g"), PAGE_BREAK).trim();
+};
+
+// 페이지 표시를 제외한 추출 글자 수가 부족하면 실패로 간주
+const hasEnoughText = (text) => stripSourceMarkers(text).trim().length >= 50;
+
+/**
+ * [3차] 스캔 PDF 문자 인식 (config.ocr.maxPages 페이지까지)
+ * @param {Buffer} buffer
+ * @param {{ pages?: string|null, signal?: AbortSignal }} [options]
+ * @returns {Promise<{ text: string, ocr: object }>} ocr: 응답에 포함할 인식 정보 (평균 신뢰도 0~100 등)
+ */
+const extractWithOcr = async (buffer, { pages, signal } = {}) => {
+  const pdfDocument = await loadPdfDocument(buffer);
+  try {
+    const totalPages = pdfDocument.numPages;
+    const selected = selectPages(pages, totalPages);
+    const pageNumbers = Array.from({ length: totalPages }, (_, i) => i + 1).filter(
+      (pageNum) => !selected || selected.has(pageNum),
+    );
+
+    const { pages: recognized, truncated } = await recognizePdfPages(pdfDocument, pageNumbers, signal);
+    const withText = recognized.filter(({ text }) => text);
+    const confidence = withText.length
+      ? Math.round(withText.reduce((sum, page) => sum + page.confidence, 0) / withText.length)
+      : 0;
+
+    return {
+      text: withText.map(({ page, text }) => `${pageMarker(page)}\n${text}`).join(PAGE_BREAK),
+      ocr: {
+        used: true,
+        confidence,
+        pages: recognized.map(({ page, confidence: pageConfidence }) => ({
+          page,
+          confidence: Math.round(pageConfidence),
+        })),
+        // 페이지 상한으로 인식하지 않은 페이지가 있으면 true
+        truncated,
+        ...(truncated && { maxPages: config.ocr.maxPages }),
+      },
+    };
+  } finally {
+    await pdfDocument.destroy();
+  }
+};
+
+/**
+ * PDF 텍스트 추출
+ * - 1차: pdfjs-dist (한글 CMap 처리 강점)
+ * - 2차: pdf-parse fallback (pdfjs 추출 결과가 부족할 때)
+ * - 3차: 문자 인식(OCR) fallback (텍스트 레이어가 없는 스캔 PDF, config.ocr.enabled)
+ * @param {Buffer} buffer - PDF 파일 버퍼
+ * @param {{ pages?: string|null, signal?: AbortSignal }} [options] - 추출할 페이지 범위 (예: "1-3,7"), 추출 시간 제한
+ * @returns {Promise<string|{ text: string, ocr: object }>} OCR을 사용한 경우 인식 정보를 함께 반환
+ */
+export const extractTextFromPdf = async (buffer, options = {}) => {
+  // 1차 시도: pdfjs-dist
+  let extracted = "";
+  try {
+    extracted = await extractWithPdfjs(buffer, options);
+    logger.debug(`[pdfjs] 텍스트 추출 완료 - 문자 수: ${extracted.length}`);
+  } catch (pdfjsError) {
+    // 페이지 범위 · 페이지 수 제한 오류와 시간 초과는 fallback으로 해결되지 않으므로 그대로 전달
+    if (pdfjsError.name === "AppError") throw pdfjsError;
+    options.signal?.throwIfAborted();
+    logger.warn(`[pdfjs] 추출 실패, pdf-parse로 fallback 시도: ${pdfjsError.message}`);
+  }
+
+  // pdfjs 추출 결과가 부족하면 pdf-parse로 fallback
+  if (!hasEnoughText(extracted)) {
+    try {
+      logger.info("[pdf-parse] fallback 추출 시작");
+      extracted = await extractWithPdfParse(buffer, options);
+      logger.debug(`[pdf-parse] 텍스트 추출 완료 - 문자 수: ${extracted.length}`);
+    } catch (parseError) {
+      logger.error(`[pdf-parse] fallback 추출 실패: ${parseError.message}`);
+    }
+  }
+
+  // 텍스트 레이어가 없으면 스캔 PDF로 보고 문자 인식
+  if (!hasEnoughText(extracted) && config.ocr.enabled) {
+    options.signal?.throwIfAborted();
+    try {
+      logger.info("[OCR] 텍스트 레이어가 부족하여 문자 인식 시작");
+      const result = await extractWithOcr(buffer, options);
+      logger.info(
+        `[OCR] 문자 인식 완료 - 페이지: ${result.ocr.pages.length}, 신뢰도: ${result.ocr.confidence}, ` +
+        `문자 수: ${result.text.length}`,
+      );
+      if (hasEnoughText(result.text)) return result;
+    } catch (ocrError) {
+      logger.error(`[OCR] 문자 인식 실패: ${ocrError.message}`);
+    }
+  }
+
+  if (!hasEnoughText(extracted)) {
+    logger.warn(
+      "PDF에서 충분한 텍스트를 추출하지 못했습니다. 이미지 기반(스캔) PDF이거나 인코딩 문제일 수 있습니다.",
+    );
+    throw new AppError(
+      "PDF에서 충분한 텍스트를 추출하지 못했습니다. 이미지로 된(스캔) PDF이거나 글꼴 인코딩 문제일 수 있습니다.",
+      422,
+      { code: "INSUFFICIENT_TEXT" },
+    );
+  }
+
+  return extracted;
+};
+
+// 관계 파일(.rels)의 Target을 zip 내 경로로 변환 (상대 경로는 기준 파트의 폴더 기준)
+const resolveRelTarget = (baseDir, target) =>
+  target.startsWith("/") ? target.slice(1) : path.posix.normalize(path.posix.join(baseDir, target));
+
+/**
+ * 관계 파일 파싱
+ * @returns {Map<string, { type: string, target: string }>} Id → 관계 종류(마지막 경로 조각) / zip 내 경로
+ */
+const readRelationships = (zip, relsPath, baseDir) => {
+  const relationships = new Map();
+  const xml = zip.getEntry(relsPath)?.getData().toString("utf8");
+  if (!xml) return relationships;
+
+  for (const [tag] of xml.matchAll(/<Relationship\b[^>]*>/g)) {
+    const id = tag.match(/\bId="([^"]+)"/)?.[1];
+    const type = tag.match(/\bType="([^"]+)"/)?.[1];
+    const target = tag.match(/\bTarget="([^"]+)"/)?.[1];
+    if (!id || !type || !target || /\bTargetMode="External"/.test(tag)) continue;
+    relationships.set(id, { type: type.split("/").pop(), target: resolveRelTarget(baseDir, decodeEntities(target)) });
+  }
+  return relationships;
+};
+
+/**
+ * 발표 순서대로 슬라이드 XML 경로 목록
+ * - presentation.xml의 sldIdLst(숨김 · 재배치 반영)를 관계 파일로 풀어 사용
+ * - 목록을 읽을 수 없으면 파일명의 슬라이드 번호 순 (zip 내 순서는 slide10이 slide2보다 앞설 수 있음)
+ */
+const getSlidePaths = (zip) => {
+  const presentationXml = zip.getEntry("ppt/presentation.xml")?.getData().toString("utf8") || "";
+  const relationships = readRelationships(zip, "ppt/_rels/presentation.xml.rels", "ppt");
+  const ordered = [...(presentationXml.match(/<p:sldIdLst>[\s\S]*?<\/p:sldIdLst>/)?.[0] || "").matchAll(/<p:sldId\b[^>]*>/g)]
+    .map(([tag]) => relationships.get(tag.match(/\br:id="([^"]+)"/)?.[1])?.target)
+    .filter((target) => target && zip.getEntry(target));
+  if (ordered.length > 0) return ordered;
+
+  return zip
+    .getEntries()
+    .map((entry) => entry.entryName.match(/^ppt\/slides\/slide(\d+)\.xml$/))
+    .filter(Boolean)
+    .sort((a, b) => parseInt(a[1], 10) - parseInt(b[1], 10))
+    .map((match) => match[0]);
+};
+
+// 도형 / 표 셀 안의 문단 목록 (<a:br/>은 줄바꿈, 들여쓰기 수준은 <a:pPr lvl>)
+const readParagraphs = (xml) =>
+  [...xml.matchAll(/<a:p>([\s\S]*?)<\/a:p>/g)]
+    .map(([, body]) => ({
+      text: decodeEntities(
+        [...body.matchAll(/<a:t>([^<]*)<\/a:t>|<a:br\b[^>]*\/>/g)].map(([, t]) => t ?? "\n").join(""),
+      ).trim(),
+      level: parseInt(body.match(/<a:pPr\b[^>]*\blvl="(\d)"/)?.[1] || "0", 10),
+      bullet: /<a:bu(Char|AutoNum|Blip)\b/.test(body) ? true : /<a:buNone\b/.test(body) ? false : null,
+    }))
+    .filter(({ text }) => text);
+
+// 표 → 행마다 셀을 " | "로 연결 (병합으로 가려진 셀 제외)
+const tableXmlToLines = (xml) =>
+  [...xml.matchAll(/<a:tr\b[\s\S]*?<\/a:tr>/g)]
+    .map(([row]) =>
+      [...row.matchAll(/<a:tc\b([^>]*)>([\s\S]*?)<\/a:tc>/g)]
+        .filter(([, attrs]) => !/\b[hv]Merge="(1|true)"/.test(attrs))
+        .map(([, , cell]) => readParagraphs(cell).map(({ text }) => text).join(" ")),
+    )
+    .filter((cells) => cells.some(Boolean))
+    .map((cells) => cells.join(" | "));
+
+// 슬라이드 / 노트의 자리 표시자 종류 (자리 표시자가 아닌 일반 텍스트 상자는 null)
+const getPlaceholderType = (shapeXml) => {
+  const placeholder = shapeXml.match(/<p:ph\b[^>]*>/)?.[0];
+  if (!placeholder) return null;
+  return placeholder.match(/\btype="([^"]+)"/)?.[1] || "body";
+};
+
+const TITLE_PLACEHOLDERS = ["title", "ctrTitle"];
+// 날짜 / 슬라이드 번호 / 바닥글 자리 표시자는 본문에서 제외
+const IGNORED_PLACEHOLDERS = ["dt", "sldNum", "ftr", "hdr"];
+
+/**
+ * 슬라이드 XML → 제목 / 본문 줄 목록
+ * - 제목 자리 표시자는 제목으로 분리
+ * - 본문 자리 표시자 · 글머리 기호 문단은 수준(lvl)만큼 들여쓴 "- " 목록
+ * - 표는 행 단위 " | " 연결
+ */
+const parseSlideXml = (xml) => {
+  const titles = [];
+  const lines = [];
+
+  // 도형(그룹 안 도형 포함)과 표를 문서 순서대로 처리 (도형 안에는 표가, 표 안에는 도형이 올 수 없음)
+  for (const [element] of xml.matchAll(/<p:sp\b[\s\S]*?<\/p:sp>|<a:tbl\b[\s\S]*?<\/a:tbl>/g)) {
+    if (element.startsWith("<a:tbl")) {
+      lines.push(...tableXmlToLines(element));
+      continue;
+    }
+
+    const placeholderType = getPlaceholderType(element);
+    if (IGNORED_PLACEHOLDERS.includes(placeholderType)) continue;
+    const paragraphs = readParagraphs(element);
+    if (TITLE_PLACEHOLDERS.includes(placeholderType)) {
+      titles.push(paragraphs.map(({ text }) => text.replace(/\s*\n\s*/g, " ")).join(" "));
+      continue;
+    }
+
+    const bulletByDefault = placeholderType === "body" || placeholderType === "obj";
+    paragraphs.forEach(({ text, level, bullet }) => {
+      const isBullet = bullet ?? bulletByDefault;
+      const indent = "  ".repeat(level);
+      lines.push(isBullet ? `${indent}- ${text.replace(/\n/g, `\n${indent}  `)}` : text);
+    });
+  }
+
+  return { title: titles.filter(Boolean).join(" / ") || null, lines };
+};
+
+// 발표자 노트 XML → 텍스트 (노트 본문 자리 표시자만, 슬라이드 미리보기 · 번호 제외)
+const notesXmlToText = (xml) =>
+  [...xml.matchAll(/<p:sp\b[\s\S]*?<\/p:sp>/g)]
+    .filter(([shape]) => getPlaceholderType(shape) === "body")
+    .flatMap(([shape]) => readParagraphs(shape).map(({ text }) => text))
+    .join("\n");
+
+// 슬라이드 세그먼트 → 프롬프트에 넣을 텍스트 ("[슬라이드 N]" 표시로 LLM이 출처 슬라이드를 가리킬 수 있도록 함)
+const formatSlideSegment = ({ slide, title, body, notes }) =>
+  [`${slideMarker(slide)}${title ? ` ${title}` : ""}`, body, notes && `[발표자 노트]\n${notes}`]
+    .filter(Boolean)
+    .join("\n");
+
+/**
+ * PPTX 슬라이드별 세그먼트 추출 (zip 내 XML 파싱)
+ * - 슬라이드 순서는 presentation.xml의 발표 순서
+ * - includeNotes: 슬라이드에 연결된 발표자 노트(ppt/notesSlides) 포함 여부
+ * @param {Buffer} buffer - PPTX 파일 버퍼
+ * @param {{ pages?: string|null, includeNotes?: boolean }} [options] - pages: 추출할 슬라이드 범위 (예: "1-3,7")
+ * @returns {Promise<{ text: string, segments: { slide: number, title: string|null, body: string, notes: string|null }[] }>}
+ */
+export const extractPptxSlides = async (buffer, { pages, includeNotes = true } = {}) => {
+  let zip;
+  let slidePaths;
+  try {
+    zip = await openZipArchive(buffer, "pptx");
+    slidePaths = getSlidePaths(zip);
+  } catch (error) {
+    // 크기 · 형식 제한 오류는 사유(code)를 그대로 전달
+    if (error.name === "AppError") throw error;
+    logger.error("PPTX 텍스트 추출 오류: " + error.message);
+    throw new Error("PPTX 텍스트 추출에 실패했습니다.");
+  }
+
+  // 범위는 발표 순서의 순번(1부터) 기준
+  const selected = selectPages(pages, slidePaths.length);
+
+  const segments = [];
+  slidePaths.forEach((slidePath, index) => {
+    if (selected && !selected.has(index + 1)) return;
+
+    const { title, lines } = parseSlideXml(zip.getEntry(slidePath).getData().toString("utf8"));
+    let notes = null;
+    if (includeNotes) {
+      const slideDir = path.posix.dirname(slidePath);
+      const relsPath = `${slideDir}/_rels/${path.posix.basename(slidePath)}.rels`;
+      const notesPath = [...readRelationships(zip, relsPath, slideDir).values()].find(
+        ({ type }) => type === "notesSlide",
+      )?.target;
+      const notesXml = notesPath && zip.getEntry(notesPath)?.getData().toString("utf8");
+      notes = (notesXml && notesXmlToText(notesXml)) || null;
+    }
+    segments.push({ slide: index + 1, title, body: lines.join("\n"), notes });
+  });
+
+  // 내용이 없는 슬라이드(이미지만 있는 슬라이드 등)는 표시만 남지 않도록 텍스트에서 제외
+  const text = segments
+    .filter(({ title, body, notes }) => title || body || notes)
+    .map(formatSlideSegment)
+    .join(PAGE_BREAK);
+  return { text, segments };
+};
+
+/**
+ * PPTX 텍스트 추출 (슬라이드 세그먼트를 PAGE_BREAK로 연결)
+ * @param {Buffer} buffer - PPTX 파일 버퍼
+ * @param {{ pages?: string|null, includeNotes?: boolean }} [options]
+ * @returns {Promise<string>}
+ */
+export const extractTextFromPptx = async (buffer, options = {}) => (await extractPptxSlides(buffer, options)).text;
+
+/**
+ * PDF 페이지 구성 미리보기 (페이지 선택 UI용)
+ * @param {Buffer} buffer
+ * @returns {Promise<{ pageCount: number, pages: { page: number, firstLine: string }[] }>}
+ */
+export const inspectPdf = async (buffer) => {
+  let pdfDocument;
+  try {
+    pdfDocument = await loadPdfDocument(buffer);
+  } catch (error) {
+    logger.error("PDF 구성 확인 오류: " + error.message);
+    throw new Error("PDF 파일을 읽을 수 없습니다.");
+  }
+
+  try {
+    // 반복 머리글 / 바닥글을 제거한 뒤의 첫 줄 사용 (페이지 상한 이후는 목록에서 제외, pageCount는 전체 기준)
+    const { maxPdfPages } = config.upload;
+    const selected =
+      pdfDocument.numPages > maxPdfPages ? new Set(Array.from({ length: maxPdfPages }, (_, i) => i + 1)) : null;
+    const pageLines = stripPageMargins(await readPdfPages(pdfDocument, selected));
+    return {
+      pageCount: pdfDocument.numPages,
+      pages: pageLines.map(({ page, lines }) => ({ page, firstLine: toFirstLine(lines[0]?.text || "") })),
+    };
+  } finally {
+    await pdfDocument.destroy();
+  }
+};
+
+/**
+ * PPTX 슬라이드 구성 미리보기 (슬라이드 선택 UI용)
+ * @param {Buffer} buffer
+ * @returns {Promise<{ pageCount: number, pages: { page: number, firstLine: string }[] }>}
+ */
+export const inspectPptx = async (buffer) => {
+  let segments;
+  try {
+    ({ segments } = await extractPptxSlides(buffer, { includeNotes: false }));
+  } catch (error) {
+    if (error.name === "AppError") throw error;
+    logger.error("PPTX 구성 확인 오류: " + error.message);
+    throw new Error("PPTX 파일을 읽을 수 없습니다.");
+  }
+  return {
+    pageCount: segments.length,
+    // 제목이 없는 슬라이드는 본문 첫 줄
+    pages: segments.map(({ slide, title, body }) => ({ page: slide, firstLine: toFirstLine(title || body) })),
+  };
+};
+
+/**
+ * 텍스트 파일 디코딩 (문자셋 감지)
+ * - BOM이 있으면 BOM 기준 (UTF-8 / UTF-16)
+ * - UTF-8로 올바르게 해석되지 않으면 EUC-KR(CP949)로 간주 (국내 메모장 · 한글 문서의 기본 인코딩)
+ * @param {Buffer} buffer
+ * @param {string|null} [declaredCharset] - HTML meta 등에 선언된 문자셋
+ * @returns {string}
+ */
+export const decodeText = (buffer, declaredCharset = null) => {
+  if (buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf) {
+    return new TextDecoder("utf-8").decode(buffer.subarray(3));
+  }
+  if (buffer[0] === 0xff && buffer[1] === 0xfe) return new TextDecoder("utf-16le").decode(buffer.subarray(2));
+  if (buffer[0] === 0xfe && buffer[1] === 0xff) return new TextDecoder("utf-16be").decode(buffer.subarray(2));
+
+  try {
+    return new TextDecoder("utf-8", { fatal: true }).decode(buffer);
+  } catch {
+    // 선언된 문자셋이 있으면 우선 사용 (알 수 없는 이름이면 EUC-KR)
+    let charset = "euc-kr";
+    try {
+      if (declaredCharset) charset = new TextDecoder(declaredCharset).encoding;
+    } catch {
+      logger.debug(`알 수 없는 문자셋 선언 무시: ${declaredCharset}`);
+    }
+    logger.debug(`UTF-8 디코딩 실패 - ${charset}로 디코딩`);
+    return new TextDecoder(charset).decode(buffer);
+  }
+};
+
+// 줄바꿈 통일 및 연속 빈 줄 정리
+const normalizeLines = (text) =>
+  text
+    .replace(/\r\n?/g, "\n")
+    .split("\n")
+    .map((line) => line.replace(/[ \t\u00a0]+/g, " ").trim())
+    .join("\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+
+/**
+ * TXT 텍스트 추출
+ * - 줄마다 시간이 표기된 강의 녹취는 자막과 같이 시간 표시가 붙은 문단으로 변환
+ * @param {Buffer} buffer
+ * @returns {Promise<string>}
+ */
+export const extractTextFromPlainText = async (buffer) => {
+  const text = decodeText(buffer);
+  return timestampedTextToText(text) ?? normalizeLines(text);
+};
+
+/**
+ * SRT / WebVTT 자막 텍스트 추출
+ * @param {Buffer} buffer
+ * @returns {Promise<string>}
+ */
+export const extractTextFromSubtitles = async (buffer) => subtitlesToText(decodeText(buffer));
+
+/**
+ * Markdown 텍스트 추출
+ * - 제목 / 목록 / 코드 블록 구조는 그대로 두고, 링크 · 이미지 URL과 front matter만 제거
+ * @param {Buffer} buffer
+ * @returns {Promise<string>}
+ */
+export const extractTextFromMarkdown = async (buffer) =>
+  normalizeLines(
+    decodeText(buffer)
+      .replace(/^\uFEFF?---\r?\n[\s\S]*?\r?\n---\r?\n/, "")
+      .replace(/<!--[\s\S]*?-->/g, "")
+      .replace(/!\[([^\]]*)\]\([^)]*\)/g, "$1")
+      .replace(/\[([^\]]+)\]\([^)]*\)/g, "$1"),
+  );
+
+/**
+ * HTML 텍스트 추출
+ * - script / style 등 본문이 아닌 요소 제거, 블록 요소는 줄바꿈, 제목은 Markdown 제목(#)으로 변환
+ * - 표는 행 단위로 셀을 " | "로 연결
+ * @param {Buffer} buffer
+ * @returns {Promise<string>}
+ */
+export const extractTextFromHtml = async (buffer) => {
+  // 문자셋 선언은 문서 앞부분의 meta 태그에서 확인 (ASCII 범위라 latin1로 읽어도 안전)
+  const head = buffer.subarray(0, 2048).toString("latin1");
+  const declaredCharset = head.match(/<meta[^>]+charset\s*=\s*["']?\s*([\w-]+)/i)?.[1] ?? null;
+  const html = decodeText(buffer, declaredCharset);
+
+  const text = html
+    .replace(/<!--[\s\S]*?-->/g, "")
+    .replace(/<(script|style|noscript|template|svg|head)\b[\s\S]*?<\/\1\s*>/gi, "")
+    .replace(/<h([1-6])\b[^>]*>/gi, (_, level) => `\n\n${"#".repeat(Number(level))} `)
+    .replace(/<\/h[1-6]\s*>/gi, "\n\n")
+    .replace(/<li\b[^>]*>/gi, "\n- ")
+    .replace(/<\/t[dh]\s*>/gi, " | ")
+    .replace(/<br\s*\/?>|<\/tr\s*>/gi, "\n")
+    .replace(/<\/?(p|div|section|article|header|footer|main|aside|nav|blockquote|pre|ul|ol|table|dl|dt|dd|figure|figcaption)\b[^>]*>/gi, "\n")
+    .replace(/<[^>]+>/g, "");
+
+  return normalizeLines(
+    decodeEntities(text)
+      .split("\n")
+      .map((line) => line.replace(/\s*\|\s*$/, ""))
+      .join("\n"),
+  );
+};
+
+const DOCX_HEADING_STYLE = /^(heading|제목)\s*(\d)$/i;
+
+/**
+ * styles.xml에서 제목 스타일 id → 제목 수준 매핑
+ * - 스타일 id는 언어별로 다르므로 (영문 "Heading1", 한국어 Word "1" 등) 스타일 이름 / 개요 수준으로 판별
+ */
+const parseDocxHeadingStyles = (stylesXml) => {
+  const levels = new Map();
+  if (!stylesXml) return levels;
+
+  for (const [, attrs, body] of stylesXml.matchAll(/<w:style\b([^>]*)>([\s\S]*?)<\/w:style>/g)) {
+    const styleId = attrs.match(/w:styleId="([^"]+)"/)?.[1];
+    if (!styleId) continue;
+
+    const name = body.match(/<w:name w:val="([^"]+)"/)?.[1] ?? "";
+    const outlineLevel = body.match(/<w:outlineLvl w:val="(\d)"/)?.[1];
+    const headingMatch = name.match(DOCX_HEADING_STYLE);
+
+    if (name.toLowerCase() === "title") levels.set(styleId, 1);
+    else if (headingMatch) levels.set(styleId, Number(headingMatch[2]));
+    else if (outlineLevel !== undefined) levels.set(styleId, Number(outlineLevel) + 1);
+  }
+  return levels;
+};
+
+// document.xml에서 처리할 태그 (문단 / 표 / 텍스트 / 줄바꿈 / 스타일)
+const DOCX_TOKEN =
+  /<w:tbl>|<\/w:tbl>|<w:tr[ >]|<\/w:tr>|<w:tc[ >]|<\/w:tc>|<w:p[ >]|<w:p\/>|<\/w:p>|<w:pStyle w:val="([^"]*)"|<w:numPr>|<w:t(?: [^>]*)?>([^<]*)<\/w:t>|<w:tab\/>|<w:br\b([^>]*)\/>/g;
+
+/**
+ * DOCX 텍스트 추출 (zip 내 WordprocessingML 파싱)
+ * - 제목 스타일 · 목록 · 표 · 페이지 나누기는 utils/documentBlocks.js 규칙으로 조립
+ * @param {Buffer} buffer - DOCX 파일 버퍼
+ * @returns {Promise<string>}
+ */
+export const extractTextFromDocx = async (buffer) => {
+  let documentXml;
+  let stylesXml;
+  try {
+    const zip = await openZipArchive(buffer, "docx");
+    documentXml = zip.getEntry("word/document.xml")?.getData().toString("utf8");
+    stylesXml = zip.getEntry("word/styles.xml")?.getData().toString("utf8");
+  } catch (error) {
+    if (error.name === "AppError") throw error;
+    logger.error("DOCX 텍스트 추출 오류: " + error.message);
+    throw new Error("DOCX 텍스트 추출에 실패했습니다.");
+  }
+  if (!documentXml) throw new Error("DOCX 텍스트 추출에 실패했습니다. (word/document.xml 없음)");
+
+  const headingLevels = parseDocxHeadingStyles(stylesXml);
+  const builder = createBlockBuilder();
+
+  for (const [token, style, text, brAttrs] of documentXml.matchAll(DOCX_TOKEN)) {
+    if (token === "</w:p>" || token === "<w:p/>") {
+      builder.endParagraph();
+    } else if (token.startsWith("<w:pStyle")) {
+      builder.setHeadingLevel(headingLevels.get(style) ?? null);
+    } else if (token.startsWith("<w:p")) {
+      builder.startParagraph();
+    } else if (token === "<w:numPr>") {
+      builder.markList();
+    } else if (token.startsWith("<w:br")) {
+      if (/w:type="page"/.test(brAttrs)) builder.pageBreak();
+      else builder.text("\n");
+    } else if (token === "<w:tab/>") {
+      builder.text("\t");
+    } else if (token === "<w:tbl>") {
+      builder.startTable();
+    } else if (token.startsWith("<w:tr")) {
+      builder.startRow();
+    } else if (token.startsWith("<w:tc")) {
+      builder.startCell();
+    } else if (token === "</w:tc>") {
+      builder.endCell();
+    } else if (token === "</w:tr>") {
+      builder.endRow();
+    } else if (token === "</w:tbl>") {
+      builder.endTable();
+    } else {
+      // <w:t> 텍스트 런
+      builder.text(decodeEntities(text));
+    }
+  }
+
+  return builder.toText();
+};
+
+// HWPX 본문 XML에서 처리할 태그 (문단 / 표 / 텍스트)
+const HWPX_TOKEN =
+  /<hp:tbl[ >]|<\/hp:tbl>|<hp:tr[ >]|<\/hp:tr>|<hp:tc[ >]|<\/hp:tc>|<hp:p( [^>]*)?>|<\/hp:p>|<hp:t(?: [^>]*)?>([\s\S]*?)<\/hp:t>/g;
+
+const HWPX_HEADING_STYLE = /^(outline|개요)\s*(\d+)$/i;
+
+/**
+ * header.xml에서 개요 스타일 id → 제목 수준 매핑 ("개요 1" / "Outline 1")
+ */
+const parseHwpxHeadingStyles = (headerXml) => {
+  const levels = new Map();
+  if (!headerXml) return levels;
+
+  for (const [attrs] of headerXml.matchAll(/<hh:style\b[^>]*>/g)) {
+    const id = attrs.match(/\bid="(\d+)"/)?.[1];
+    const names = [attrs.match(/\bname="([^"]*)"/)?.[1], attrs.match(/\bengName="([^"]*)"/)?.[1]];
+    const match = names.map((name) => name?.trim().match(HWPX_HEADING_STYLE)).find(Boolean);
+    if (id && match) levels.set(id, Number(match[2]));
+  }
+  return levels;
+};
+
+/**
+ * content.hpf의 spine 순서로 본문 섹션 경로 결정 (없으면 section 번호순)
+ */
+const getHwpxSectionPaths = (zip) => {
+  const hpf = zip.getEntry("Contents/content.hpf")?.getData().toString("utf8");
+  if (hpf) {
+    const hrefs = new Map(
+      [...hpf.matchAll(/<opf:item\b[^>]*>/g)].map(([item]) => [
+        item.match(/\bid="([^"]+)"/)?.[1],
+        item.match(/\bhref="([^"]+)"/)?.[1],
+      ]),
+    );
+    const spine = [...hpf.matchAll(/<opf:itemref\b[^>]*idref="([^"]+)"/g)]
+      .map(([, idref]) => hrefs.get(idref))
+      .filter((href) => href && /section\d+\.xml$/i.test(href));
+    if (spine.length > 0) return spine;
+  }
+
+  return zip
+    .getEntries()
+    .map((entry) => entry.entryName.match(/^Contents\/section(\d+)\.xml$/i))
+    .filter(Boolean)
+    .sort((a, b) => Number(a[1]) - Number(b[1]))
+    .map((match) => match[0]);
+};
+
+/**
+ * HWPX 텍스트 추출 (zip 내 OWPML XML 파싱)
+ * - 섹션은 content.hpf의 spine 순서, 개요 스타일은 Markdown 제목(#)으로 변환
+ * - 머리말 / 꼬리말은 페이지마다 반복되므로 제외
+ * @param {Buffer} buffer - HWPX 파일 버퍼
+ * @returns {Promise<string>}
+ */
+export const extractTextFromHwpx = async (buffer) => {
+  let zip;
+  try {
+    zip = await openZipArchive(buffer, "hwpx");
+  } catch (error) {
+    if (error.name === "AppError") throw error;
+    logger.error("HWPX 텍스트 추출 오류: " + error.message);
+    throw new Error("HWPX 텍스트 추출에 실패했습니다.");
+  }
+
+  // 암호 / 배포용 문서는 본문 XML이 암호화되어 manifest에 암호화 정보가 기록됨
+  const manifest = zip.getEntry("META-INF/manifest.xml")?.getData().toString("utf8") ?? "";
+  if (/encryption-data/.test(manifest)) {
+    throw new AppError(
+      "암호가 설정되었거나 배포용으로 잠긴 HWPX 문서는 읽을 수 없습니다. 한글에서 암호 / 배포용 설정을 해제한 뒤 업로드해주세요.",
+      422,
+    );
+  }
+
+  const sectionPaths = getHwpxSectionPaths(zip);
+  if (sectionPaths.length === 0) throw new Error("HWPX 텍스트 추출에 실패했습니다. (본문 섹션 없음)");
+
+  const headingLevels = parseHwpxHeadingStyles(zip.getEntry("Contents/header.xml")?.getData().toString("utf8"));
+  const builder = createBlockBuilder();
+
+  sectionPaths.forEach((sectionPath, index) => {
+    const xml = zip
+      .getEntry(sectionPath)
+      ?.getData()
+      .toString("utf8")
+      .replace(/<hp:(header|footer)\b[\s\S]*?<\/hp:\1>/g, "");
+    if (!xml) return;
+    if (index > 0) builder.pageBreak();
+
+    for (const [token, pAttrs, runText] of xml.matchAll(HWPX_TOKEN)) {
+      if (token.startsWith("<hp:p")) {
+        if (/\bpageBreak="1"/.test(pAttrs ?? "")) builder.pageBreak();
+        const styleId = pAttrs?.match(/\bstyleIDRef="(\d+)"/)?.[1];
+        builder.startParagraph({ headingLevel: headingLevels.get(styleId) ?? null });
+      } else if (token === "</hp:p>") {
+        builder.endParagraph();
+      } else if (token.startsWith("<hp:tbl")) {
+        builder.startTable();
+      } else if (token.startsWith("<hp:tr")) {
+        builder.startRow();
+      } else if (token.startsWith("<hp:tc")) {
+        builder.startCell();
+      } else if (token === "</hp:tc>") {
+        builder.endCell();
+      } else if (token === "</hp:tr>") {
+        builder.endRow();
+      } else if (token === "</hp:tbl>") {
+        builder.endTable();
+      } else {
+        // <hp:t> 안의 탭 / 줄바꿈 / 형광펜 등 인라인 요소 처리
+        builder.text(
+          decodeEntities(
+            runText
+              .replace(/<hp:tab\b[^>]*\/?>/g, "\t")
+              .replace(/<hp:lineBreak\b[^>]*\/?>/g, "\n")
+              .replace(/<[^>]+>/g, ""),
+          ),
+        );
+      }
+    }
+  });
+
+  return builder.toText();
+};
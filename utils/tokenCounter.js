@@ -0,0 +1,132 @@
+/**
+ * tiktoken 기반 토큰 계산 / 예산 관리
+ * - 작업에 사용하는 LLM 공급자의 모델에 맞는 인코딩으로 정확한 토큰 수를 계산
+ * - system + user 프롬프트를 합산하여 모델 컨텍스트 윈도우와 출력 예약 토큰(maxTokens) 내에 들어가도록 예산 산정
+ */
+import { encoding_for_model, get_encoding } from "tiktoken";
+import logger from "./logger.js";
+
+// 모델별 컨텍스트 윈도우 (접두사 일치, 긴 접두사 우선)
+const MODEL_CONTEXT_WINDOWS = [
+  ["gpt-4.1", 1047576],
+  ["gpt-4o", 128000],
+  ["gpt-4-turbo", 128000],
+  ["gpt-4-32k", 32768],
+  ["gpt-4", 8192],
+  ["gpt-3.5-turbo", 16385],
+  ["o1", 200000],
+  ["o3", 200000],
+  ["o4", 200000],
+];
+
+const DEFAULT_CONTEXT_WINDOW = 128000;
+
+// 채팅 메시지 포맷 오버헤드 (메시지당 3토큰 + 응답 시작 3토큰)
+const TOKENS_PER_MESSAGE = 3;
+const TOKENS_REPLY_PRIMING = 3;
+
+// 토큰 계산 오차를 흡수하기 위한 여유분
+const SAFETY_MARGIN_TOKENS = 500;
+
+const encoders = new Map();
+
+/**
+ * 모델에 맞는 인코더 반환 (모델별 1회 생성 후 재사용)
+ * - tiktoken이 모르는 모델(로컬 모델 등)은 o200k_base로 근사
+ */
+const getEncoder = (model) => {
+  if (encoders.has(model)) return encoders.get(model);
+
+  let encoder;
+  try {
+    encoder = encoding_for_model(model);
+  } catch {
+    logger.debug(`tiktoken 미지원 모델(${model}) - o200k_base 인코딩으로 계산`);
+    encoder = get_encoding("o200k_base");
+  }
+  encoders.set(model, encoder);
+  return encoder;
+};
+
+/**
+ * 텍스트의 토큰 수
+ * @param {string} text
+ * @param {string} model
+ * @returns {number}
+ */
+export const countTokens = (text, model) => {
+  if (!text) return 0;
+  // 문서에 <|endoftext|> 같은 특수 토큰 문자열이 있어도 예외 없이 계산
+  return getEncoder(model).encode(text, "all").length;
+};
+
+/**
+ * system + user 메시지를 합친 요청 입력 토큰 수
+ * @param {string} systemMessage
+ * @param {string} userMessage
+ * @param {string} model
+ * @returns {number}
+ */
+export const countChatTokens = (systemMessage, userMessage, model) =>
+  countTokens(systemMessage, model) +
+  countTokens(userMessage, model) +
+  TOKENS_PER_MESSAGE * 2 +
+  TOKENS_REPLY_PRIMING;
+
+/**
+ * 모델 컨텍스트 윈도우 크기 (공급자 설정값 우선, 없으면 모델명으로 추론)
+ * @param {{ model: string, contextWindow?: number|null }} llm
+ * @returns {number}
+ */
+export const getContextWindow = ({ model, contextWindow }) => {
+  if (contextWindow) return contextWindow;
+  const match = MODEL_CONTEXT_WINDOWS.find(([prefix]) => model.startsWith(prefix));
+  return match ? match[1] : DEFAULT_CONTEXT_WINDOW;
+};
+
+/**
+ * 프롬프트 템플릿(content 제외)을 넣고 남는 content 토큰 예산
+ * - 컨텍스트 윈도우 - 출력 예약(maxTokens) - 프롬프트 템플릿 - 여유분
+ * @param {{ model: string, maxTokens: number, contextWindow?: number|null }} llm - 작업에 사용할 공급자 (utils/providers)
+ * @param {{ system: string, user: string }} emptyPrompt - content를 빈 문자열로 생성한 프롬프트
+ * @param {number} [cap] - 호출당 content 상한 (품질 유지를 위한 청크 크기)
+ * @returns {number}
+ */
+export const getContentBudget = (llm, emptyPrompt, cap = Infinity) => {
+  const contextWindow = getContextWindow(llm);
+  const available =
+    contextWindow -
+    llm.maxTokens -
+    countChatTokens(emptyPrompt.system, emptyPrompt.user, llm.model) -
+    SAFETY_MARGIN_TOKENS;
+
+  if (available <= 0) {
+    throw new Error(
+      `LLM 컨텍스트 윈도우(${contextWindow})가 프롬프트와 출력 예약(${llm.maxTokens})을 담기에 부족합니다.`,
+    );
+  }
+  return Math.min(available, cap);
+};
+
+/**
+ * 텍스트를 정확한 토큰 수 기준으로 자름
+ * @param {string} text
+ * @param {number} maxTokens
+ * @param {string} model
+ * @returns {string}
+ */
+export const truncateByTokens = (text, maxTokens, model) => {
+  const encoder = getEncoder(model);
+  const tokens = encoder.encode(text, "all");
+  if (tokens.length <= maxTokens) return text;
+
+  // 멀티바이트 문자 중간에서 잘린 경우 생기는 대체 문자 제거
+  const truncated = new TextDecoder()
+    .decode(encoder.decode(tokens.slice(0, maxTokens)))
+    .replace(/\uFFFD+$/, "");
+  logger.warn(
+    `텍스트가 ${maxTokens} 토큰 한도를 초과하여 잘렸습니다. ` +
+      `(원본 ${tokens.length}토큰/${text.length}자 → ${truncated.length}자)`,
+  );
+  return truncated;
+};
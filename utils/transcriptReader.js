@@ -0,0 +1,181 @@
+/**
+ * 강의 녹취(자막) 텍스트 추출 — SRT / WebVTT / 시간이 표기된 TXT
+ * - 큐 번호 · 서식 태그 · 위치 설정을 제거하고, 자동 생성 자막의 반복(롤링) 줄을 걸러냄
+ * - 큐를 발화 간격 기준으로 문단으로 묶고 문단마다 "[시간 HH:MM:SS]" 표시를 붙여 요약 · 문제가 시점을 가리킬 수 있게 함
+ */
+import { timeMarker } from "./textChunker.js";
+
+// "01:02:03,500" · "01:02:03.500" · "02:03.500" · "1:02:03"
+const TIMESTAMP = /(?:(\d{1,2}):)?(\d{1,2}):(\d{2})(?:[.,](\d{1,3}))?/;
+const TIMING_LINE = new RegExp(`^\\s*(${TIMESTAMP.source})\\s*-->\\s*(${TIMESTAMP.source})`);
+// TXT 녹취의 줄 앞 시간 표기 ("[00:12:34] 내용", "(12:34) 내용", "00:12:34 - 내용")
+const TIMESTAMPED_LINE = new RegExp(`^\\s*[[(]?(${TIMESTAMP.source})[\\])]?\\s*[-–:]?\\s*(.*)$`);
+// 줄의 대부분에 시간이 있어야 녹취로 간주
+const TIMESTAMPED_RATIO = 0.6;
+const MIN_TIMESTAMPED_LINES = 3;
+
+// 문단 구분: 발화 간격이 PARAGRAPH_GAP초 이상이거나, 문단이 길어진 뒤 문장이 끝난 경우
+const PARAGRAPH_GAP = 3;
+const PARAGRAPH_SECONDS = 60;
+const MAX_PARAGRAPH_SECONDS = 120;
+const SENTENCE_END = /[.?!。…]["')\]]?$|(?:다|요|죠|까)$/;
+
+/**
+ * 시간 표기를 초 단위로 변환
+ * @param {string} value - "01:02:03,500" 등 (시 생략 가능)
+ * @returns {number|null} 형식이 맞지 않으면 null
+ */
+export const parseTimestamp = (value) => {
+  const match = String(value).trim().match(new RegExp(`^${TIMESTAMP.source}$`));
+  if (!match) return null;
+  const [, hours = "0", minutes, seconds, fraction = "0"] = match;
+  if (parseInt(seconds, 10) >= 60) return null;
+  return (
+    parseInt(hours, 10) * 3600 +
+    parseInt(minutes, 10) * 60 +
+    parseInt(seconds, 10) +
+    parseInt(fraction.padEnd(3, "0"), 10) / 1000
+  );
+};
+
+// 자막 서식 제거 (<i>, <c.yellow>, <00:00:01.000>, {\an8} 등), 화자 태그(<v 이름>)는 "이름: "으로 변환
+const cleanCueLine = (line) =>
+  line
+    .replace(/<v(?:\.[\w.-]+)?\s+([^>]+)>/gi, "$1: ")
+    .replace(/<[^>]*>/g, "")
+    .replace(/\{\\[^}]*\}/g, "")
+    .replace(/&nbsp;/g, " ")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&amp;/g, "&")
+    .replace(/\s+/g, " ")
+    .trim();
+
+/**
+ * SRT / WebVTT 큐 파싱
+ * - 시간 줄(-->)이 없는 블록(WEBVTT 헤더, NOTE · STYLE · REGION 블록, 깨진 큐)은 무시
+ * - 시간 줄 앞의 큐 번호 / 식별자는 제거
+ * @param {string} text
+ * @returns {{ start: number, end: number, lines: string[] }[]}
+ */
+const parseCues = (text) =>
+  text
+    .replace(/\r\n?/g, "\n")
+    .split(/\n\s*\n/)
+    .flatMap((block) => {
+      const lines = block.split("\n");
+      const timingIndex = lines.findIndex((line) => TIMING_LINE.test(line));
+      if (timingIndex === -1) return [];
+
+      const [, startText, , , , , endText] = lines[timingIndex].match(TIMING_LINE);
+      const cueLines = lines
+        .slice(timingIndex + 1)
+        .map(cleanCueLine)
+        .filter(Boolean);
+      if (cueLines.length === 0) return [];
+      return [{ start: parseTimestamp(startText), end: parseTimestamp(endText), lines: cueLines }];
+    });
+
+/**
+ * 시간이 표기된 TXT 녹취 파싱 (시간이 없는 줄은 앞 줄에 이어 붙임)
+ * @param {string} text
+ * @returns {{ start: number, end: number, lines: string[] }[]|null} 녹취 형식이 아니면 null
+ */
+const parseTimestampedText = (text) => {
+  const lines = text
+    .replace(/\r\n?/g, "\n")
+    .split("\n")
+    .map((line) => line.trim())
+    .filter(Boolean);
+  const matches = lines.map((line) => {
+    const match = line.match(TIMESTAMPED_LINE);
+    const start = match && parseTimestamp(match[1]);
+    return start === null || start === undefined ? null : { start, text: match[6] };
+  });
+
+  const timestamped = matches.filter(Boolean).length;
+  if (timestamped < MIN_TIMESTAMPED_LINES || timestamped / lines.length < TIMESTAMPED_RATIO) return null;
+
+  const cues = [];
+  lines.forEach((line, i) => {
+    const match = matches[i];
+    if (match) cues.push({ start: match.start, end: match.start, lines: match.text ? [match.text] : [] });
+    else if (cues.length > 0) cues[cues.length - 1].lines.push(line);
+  });
+  // 끝 시간은 다음 줄의 시작 시간
+  cues.forEach((cue, i) => {
+    cue.end = cues[i + 1]?.start ?? cue.start;
+  });
+  return cues.filter((cue) => cue.lines.length > 0);
+};
+
+// 반복 비교용 줄 (화자 표기 제외)
+const SPEAKER_PREFIX = /^[^\s:][^:]{0,29}:\s+/;
+const toLineKey = (line) => line.replace(SPEAKER_PREFIX, "");
+
+/**
+ * 중복 큐 제거
+ * - 자동 생성 자막은 앞 큐의 줄을 다음 큐에 다시 보여주거나(롤링) 이어 쓰므로 직전 큐에 있던 부분은 제외
+ * - 같은 문장이 연달아 반복되는 큐도 제외
+ */
+const dedupeCues = (cues) => {
+  const result = [];
+  let previousKeys = [];
+  for (const cue of cues) {
+    const lines = cue.lines
+      .map((line) => {
+        const key = toLineKey(line);
+        const repeated = previousKeys.find((previous) => key === previous || key.startsWith(`${previous} `));
+        return repeated ? key.slice(repeated.length).trim() : line;
+      })
+      .filter(Boolean);
+    previousKeys = cue.lines.map(toLineKey);
+    if (lines.length > 0) result.push({ ...cue, lines });
+  }
+  return result;
+};
+
+/**
+ * 큐를 문단으로 묶어 시간 표시가 붙은 텍스트로 변환
+ * @param {{ start: number, end: number, lines: string[] }[]} cues - 시작 시간순
+ * @returns {string}
+ */
+const cuesToText = (cues) => {
+  const paragraphs = [];
+  let current = null;
+
+  for (const cue of dedupeCues(cues)) {
+    const text = cue.lines.join(" ");
+    if (current) {
+      const gap = cue.start - current.end;
+      const duration = cue.start - current.start;
+      const sentenceDone = SENTENCE_END.test(current.texts[current.texts.length - 1]);
+      if (gap < PARAGRAPH_GAP && duration < MAX_PARAGRAPH_SECONDS && !(duration >= PARAGRAPH_SECONDS && sentenceDone)) {
+        current.texts.push(text);
+        current.end = Math.max(current.end, cue.end);
+        continue;
+      }
+    }
+    current = { start: cue.start, end: cue.end, texts: [text] };
+    paragraphs.push(current);
+  }
+
+  return paragraphs.map(({ start, texts }) => `${timeMarker(start)}\n${texts.join(" ")}`).join("\n\n");
+};
+
+/**
+ * SRT / WebVTT 자막을 시간 표시가 붙은 문단 텍스트로 변환
+ * @param {string} text - 디코딩된 자막 파일 내용
+ * @returns {string}
+ */
+export const subtitlesToText = (text) => cuesToText(parseCues(text).sort((a, b) => a.start - b.start));
+
+/**
+ * 시간이 표기된 TXT 녹취를 자막과 같은 형식으로 변환
+ * @param {string} text - 디코딩된 TXT 본문
+ * @returns {string|null} 녹취 형식이 아니면 null
+ */
+export const timestampedTextToText = (text) => {
+  const cues = parseTimestampedText(text);
+  return cues ? cuesToText(cues) : null;
+};
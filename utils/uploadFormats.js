@@ -0,0 +1,106 @@
+/**
+ * 업로드 가능한 문서 형식
+ * - 라우트의 multer fileFilter와 generationService의 텍스트 추출 분기에서 공용으로 사용
+ * - paged: 페이지 / 슬라이드 범위 지정 및 구성 확인(/api/ai/inspect) 지원 여부
+ * - container: 파일 서명 검사 기준 (pdf / zip / cfb(OLE 복합 문서) / text, utils/uploadGuard.js)
+ * - requiredEntry: zip 기반 형식을 구분하는 필수 항목
+ */
+export const UPLOAD_FORMATS = {
+  pdf: {
+    label: "PDF",
+    extensions: [".pdf"],
+    mimeTypes: ["application/pdf"],
+    paged: true,
+    container: "pdf",
+  },
+  pptx: {
+    label: "PPTX",
+    extensions: [".pptx"],
+    mimeTypes: ["application/vnd.openxmlformats-officedocument.presentationml.presentation"],
+    paged: true,
+    container: "zip",
+    requiredEntry: "ppt/presentation.xml",
+  },
+  docx: {
+    label: "DOCX",
+    extensions: [".docx"],
+    mimeTypes: ["application/vnd.openxmlformats-officedocument.wordprocessingml.document"],
+    paged: false,
+    container: "zip",
+    requiredEntry: "word/document.xml",
+  },
+  hwpx: {
+    label: "HWPX",
+    extensions: [".hwpx"],
+    mimeTypes: ["application/hwp+zip", "application/vnd.hancom.hwpx", "application/haansofthwpx"],
+    paged: false,
+    container: "zip",
+    requiredEntry: "Contents/content.hpf",
+  },
+  hwp: {
+    label: "HWP",
+    extensions: [".hwp"],
+    mimeTypes: ["application/x-hwp", "application/vnd.hancom.hwp", "application/haansofthwp"],
+    paged: false,
+    container: "cfb",
+  },
+  txt: {
+    label: "TXT",
+    extensions: [".txt"],
+    mimeTypes: ["text/plain"],
+    paged: false,
+    container: "text",
+  },
+  md: {
+    label: "MD",
+    extensions: [".md", ".markdown"],
+    mimeTypes: ["text/markdown", "text/x-markdown"],
+    paged: false,
+    container: "text",
+  },
+  html: {
+    label: "HTML",
+    extensions: [".html", ".htm"],
+    mimeTypes: ["text/html"],
+    paged: false,
+    container: "text",
+  },
+  srt: {
+    label: "SRT",
+    extensions: [".srt"],
+    mimeTypes: ["application/x-subrip", "text/srt"],
+    paged: false,
+    container: "text",
+  },
+  vtt: {
+    label: "VTT",
+    extensions: [".vtt"],
+    mimeTypes: ["text/vtt"],
+    paged: false,
+    container: "text",
+  },
+};
+
+// 안내 메시지용 형식 목록 ("PDF, PPTX, DOCX, HWPX, HWP, TXT, MD, HTML, SRT, VTT")
+export const SUPPORTED_FORMAT_LABEL = Object.values(UPLOAD_FORMATS)
+  .map((format) => format.label)
+  .join(", ");
+
+/**
+ * 파일 형식 판별
+ * - 확장자 우선 (브라우저가 .md를 text/plain이나 application/octet-stream으로 보내는 경우가 많음), 없으면 MIME
+ * @param {string} fileName
+ * @param {string} [mimeType]
+ * @returns {keyof UPLOAD_FORMATS | null}
+ */
+export const detectUploadFormat = (fileName, mimeType) => {
+  const dotIndex = fileName.lastIndexOf(".");
+  const ext = dotIndex >= 0 ? fileName.slice(dotIndex).toLowerCase() : "";
+  const entries = Object.entries(UPLOAD_FORMATS);
+
+  const byExtension = entries.find(([, format]) => format.extensions.includes(ext));
+  if (byExtension) return byExtension[0];
+
+  const byMime = entries.find(([, format]) => format.mimeTypes.includes(mimeType));
+  return byMime ? byMime[0] : null;
+};
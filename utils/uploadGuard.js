@@ -0,0 +1,203 @@
+/**
+ * 업로드 파일 검사
+ * - 확장자 / MIME으로 판별한 형식과 실제 내용(파일 서명)이 일치하는지 확인
+ * - zip 기반 문서(PPTX / DOCX / HWPX)와 HWP 본문의 압축 해제 크기 · 항목 수, PDF 페이지 수, 추출 시간 제한
+ * - 거부 사유마다 응답에 code를 담아 프론트엔드가 사유별 안내를 보여줄 수 있도록 함
+ */
+import { inflateRawSync } from "zlib";
+import config from "../config/env.js";
+import { UPLOAD_FORMATS } from "./uploadFormats.js";
+import { AppError } from "../middlewares/errorHandler.js";
+
+const PDF_SIGNATURE = "%PDF-";
+// PDF 서명 앞에 쓰레기 바이트가 붙은 파일도 뷰어는 열어주므로 앞부분 1KB 안에서 확인
+const PDF_SIGNATURE_RANGE = 1024;
+const ZIP_SIGNATURE = Buffer.from([0x50, 0x4b, 0x03, 0x04]);
+const CFB_SIGNATURE = Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]);
+// 텍스트 형식으로 올라오면 안 되는 이진 파일 (문서 컨테이너 · 이미지)
+const BINARY_SIGNATURES = [
+  ZIP_SIGNATURE,
+  CFB_SIGNATURE,
+  Buffer.from(PDF_SIGNATURE),
+  Buffer.from([0x89, 0x50, 0x4e, 0x47]),
+  Buffer.from([0xff, 0xd8, 0xff]),
+  Buffer.from("GIF8"),
+];
+const TEXT_SNIFF_BYTES = 8192;
+
+// zip 끝 레코드(EOCD): 서명 + 고정 길이 22바이트, 뒤에 최대 64KB 주석
+const ZIP_EOCD_SIGNATURE = 0x06054b50;
+const ZIP_EOCD_LENGTH = 22;
+const ZIP_MAX_COMMENT_LENGTH = 0xffff;
+
+const startsWith = (buffer, signature) => buffer.subarray(0, signature.length).equals(signature);
+
+// UTF-16 텍스트는 NUL 바이트를 포함하므로 BOM이 있으면 텍스트로 인정
+const isTextContent = (buffer) => {
+  if (BINARY_SIGNATURES.some((signature) => startsWith(buffer, signature))) return false;
+  const head = buffer.subarray(0, TEXT_SNIFF_BYTES);
+  const utf16 = (head[0] === 0xff && head[1] === 0xfe) || (head[0] === 0xfe && head[1] === 0xff);
+  return utf16 || !head.includes(0);
+};
+
+// UPLOAD_FORMATS의 container별 내용 확인
+const CONTAINER_CHECKS = {
+  pdf: (buffer) => buffer.subarray(0, PDF_SIGNATURE_RANGE).includes(PDF_SIGNATURE),
+  zip: (buffer) => startsWith(buffer, ZIP_SIGNATURE),
+  cfb: (buffer) => startsWith(buffer, CFB_SIGNATURE),
+  text: isTextContent,
+};
+
+const typeMismatch = (label) =>
+  new AppError(
+    `파일 내용이 ${label} 형식이 아닙니다. 확장자를 바꾼 파일이거나 손상된 파일인지 확인해주세요.`,
+    415,
+    { code: "FILE_TYPE_MISMATCH", expected: label },
+  );
+
+const archiveTooLarge = (label) => {
+  const limitMb = Math.round(config.upload.maxUncompressedBytes / 1024 / 1024);
+  return new AppError(
+    `${label} 파일의 압축을 푼 크기가 제한(${limitMb}MB)을 초과합니다. 포함된 이미지 · 미디어를 줄여 다시 업로드해주세요.`,
+    413,
+    { code: "ARCHIVE_TOO_LARGE", maxUncompressedMb: limitMb },
+  );
+};
+
+/**
+ * 파일 내용이 판별된 형식과 일치하는지 확인 (파일 서명 검사)
+ * @param {Buffer} buffer
+ * @param {keyof UPLOAD_FORMATS} fileType - detectUploadFormat 결과
+ * @throws {AppError} 415 FILE_TYPE_MISMATCH
+ */
+export const assertUploadContent = (buffer, fileType) => {
+  const { label, container } = UPLOAD_FORMATS[fileType];
+  if (!CONTAINER_CHECKS[container](buffer)) throw typeMismatch(label);
+};
+
+// 중앙 디렉터리를 파싱하기 전에 EOCD의 항목 수로 먼저 확인 (항목이 매우 많으면 파싱 자체가 부담)
+const readZipEntryCount = (buffer) => {
+  const from = Math.max(0, buffer.length - ZIP_EOCD_LENGTH - ZIP_MAX_COMMENT_LENGTH);
+  for (let offset = buffer.length - ZIP_EOCD_LENGTH; offset >= from; offset--) {
+    if (buffer.readUInt32LE(offset) === ZIP_EOCD_SIGNATURE) return buffer.readUInt16LE(offset + 10);
+  }
+  return null;
+};
+
+// zip 항목 압축 방식 (그 외 방식 · 암호화 항목은 문서 형식이 아닌 것으로 봄)
+const ZIP_METHOD_STORED = 0;
+const ZIP_METHOD_DEFLATED = 8;
+
+/**
+ * zip 기반 문서 열기 (항목 수 · 압축 해제 크기 제한, 형식별 필수 항목 확인)
+ * - 헤더에 선언된 크기는 파일이 정하는 값이므로 합계 검사는 빠른 거부용으로만 사용
+ * - adm-zip은 선언 크기가 0이면 해제 크기 제한 없이 압축을 풀기 때문에, 항목의 getData를
+ *   실제 해제 크기로 상한을 검사하는 createLimitedInflater로 교체 (모든 항목이 상한 하나를 공유)
+ * @param {Buffer} buffer
+ * @param {"pptx"|"docx"|"hwpx"} fileType
+ * @returns {Promise<import("adm-zip")>}
+ * @throws {AppError} 413 ARCHIVE_TOO_MANY_ENTRIES / ARCHIVE_TOO_LARGE, 415 FILE_TYPE_MISMATCH
+ *   (항목을 읽을 때 실제 해제 크기가 상한을 넘으면 413 ARCHIVE_TOO_LARGE)
+ */
+export const openZipArchive = async (buffer, fileType) => {
+  const { label, requiredEntry } = UPLOAD_FORMATS[fileType];
+  const { maxArchiveEntries, maxUncompressedBytes } = config.upload;
+  const tooManyEntries = () =>
+    new AppError(`${label} 파일에 포함된 항목이 너무 많습니다. (최대 ${maxArchiveEntries}개)`, 413, {
+      code: "ARCHIVE_TOO_MANY_ENTRIES",
+      maxEntries: maxArchiveEntries,
+    });
+
+  if ((readZipEntryCount(buffer) ?? 0) > maxArchiveEntries) throw tooManyEntries();
+
+  const AdmZip = (await import("adm-zip")).default;
+  const zip = new AdmZip(buffer);
+  const entries = zip.getEntries();
+  if (entries.length > maxArchiveEntries) throw tooManyEntries();
+
+  const declaredBytes = entries.reduce((sum, entry) => sum + entry.header.size, 0);
+  if (declaredBytes > maxUncompressedBytes) throw archiveTooLarge(label);
+
+  const inflate = createLimitedInflater(label);
+  for (const entry of entries) {
+    entry.getData = () => {
+      if (entry.isDirectory) return Buffer.alloc(0);
+      const { method, encrypted } = entry.header;
+      if (encrypted) throw typeMismatch(label);
+      // 저장(무압축) 항목은 업로드 크기 이내이므로 그대로 반환
+      if (method === ZIP_METHOD_STORED) return entry.getCompressedData();
+      if (method === ZIP_METHOD_DEFLATED) return inflate(entry.getCompressedData());
+      throw typeMismatch(label);
+    };
+  }
+
+  // 다른 zip 기반 형식(DOCX를 .pptx로 저장 등)은 형식 불일치로 거부
+  if (!zip.getEntry(requiredEntry)) throw typeMismatch(label);
+  return zip;
+};
+
+/**
+ * 압축 해제 크기 상한을 공유하는 raw deflate 해제 함수 (HWP 본문 스트림 등)
+ * @param {string} label - 오류 메시지에 표시할 형식 이름
+ * @returns {(data: Buffer) => Buffer}
+ * @throws {AppError} 413 ARCHIVE_TOO_LARGE
+ */
+export const createLimitedInflater = (label) => {
+  let remaining = config.upload.maxUncompressedBytes;
+  return (data) => {
+    let inflated;
+    try {
+      inflated = inflateRawSync(data, { maxOutputLength: Math.max(remaining, 1) });
+    } catch (error) {
+      if (error.code === "ERR_BUFFER_TOO_LARGE") throw archiveTooLarge(label);
+      throw error;
+    }
+    remaining -= inflated.length;
+    return inflated;
+  };
+};
+
+/**
+ * 처리할 PDF 페이지 수 확인
+ * @param {number} pageCount - 선택한 범위(없으면 전체)의 페이지 수
+ * @throws {AppError} 413 PDF_TOO_MANY_PAGES
+ */
+export const assertPdfPageLimit = (pageCount) => {
+  const { maxPdfPages } = config.upload;
+  if (pageCount <= maxPdfPages) return;
+  throw new AppError(
+    `PDF는 한 번에 최대 ${maxPdfPages}페이지까지 처리할 수 있습니다. (요청: ${pageCount}페이지) 페이지 범위를 나누어 요청해주세요.`,
+    413,
+    { code: "PDF_TOO_MANY_PAGES", maxPages: maxPdfPages, pageCount },
+  );
+};
+
+/**
+ * 제한 시간 안에 텍스트 추출 실행
+ * - 추출기에는 signal을 넘겨 페이지 단위 작업을 중단하게 하고, 응답은 제한 시간이 되면 바로 반환
+ * @template T
+ * @param {string} label - 오류 메시지에 표시할 형식 이름
+ * @param {(signal: AbortSignal) => Promise<T>} run
+ * @returns {Promise<T>}
+ * @throws {AppError} 422 EXTRACTION_TIMEOUT
+ */
+export const withExtractionTimeout = (label, run) => {
+  const { extractTimeoutMs } = config.upload;
+  const signal = AbortSignal.timeout(extractTimeoutMs);
+
+  return new Promise((resolve, reject) => {
+    const onTimeout = () =>
+      reject(
+        new AppError(
+          `${label} 텍스트 추출이 제한 시간(${Math.round(extractTimeoutMs / 1000)}초)을 넘었습니다. 페이지 범위를 줄이거나 파일을 나누어 업로드해주세요.`,
+          422,
+          { code: "EXTRACTION_TIMEOUT", timeoutMs: extractTimeoutMs },
+        ),
+      );
+    signal.addEventListener("abort", onTimeout, { once: true });
+    Promise.resolve()
+      .then(() => run(signal))
+      .then(resolve, reject)
+      .finally(() => signal.removeEventListener("abort", onTimeout));
+  });
+};
@@ -0,0 +1,52 @@
+/**
+ * 사용자별 AI 토큰 사용량 기록 / 월간 한도 계산
+ * - 기록 실패는 생성 결과 응답을 막지 않도록 경고만 남김
+ */
+import config from "../config/env.js";
+import AiUsage from "../models/aiUsageModel.js";
+import logger from "./logger.js";
+
+/**
+ * 생성 결과의 usage를 사용자 사용량에 누적
+ * - 익명 요청과 토큰을 쓰지 않은 요청(캐시 적중 등)은 기록하지 않음
+ * @param {number|undefined} userId
+ * @param {string} endpoint - 예: "ai/summarize", "demo/generate"
+ * @param {{ model: string, inputTokens: number, outputTokens: number, totalTokens: number }} usage - generationService 응답의 usage
+ */
+export const recordUsage = async (userId, endpoint, usage) => {
+  if (!userId || !usage?.totalTokens) return;
+  try {
+    await AiUsage.record({
+      userId,
+      endpoint,
+      model: usage.model,
+      inputTokens: usage.inputTokens,
+      outputTokens: usage.outputTokens,
+      totalTokens: usage.totalTokens,
+    });
+  } catch (error) {
+    logger.warn(`AI 사용량 기록 실패 - 사용자: ${userId}, ${endpoint}: ${error.message}`);
+  }
+};
+
+// 다음 달 1일 0시 (한국 시간)
+const getNextMonthStartKst = () => {
+  const kstNow = new Date(Date.now() + 9 * 60 * 60 * 1000);
+  return new Date(Date.UTC(kstNow.getUTCFullYear(), kstNow.getUTCMonth() + 1, 1) - 9 * 60 * 60 * 1000);
+};
+
+/**
+ * 이번 달 한도 현황
+ * @param {number} userId
+ * @returns {Promise<{ limit: number|null, used: number, remaining: number|null, resetsAt: string }>} 한도 미설정 시 limit / remaining은 null
+ */
+export const getQuotaStatus = async (userId) => {
+  const limit = config.quota.monthlyTokens || null;
+  const used = await AiUsage.getMonthlyTotalTokens(userId);
+  return {
+    limit,
+    used,
+    remaining: limit === null ? null : Math.max(limit - used, 0),
+    resetsAt: getNextMonthStartKst().toISOString(),
+  };
+};